@@ -0,0 +1,771 @@
+/**
+ * PTSC Certificate Verification System
+ * Admin console (admin.html): edit, validate and export certificates.json
+ *
+ * Loaded after csv.js and script.js, whose functions it uses. Exports append
+ * to the issuance log the way `node tools/issuance-log.js record` does.
+ */
+
+// ==========================================
+// ADMIN CONSOLE
+// ==========================================
+
+/**
+ * Editable record fields in table order. `kind` picks the input type;
+ * validation comes from validateCertificateRecord().
+ */
+const ADMIN_FIELDS = [
+    { name: 'id', label: 'Certificate ID' },
+    { name: 'recipientId', label: 'Recipient ID' },
+    { name: 'name', label: 'Name' },
+    { name: 'event', label: 'Event', bulk: true },
+    { name: 'type', label: 'Type', bulk: true },
+    { name: 'date', label: 'Date', kind: 'date', bulk: true },
+    { name: 'issuer', label: 'Issuer', bulk: true },
+    { name: 'template', label: 'Template', kind: 'template', bulk: true },
+    { name: 'expiresOn', label: 'Expires On', kind: 'date', bulk: true },
+    { name: 'revoked', label: 'Revoked', kind: 'boolean' },
+    { name: 'revokedOn', label: 'Revoked On', kind: 'date' },
+    { name: 'revocationReason', label: 'Revocation Reason' }
+];
+
+// Fields the console manages itself (hash and signature)
+const ADMIN_MANAGED_FIELDS = ['salt', 'keyHash', 'keyIterations', 'signature'];
+
+// Loaded database: rows of `{ uid, original, data, newKey, signatureStatus, problems }`.
+// `log` is the issuance log exports append to (`{ text, events, records, source }`,
+// null if the site publishes none); `logProblem` blocks exports while the log
+// could not be loaded or its chain is broken.
+const _admin = { rows: [], nextUid: 1, source: '', catalogue: null, log: null, logProblem: '' };
+
+/**
+ * Serialize a record for change detection (signature excluded)
+ * @param {Object} record - Certificate record
+ * @returns {string} Canonical JSON
+ */
+function adminRecordFingerprint(record) {
+    const { signature, ...rest } = record;
+    return canonicalizeRecord(rest);
+}
+
+/**
+ * Build the editable rows for a database
+ * @param {Object} data - Parsed certificates.json
+ * @param {string} source - Where it was loaded from (shown to the user)
+ */
+async function loadAdminDatabase(data, source) {
+    if (!data || !Array.isArray(data.certificates)) {
+        throw new Error('The file has no "certificates" array');
+    }
+    
+    _admin.rows = await Promise.all(data.certificates.map(async record => ({
+        uid: _admin.nextUid++,
+        original: record,
+        data: { ...record },
+        newKey: '',
+        signatureStatus: await verifyRecordSignature(record),
+        problems: []
+    })));
+    _admin.source = source;
+    renderAdminTable();
+}
+
+/**
+ * Use an issuance log for the next export. Like `tools/issuance-log.js`,
+ * the console refuses to append to a broken chain.
+ * @param {string|null} text - Content of issuance-log.jsonl, or null when
+ *   the site publishes no log
+ * @param {string} source - Where it was loaded from (shown to the user)
+ */
+async function loadAdminLog(text, source) {
+    if (text === null) {
+        _admin.log = null;
+        _admin.logProblem = '';
+        return;
+    }
+    
+    const events = parseIssuanceLog(text);
+    const chain = await verifyIssuanceChain(events);
+    if (!chain.intact) {
+        _admin.log = null;
+        _admin.logProblem = `The issuance log from ${source} is broken at entry ${chain.brokenAt}. ` +
+            'Check it with tools/issuance-log.js verify before exporting.';
+        return;
+    }
+    
+    const records = new Map();
+    events.forEach(event => records.set(event.id, event.record));
+    _admin.log = { text, events, records, source };
+    _admin.logProblem = '';
+}
+
+/**
+ * Download the site's issuance log, bypassing any cached copy
+ */
+async function fetchAdminLog() {
+    try {
+        const response = await fetch(ISSUANCE_LOG_URL, { cache: 'no-store' });
+        if (response.status === 404) {
+            await loadAdminLog(null, 'the site');
+        } else if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} for ${ISSUANCE_LOG_URL}`);
+        } else {
+            await loadAdminLog(await response.text(), 'the site');
+        }
+    } catch (error) {
+        console.error('Could not load the issuance log:', error);
+        _admin.log = null;
+        _admin.logProblem = `Could not load the issuance log: ${error.message}. Open issuance-log.jsonl to export.`;
+    }
+}
+
+/**
+ * Is a certificate ID in the loaded issuance log?
+ * @param {string} id - Certificate ID
+ * @returns {boolean} True if the log has an event for it
+ */
+function isLoggedCertificate(id) {
+    return Boolean(_admin.log && _admin.log.records.has(id));
+}
+
+/**
+ * Work out the log events an export needs, like diffDatabase() in
+ * tools/lib/issuance-log.js
+ * @param {Object[]} certificates - Exported records
+ * @returns {Object} `{ changes, removed }`: `{ action, id, record }` for new,
+ *   changed and revoked records, and logged IDs missing from the export
+ */
+function diffAdminLog(certificates) {
+    if (!_admin.log) return { changes: [], removed: [] };
+    
+    const logged = _admin.log.records;
+    const changes = [];
+    certificates.forEach(record => {
+        const previous = logged.get(record.id);
+        if (!previous) {
+            changes.push({ action: 'issue', id: record.id, record });
+        } else if (canonicalizeRecord(previous) !== canonicalizeRecord(record)) {
+            const revoked = record.revoked === true && previous.revoked !== true;
+            changes.push({ action: revoked ? 'revoke' : 'correct', id: record.id, record });
+        }
+    });
+    
+    const exported = new Set(certificates.map(record => record.id));
+    const removed = Array.from(logged.keys()).filter(id => !exported.has(id));
+    return { changes, removed };
+}
+
+/**
+ * Chain new events onto the loaded log, like appendEvents() in
+ * tools/lib/issuance-log.js
+ * @param {Object[]} changes - `{ action, id, record }` from diffAdminLog()
+ * @param {string} note - Recorded on every new event (may be empty)
+ * @returns {Promise<Object[]>} The new events
+ */
+async function buildAdminLogEvents(changes, note) {
+    const events = _admin.log.events;
+    const time = new Date().toISOString();
+    let previous = events.length ? events[events.length - 1].hash : LOG_GENESIS_HASH;
+    let seq = events.length;
+    
+    const appended = [];
+    for (const change of changes) {
+        const event = { seq: ++seq, time, action: change.action, id: change.id };
+        if (note) event.note = note;
+        event.record = change.record;
+        event.previous = previous;
+        event.hash = await hashLogEvent(event);
+        previous = event.hash;
+        appended.push(event);
+    }
+    return appended;
+}
+
+/**
+ * Is the row different from the record it was loaded from?
+ * @param {Object} row - Admin row
+ * @returns {boolean} True for new or edited records
+ */
+function isAdminRowModified(row) {
+    return !row.original || Boolean(row.newKey) ||
+        adminRecordFingerprint(row.original) !== adminRecordFingerprint(row.data);
+}
+
+/**
+ * Validate every row: formats, required fields, duplicate IDs and keys
+ * @returns {number} Number of rows with problems
+ */
+function validateAdminRows() {
+    const idCounts = new Map();
+    _admin.rows.forEach(row => {
+        const id = (row.data.id || '').trim();
+        idCounts.set(id, (idCounts.get(id) || 0) + 1);
+    });
+    
+    const templates = (_admin.catalogue && _admin.catalogue.templates) || {};
+    
+    _admin.rows.forEach(row => {
+        const record = row.data;
+        const id = (record.id || '').trim();
+        
+        // Same rules the site applies when it loads the database
+        const problems = validateCertificateRecord(record, { requireKeyHash: false });
+        
+        if (record.template && !templates[record.template]) {
+            problems.push(`Template "${record.template}" is not in templates.json`);
+        }
+        
+        if (id && idCounts.get(id) > 1) {
+            problems.push(`Duplicate certificate ID ${id}`);
+        }
+        
+        // Same rule as handleFormSubmit(); the key itself is never stored
+        if (row.newKey && !CERTIFICATE_KEY_PATTERN.test(row.newKey)) {
+            problems.push('New key must be 10 letters or digits');
+        } else if (!row.newKey && !(record.keyHash && record.salt)) {
+            problems.push('New certificates need a verification key');
+        } else if (!row.newKey && row.original && id !== (row.original.id || '').trim()) {
+            // The stored hash covers the ID, so it no longer matches any key
+            problems.push('Changing the ID needs the key again');
+        }
+        
+        // The log keeps every issued ID, so renaming would delete one
+        if (row.original && id !== row.original.id && isLoggedCertificate(row.original.id)) {
+            problems.push(`${row.original.id} is in the issuance log - revoke it and add a new record instead of changing its ID`);
+        }
+        
+        row.problems = problems;
+    });
+    
+    return _admin.rows.filter(row => row.problems.length).length;
+}
+
+/**
+ * Describe a row's signature state for the status column
+ * @param {Object} row - Admin row
+ * @returns {Object} `{ state, text }`
+ */
+function adminRowStatus(row) {
+    if (!row.original) return { state: 'new', text: 'New (unsigned)' };
+    if (isAdminRowModified(row)) return { state: 'modified', text: 'Edited (re-sign)' };
+    return {
+        valid: { state: 'valid', text: 'Signed' },
+        invalid: { state: 'invalid', text: 'Signature invalid' },
+        unsigned: { state: 'unsigned', text: 'Unsigned' }
+    }[row.signatureStatus] || { state: 'unsigned', text: 'Unsigned' };
+}
+
+/**
+ * Create the input for one field of a row
+ * @param {Object} row - Admin row
+ * @param {Object} field - Entry of ADMIN_FIELDS
+ * @returns {HTMLElement} Input element
+ */
+function createAdminInput(row, field) {
+    const input = document.createElement(field.kind === 'template' ? 'select' : 'input');
+    input.dataset.field = field.name;
+    input.setAttribute('aria-label', `${field.label} (${row.data.id || 'new record'})`);
+    
+    if (field.kind === 'boolean') {
+        input.type = 'checkbox';
+        input.checked = row.data[field.name] === true;
+    } else if (field.kind === 'template') {
+        const ids = Object.keys((_admin.catalogue && _admin.catalogue.templates) || {});
+        const current = row.data.template || '';
+        if (current && !ids.includes(current)) ids.push(current);
+        input.replaceChildren(...['', ...ids].map(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id || '(by type)';
+            return option;
+        }));
+        input.value = current;
+    } else {
+        input.type = 'text';
+        input.value = row.data[field.name] === undefined ? '' : String(row.data[field.name]);
+        if (field.kind === 'date') input.placeholder = 'YYYY-MM-DD';
+    }
+    
+    return input;
+}
+
+/**
+ * Render the table, problem list and summary for the loaded database
+ */
+function renderAdminTable() {
+    const body = document.getElementById('adminTableBody');
+    if (!body) return;
+    
+    validateAdminRows();
+    
+    body.replaceChildren(..._admin.rows.map(row => {
+        const tr = document.createElement('tr');
+        tr.dataset.uid = row.uid;
+        
+        const select = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'admin-select';
+        checkbox.setAttribute('aria-label', `Select ${row.data.id || 'new record'}`);
+        select.appendChild(checkbox);
+        tr.appendChild(select);
+        
+        ADMIN_FIELDS.forEach(field => {
+            const td = document.createElement('td');
+            td.appendChild(createAdminInput(row, field));
+            tr.appendChild(td);
+        });
+        
+        const keyCell = document.createElement('td');
+        const keyInput = document.createElement('input');
+        keyInput.type = 'text';
+        keyInput.dataset.field = 'newKey';
+        keyInput.value = row.newKey;
+        keyInput.placeholder = row.original && row.original.keyHash ? '(unchanged)' : 'required';
+        keyInput.setAttribute('aria-label', `New verification key (${row.data.id || 'new record'})`);
+        keyInput.autocomplete = 'off';
+        keyCell.appendChild(keyInput);
+        tr.appendChild(keyCell);
+        
+        const statusCell = document.createElement('td');
+        statusCell.className = 'admin-status';
+        tr.appendChild(statusCell);
+        
+        const actions = document.createElement('td');
+        actions.className = 'admin-actions';
+        [['preview', '👁️ Preview'], ['delete', '🗑️ Delete']].forEach(([action, text]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = action;
+            button.textContent = text;
+            actions.appendChild(button);
+        });
+        tr.appendChild(actions);
+        
+        updateAdminRowState(tr, row);
+        return tr;
+    }));
+    
+    updateAdminSummary();
+    applyAdminSearch();
+    populateAdminBulkValues();
+}
+
+/**
+ * Refresh a row's status cell and problem highlighting
+ * @param {HTMLTableRowElement} tr - Table row
+ * @param {Object} row - Admin row
+ */
+function updateAdminRowState(tr, row) {
+    const status = adminRowStatus(row);
+    const statusCell = tr.querySelector('.admin-status');
+    statusCell.textContent = row.problems.length ? `⚠️ ${row.problems.join('; ')}` : status.text;
+    tr.className = `admin-row admin-${status.state}${row.problems.length ? ' admin-has-problems' : ''}`;
+}
+
+/**
+ * Update the record counts and the export button
+ */
+function updateAdminSummary() {
+    const summary = document.getElementById('adminSummary');
+    const exportButton = document.getElementById('adminExportBtn');
+    const withProblems = _admin.rows.filter(row => row.problems.length).length;
+    const modified = _admin.rows.filter(isAdminRowModified).length;
+    
+    let log;
+    if (_admin.logProblem) {
+        log = `⚠️ ${_admin.logProblem}`;
+    } else if (_admin.log) {
+        log = `issuance log from ${_admin.log.source} with ${_admin.log.events.length} entries`;
+    } else {
+        log = 'no issuance log';
+    }
+    
+    if (summary) {
+        summary.textContent = `${_admin.rows.length} record(s) from ${_admin.source || 'nowhere yet'} · ` +
+            `${modified} new or edited · ${withProblems} with problems · ${log}`;
+        summary.className = `admin-summary${withProblems ? ' admin-summary-problems' : ''}`;
+    }
+    if (exportButton) {
+        exportButton.disabled = !_admin.rows.length || withProblems > 0 || Boolean(_admin.logProblem);
+    }
+}
+
+/**
+ * Hide rows that do not contain the search text
+ */
+function applyAdminSearch() {
+    const search = (document.getElementById('adminSearch')?.value || '').trim().toLowerCase();
+    document.querySelectorAll('#adminTableBody tr').forEach(tr => {
+        const row = _admin.rows.find(candidate => String(candidate.uid) === tr.dataset.uid);
+        const text = row ? Object.values(row.data).join(' ').toLowerCase() : '';
+        tr.hidden = Boolean(search) && !text.includes(search);
+    });
+}
+
+/**
+ * Handle edits in the table (delegated from the tbody)
+ * @param {Event} event - input or change event
+ */
+function handleAdminTableInput(event) {
+    const input = event.target;
+    const tr = input.closest('tr');
+    const row = tr && _admin.rows.find(candidate => String(candidate.uid) === tr.dataset.uid);
+    if (!row || !input.dataset.field) return;
+    
+    const field = input.dataset.field;
+    if (field === 'newKey') {
+        row.newKey = input.value.trim();
+    } else if (input.type === 'checkbox') {
+        if (input.checked) {
+            row.data[field] = true;
+        } else {
+            delete row.data[field];
+        }
+    } else {
+        const value = input.value.trim();
+        if (value) {
+            row.data[field] = value;
+        } else {
+            delete row.data[field];
+        }
+    }
+    
+    // Duplicates involve other rows, so refresh every row's state
+    validateAdminRows();
+    document.querySelectorAll('#adminTableBody tr').forEach(rowElement => {
+        const other = _admin.rows.find(candidate => String(candidate.uid) === rowElement.dataset.uid);
+        if (other) updateAdminRowState(rowElement, other);
+    });
+    updateAdminSummary();
+}
+
+/**
+ * Handle Preview and Delete buttons (delegated from the tbody)
+ * @param {Event} event - click event
+ */
+function handleAdminTableClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const tr = button.closest('tr');
+    const index = _admin.rows.findIndex(candidate => String(candidate.uid) === tr.dataset.uid);
+    if (index < 0) return;
+    
+    if (button.dataset.action === 'preview') {
+        previewAdminRecord(_admin.rows[index]);
+    } else if (button.dataset.action === 'delete') {
+        const row = _admin.rows[index];
+        if (row.original && isLoggedCertificate(row.original.id)) {
+            alert(`${row.original.id} is in the issuance log and cannot be deleted. Revoke it instead.`);
+            return;
+        }
+        
+        const id = row.data.id || 'this new record';
+        if (confirm(`Delete ${id}? Deleting removes it from the exported database; to withdraw an issued certificate, revoke it instead.`)) {
+            _admin.rows.splice(index, 1);
+            renderAdminTable();
+        }
+    }
+}
+
+/**
+ * Add an empty record at the top of the table
+ */
+function addAdminRecord() {
+    _admin.rows.unshift({
+        uid: _admin.nextUid++,
+        original: null,
+        data: {},
+        newKey: '',
+        signatureStatus: 'unsigned',
+        problems: []
+    });
+    renderAdminTable();
+    document.querySelector('#adminTableBody tr input[data-field="id"]')?.focus();
+}
+
+/**
+ * Render a record with the certificate page's renderer in the preview dialog
+ * @param {Object} row - Admin row
+ */
+function previewAdminRecord(row) {
+    const dialog = document.getElementById('adminPreview');
+    if (!dialog) return;
+    
+    // Placeholders so an unfinished record never shows the previous preview's text
+    const certificate = { name: '(Name)', event: '(Event)', ...row.data };
+    const template = selectTemplate(certificate, _admin.catalogue);
+    updateCertificateDisplay(certificate, template, dialog);
+    
+    const container = dialog.querySelector('.certificate-container');
+    const status = getCertificateStatus(certificate);
+    if (container) {
+        container.classList.remove('certificate-expired', 'certificate-revoked');
+        if (status.state !== 'valid') container.classList.add(`certificate-${status.state}`);
+    }
+    
+    const caption = dialog.querySelector('#adminPreviewCaption');
+    if (caption) {
+        caption.textContent = `${certificate.id || 'New record'} · template "${template.id}" · ${describeCertificateStatus(status).title}`;
+    }
+    
+    dialog.hidden = false;
+    dialog.querySelector('button')?.focus();
+}
+
+/**
+ * Close the preview dialog
+ */
+function closeAdminPreview() {
+    const dialog = document.getElementById('adminPreview');
+    if (dialog) dialog.hidden = true;
+}
+
+/**
+ * Fill the bulk edit "current value" list for the chosen field
+ */
+function populateAdminBulkValues() {
+    const fieldSelect = document.getElementById('adminBulkField');
+    const valueSelect = document.getElementById('adminBulkFrom');
+    if (!fieldSelect || !valueSelect) return;
+    
+    const field = fieldSelect.value;
+    const counts = new Map();
+    _admin.rows.forEach(row => {
+        const value = row.data[field] || '';
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    
+    const options = [['__selected__', '(selected rows)']].concat(
+        Array.from(counts.keys()).sort().map(value => [value, `${value || '(empty)'} - ${counts.get(value)} record(s)`]));
+    valueSelect.replaceChildren(...options.map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
+    if (options.length > 1) valueSelect.value = options[1][0];
+}
+
+/**
+ * Apply a bulk edit: set a field on every record with a given value, or on
+ * the selected rows
+ * @param {Event} event - Form submit event
+ */
+function applyAdminBulkEdit(event) {
+    event.preventDefault();
+    
+    const field = document.getElementById('adminBulkField').value;
+    const from = document.getElementById('adminBulkFrom').value;
+    const to = document.getElementById('adminBulkTo').value.trim();
+    
+    let targets;
+    if (from === '__selected__') {
+        const selected = new Set(Array.from(document.querySelectorAll('#adminTableBody .admin-select:checked'),
+            checkbox => checkbox.closest('tr').dataset.uid));
+        targets = _admin.rows.filter(row => selected.has(String(row.uid)));
+    } else {
+        targets = _admin.rows.filter(row => (row.data[field] || '') === from);
+    }
+    
+    if (!targets.length) {
+        alert('No records match this bulk edit.');
+        return;
+    }
+    
+    const label = ADMIN_FIELDS.find(candidate => candidate.name === field).label;
+    if (!confirm(`Set ${label} to "${to || '(empty)'}" on ${targets.length} record(s)?`)) return;
+    
+    targets.forEach(row => {
+        if (to) {
+            row.data[field] = to;
+        } else {
+            delete row.data[field];
+        }
+    });
+    renderAdminTable();
+}
+
+/**
+ * Build the exported record for a row: edited fields in database order,
+ * hashed new key, and the old signature only if nothing changed
+ * @param {Object} row - Admin row
+ * @returns {Promise<Object>} Database record
+ */
+async function buildAdminRecord(row) {
+    const record = {};
+    const known = ADMIN_FIELDS.map(field => field.name);
+    
+    known.forEach(name => {
+        if (row.data[name] !== undefined) {
+            record[name] = typeof row.data[name] === 'string' ? row.data[name].trim() : row.data[name];
+        }
+    });
+    
+    // Keep any fields the console does not know about
+    Object.keys(row.data)
+        .filter(name => !known.includes(name) && !ADMIN_MANAGED_FIELDS.includes(name))
+        .forEach(name => { record[name] = row.data[name]; });
+    
+    if (row.newKey) {
+        record.salt = generateSaltHex();
+        record.keyIterations = KEY_HASH_ITERATIONS;
+        record.keyHash = await hashCertificateKey(record.id, row.newKey, record.salt, record.keyIterations);
+    } else {
+        record.salt = row.data.salt;
+        if (row.data.keyIterations) record.keyIterations = row.data.keyIterations;
+        record.keyHash = row.data.keyHash;
+    }
+    
+    if (!isAdminRowModified(row) && row.original.signature) {
+        record.signature = row.original.signature;
+    }
+    
+    return record;
+}
+
+/**
+ * Download the edited database, the issuance log with an event for every
+ * change, and new plaintext keys, if any
+ */
+async function exportAdminDatabase() {
+    if (validateAdminRows()) {
+        renderAdminTable();
+        alert('Fix the highlighted problems before exporting.');
+        return;
+    }
+    if (_admin.logProblem) {
+        alert(_admin.logProblem);
+        return;
+    }
+    
+    const certificates = await Promise.all(_admin.rows.map(buildAdminRecord));
+    const { changes, removed } = diffAdminLog(certificates);
+    if (removed.length) {
+        alert(`${removed.join(', ')} ${removed.length === 1 ? 'is' : 'are'} in the issuance log but missing from ` +
+            'the database - revoke certificates instead of deleting them.');
+        return;
+    }
+    
+    const json = JSON.stringify({ certificates }, null, 2) + '\n';
+    saveBlob(new Blob([json], { type: 'application/json' }), 'certificates.json');
+    
+    // The whole file, since the browser cannot append to the published one
+    let logged = [];
+    if (_admin.log && changes.length) {
+        logged = await buildAdminLogEvents(changes, (document.getElementById('adminLogNote')?.value || '').trim());
+        const existing = _admin.log.text.trim() ? `${_admin.log.text.trimEnd()}\n` : '';
+        const text = existing + logged.map(event => `${JSON.stringify(event)}\n`).join('');
+        saveBlob(new Blob([text], { type: 'application/jsonl' }), 'issuance-log.jsonl');
+        await loadAdminLog(text, 'this export');
+    }
+    
+    // Plaintext keys exist only now - hand them over like tools/hash-keys.js --keys-out
+    const newKeys = _admin.rows.filter(row => row.newKey);
+    if (newKeys.length) {
+        const csv = toCSV(['id', 'key'], newKeys.map(row => ({ id: row.data.id.trim(), key: row.newKey })));
+        saveBlob(new Blob([csv], { type: 'text/csv' }), 'keys.csv');
+    }
+    
+    const unsigned = certificates.filter(record => !record.signature).length;
+    const status = document.getElementById('adminExportStatus');
+    if (status) {
+        status.textContent = `Exported ${certificates.length} record(s)` +
+            (newKeys.length ? `, with ${newKeys.length} new key(s) in keys.csv (keep it private)` : '') +
+            (logged.length ? ` and ${logged.length} new event(s) in issuance-log.jsonl` : '') +
+            (unsigned ? `. ${unsigned} record(s) are unsigned: run tools/sign-certificates.js sign and ` +
+                'tools/issuance-log.js record before committing.'
+                : '. Commit it in place of certificates.json; the deploy rebuilds the shards.');
+    }
+    updateAdminSummary();
+}
+
+/**
+ * Set up admin.html: templates, loaders, table events and bulk edit.
+ * Called when admin.html loads.
+ */
+async function initAdminConsole() {
+    _admin.catalogue = await fetchTemplates();
+    await fetchAdminLog();
+    
+    const body = document.getElementById('adminTableBody');
+    if (body) {
+        body.addEventListener('input', handleAdminTableInput);
+        body.addEventListener('change', handleAdminTableInput);
+        body.addEventListener('click', handleAdminTableClick);
+    }
+    
+    const fieldSelect = document.getElementById('adminBulkField');
+    if (fieldSelect) {
+        fieldSelect.replaceChildren(...ADMIN_FIELDS.filter(field => field.bulk).map(field => {
+            const option = document.createElement('option');
+            option.value = field.name;
+            option.textContent = field.label;
+            return option;
+        }));
+        fieldSelect.addEventListener('change', populateAdminBulkValues);
+    }
+    
+    document.getElementById('adminBulkForm')?.addEventListener('submit', applyAdminBulkEdit);
+    document.getElementById('adminSearch')?.addEventListener('input', applyAdminSearch);
+    
+    const status = document.getElementById('adminExportStatus');
+    const report = error => {
+        console.error('Could not load the database:', error);
+        if (status) status.textContent = `Could not load the database: ${error.message}`;
+    };
+    
+    document.getElementById('adminLoadSiteBtn')?.addEventListener('click', async () => {
+        try {
+            await fetchAdminLog();
+            await loadAdminDatabase(await fetchCertificates({ includeInvalid: true, fresh: true }), 'the site');
+        } catch (error) {
+            report(error);
+        }
+    });
+    
+    const logInput = document.getElementById('adminLogFile');
+    logInput?.addEventListener('change', async () => {
+        const file = logInput.files[0];
+        if (!file) return;
+        await loadAdminLog(await file.text(), file.name);
+        renderAdminTable();
+        logInput.value = '';
+    });
+    
+    const fileInput = document.getElementById('adminFile');
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            await loadAdminDatabase(JSON.parse(await file.text()), file.name);
+        } catch (error) {
+            report(error);
+        }
+        fileInput.value = '';
+    });
+    
+    // Warn before leaving with unexported edits
+    window.addEventListener('beforeunload', event => {
+        if (_admin.rows.some(isAdminRowModified)) {
+            event.preventDefault();
+            event.returnValue = '';
+        }
+    });
+}
+
+// ==========================================
+// EXPORT FOR TESTING (if needed)
+// ==========================================
+
+if (typeof window !== 'undefined') {
+    window.PTSCAdmin = {
+        loadAdminDatabase,
+        loadAdminLog,
+        validateAdminRows,
+        diffAdminLog,
+        exportAdminDatabase,
+        initAdminConsole
+    };
+}
@@ -0,0 +1,255 @@
+/**
+ * PTSC Certificate Verification System
+ * Batch export page (batch.html): one PDF or ZIP for an event or a list of IDs
+ *
+ * Loaded after csv.js and script.js, whose functions it uses.
+ */
+
+// ==========================================
+// BATCH EXPORT
+// ==========================================
+
+// Keys from the uploaded issuance mapping CSV (certificate ID -> key)
+const _batchKeys = new Map();
+
+/**
+ * Load certificate keys from an issuance mapping (issued.csv) or a
+ * `tools/hash-keys.js --keys-out` export
+ * @param {File} file - CSV with `id` and `key` columns
+ * @returns {Promise<number>} Number of keys loaded
+ */
+async function loadBatchKeys(file) {
+    const rows = parseCSV(await file.text());
+    if (!rows.length || !('id' in rows[0]) || !('key' in rows[0])) {
+        throw new Error(t('batch.keysColumns', 'The CSV needs "id" and "key" columns'));
+    }
+    
+    _batchKeys.clear();
+    rows.forEach(row => {
+        if (CERTIFICATE_ID_PATTERN.test(row.id) && CERTIFICATE_KEY_PATTERN.test(row.key)) {
+            _batchKeys.set(row.id, row.key);
+        }
+    });
+    return _batchKeys.size;
+}
+
+/**
+ * Split a pasted list of certificate IDs
+ * @param {string} text - IDs separated by spaces, commas, semicolons or new lines
+ * @returns {string[]} Unique IDs in the order given
+ */
+function parseBatchIds(text) {
+    const ids = text.split(/[\s,;]+/).map(id => id.trim().toUpperCase()).filter(Boolean);
+    return Array.from(new Set(ids));
+}
+
+/**
+ * Make text safe for use in a download file name
+ * @param {string} text - Event name or label
+ * @returns {string} Letters, digits, dashes and underscores only
+ */
+function toFilenamePart(text) {
+    return text.trim().replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'PTSC';
+}
+
+/**
+ * Set up batch.html: list the events in the database and wire the form.
+ * Called when batch.html loads.
+ */
+async function initBatchPage() {
+    const form = document.getElementById('batchForm');
+    const eventSelect = document.getElementById('batchEvent');
+    const keysInput = document.getElementById('batchKeysFile');
+    const keysStatus = document.getElementById('batchKeysStatus');
+    if (!form || !eventSelect) return;
+    
+    if (keysInput) {
+        keysInput.addEventListener('change', async () => {
+            const file = keysInput.files[0];
+            if (!file) return;
+            try {
+                const count = await loadBatchKeys(file);
+                keysStatus.textContent = tCount('batch.keysLoaded', count,
+                    ['Loaded {count} key from {file}', 'Loaded {count} keys from {file}'], { file: file.name });
+                keysStatus.className = 'batch-hint batch-ok';
+            } catch (error) {
+                _batchKeys.clear();
+                keysStatus.textContent = `${file.name}: ${error.message}`;
+                keysStatus.className = 'batch-hint batch-problem';
+            }
+        });
+    }
+    
+    form.addEventListener('submit', runBatchExport);
+    
+    try {
+        const { certificates } = await fetchCertificates();
+        const counts = new Map();
+        certificates.forEach(cert => counts.set(cert.event, (counts.get(cert.event) || 0) + 1));
+        
+        eventSelect.replaceChildren(...Array.from(counts.keys()).sort().map(event => {
+            const option = document.createElement('option');
+            option.value = event;
+            option.textContent = `${event} (${counts.get(event)})`;
+            return option;
+        }));
+    } catch (error) {
+        console.error('Could not list events:', error);
+        const view = localizeErrorView(error instanceof VerificationError ? error.code : VERIFICATION_ERRORS.UNEXPECTED);
+        setBatchStatus(t('batch.eventsFailed', '{icon} {title}: events could not be listed. You can still paste certificate IDs.',
+            { icon: view.icon, title: view.title }));
+    }
+}
+
+/**
+ * Show a batch progress message
+ * @param {string} text - Message
+ * @param {number} [done] - Finished steps (omit to hide the progress bar)
+ * @param {number} [total] - Total steps
+ */
+function setBatchStatus(text, done, total) {
+    const status = document.getElementById('batchStatus');
+    const progress = document.getElementById('batchProgress');
+    
+    if (status) status.textContent = text;
+    if (progress) {
+        progress.hidden = total === undefined;
+        progress.max = total || 1;
+        progress.value = done || 0;
+    }
+}
+
+/**
+ * Generate the batch PDF or ZIP for the selected event or IDs
+ * @param {Event} event - Form submit event
+ */
+async function runBatchExport(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const formData = new FormData(form);
+    const mode = formData.get('batchMode');
+    const output = formData.get('batchOutput');
+    const includeRevoked = formData.get('includeRevoked') === 'on';
+    const submitButton = form.querySelector('button[type="submit"]');
+    const report = document.getElementById('batchReport');
+    if (report) report.replaceChildren();
+    
+    const skipped = [];
+    const skip = (id, reason) => skipped.push(`${id}: ${reason}`);
+    
+    if (submitButton) submitButton.disabled = true;
+    
+    try {
+        let ids;
+        let label;
+        if (mode === 'event') {
+            label = formData.get('batchEvent') || '';
+            const { certificates } = await fetchCertificates();
+            ids = certificates.filter(cert => cert.event === label).map(cert => cert.id);
+        } else {
+            label = 'Selected';
+            ids = parseBatchIds(formData.get('batchIds') || '');
+        }
+        
+        if (!ids.length) {
+            setBatchStatus(t('batch.noneSelected', 'No certificates selected.'));
+            return;
+        }
+        
+        // Verify every key first so no page carries a QR code that fails
+        const remembered = readRememberedKeys();
+        const verifications = [];
+        for (const [index, id] of ids.entries()) {
+            setBatchStatus(t('batch.checking', 'Checking {id}…', { id }), index, ids.length);
+            
+            const key = _batchKeys.get(id) || remembered[id];
+            if (!CERTIFICATE_ID_PATTERN.test(id)) {
+                skip(id, t('batch.skipNotId', 'not a certificate ID'));
+                continue;
+            }
+            if (!key) {
+                skip(id, t('batch.skipNoKey', 'no key in the uploaded CSV'));
+                continue;
+            }
+            
+            try {
+                // Stale keys in an organiser's CSV are not guessing attempts
+                const verification = await prepareCertificateExport(id, key, { limitAttempts: false });
+                if (!includeRevoked && getCertificateStatus(verification.certificate).state === 'revoked') {
+                    skip(id, t('batch.skipRevoked', 'revoked'));
+                    continue;
+                }
+                verifications.push(verification);
+            } catch (error) {
+                // Only a verification endpoint limits these checks; once it
+                // does, every remaining row would fail the same way
+                if (error instanceof VerificationError && error.code === VERIFICATION_ERRORS.RATE_LIMITED) {
+                    setBatchStatus(t('batch.rateLimited', 'Stopped at {id}: the verification server refused further checks ' +
+                        'after too many failed keys. Try again {wait} with the keys corrected; nothing was exported.',
+                        { id, wait: describeRetryWait(error.details.retryAfterMs || 0) }));
+                    ids.slice(index).forEach(rest => skip(rest, t('batch.skipUnchecked', 'not checked')));
+                    return;
+                }
+                skip(id, error instanceof VerificationError ? localizeErrorView(error.code).title : error.message);
+            }
+        }
+        
+        if (!verifications.length) {
+            setBatchStatus(t('batch.noneExported', 'None of the selected certificates could be exported.'));
+            return;
+        }
+        
+        const onProgress = (done, total, verification) => {
+            setBatchStatus(t('batch.rendered', 'Rendered {done} of {total}: {name}',
+                { done, total, name: verification.certificate.name }), done, total);
+        };
+        setBatchStatus(t('batch.rendering', 'Rendering…'), 0, verifications.length);
+        const filenameBase = `${toFilenamePart(label)}_PTSC_Certificates`;
+        
+        if (output === 'zip') {
+            saveBlob(await createCertificateZip(verifications, onProgress), `${filenameBase}.zip`);
+        } else {
+            const pdf = await createMultiPagePdf(verifications, onProgress);
+            const certificateIds = verifications.map(verification => verification.certificate.id);
+            pdf.setProperties({
+                title: `PTSC certificates - ${label}`,
+                subject: `${verifications.length} certificate(s): ${certificateIds.join(', ')}`,
+                author: ISSUING_ORGANIZATION,
+                keywords: ['PTSC', 'certificate', ...certificateIds].join(', '),
+                creator: 'PTSC Certificate Verification System'
+            });
+            pdf.save(`${filenameBase}.pdf`);
+        }
+        
+        setBatchStatus([
+            tCount('batch.exported', verifications.length, ['Exported {count} certificate.', 'Exported {count} certificates.']),
+            skipped.length ? tCount('batch.skipped', skipped.length, ['{count} skipped (see below).', '{count} skipped (see below).']) : ''
+        ].join(' ').trim(), verifications.length, verifications.length);
+        
+    } catch (error) {
+        console.error('Batch export failed:', error);
+        setBatchStatus(t('batch.failed', 'The batch export failed. Please try again.'));
+    } finally {
+        if (report) {
+            report.replaceChildren(...skipped.map(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                return item;
+            }));
+        }
+        if (submitButton) submitButton.disabled = false;
+    }
+}
+
+// ==========================================
+// EXPORT FOR TESTING (if needed)
+// ==========================================
+
+if (typeof window !== 'undefined') {
+    window.PTSCBatch = {
+        loadBatchKeys,
+        parseBatchIds,
+        initBatchPage
+    };
+}
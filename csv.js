@@ -0,0 +1,96 @@
+/**
+ * PTSC Certificate Verification System
+ * Minimal RFC 4180 CSV reader/writer
+ *
+ * Shared by the organiser pages (batch.html and admin.html load it before
+ * script.js) and the Node tooling (through tools/lib/csv.js).
+ */
+
+'use strict';
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ * @param {string} text - CSV content (quoted fields and CRLF supported)
+ * @returns {Object[]} One object per data row, header names trimmed and lower-cased
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (!nonEmpty.length) return [];
+
+    const headers = nonEmpty[0].map(header => header.trim().toLowerCase());
+    return nonEmpty.slice(1).map(cells => {
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = (cells[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+/**
+ * Serialize rows to CSV
+ * @param {string[]} headers - Column names, in order
+ * @param {Object[]} rows - Objects keyed by column name
+ * @returns {string} CSV text with a trailing newline
+ */
+function toCSV(headers, rows) {
+    const escape = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [headers.join(',')];
+    rows.forEach(row => {
+        lines.push(headers.map(header => escape(row[header])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseCSV,
+        toCSV
+    };
+}
@@ -3,6 +3,258 @@
  * Client-side JavaScript for certificate validation and display
  */
 
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+/**
+ * Club public key (ECDSA P-256, JWK) used to verify record signatures.
+ * Generated with `node tools/sign-certificates.js keygen`; the matching
+ * private key is kept offline by the club.
+ */
+const SIGNING_PUBLIC_KEY = {
+    kty: 'EC',
+    crv: 'P-256',
+    x: 'hoI5x3X1dg2rNPsmHAH5KkOVBq7uzUtW6Aj6ceDElw8',
+    y: 'E300dicjz7KA9D27GSs5ErabpnRrjEurj6b16yYwMaE'
+};
+
+// Credential formats issued by the club (see tools/issue-certificates.js)
+const CERTIFICATE_ID_PATTERN = /^PTSC\d{4}-\d{4}$/;
+const CERTIFICATE_KEY_PATTERN = /^[a-zA-Z0-9]{10}$/;
+const RECIPIENT_ID_PATTERN = /^R[0-9A-Z]{11}$/;
+
+// PBKDF2 rounds for keys hashed in the admin console, and the fewest a record
+// may declare (same values as tools/lib/keys.js and certificate.schema.json)
+const KEY_HASH_ITERATIONS = 600000;
+const MIN_KEY_HASH_ITERATIONS = 100000;
+
+// localStorage entry holding keys verified on this device (certificate ID -> key)
+const REMEMBERED_KEYS_STORAGE_KEY = 'ptsc-verified-keys';
+
+/**
+ * Where certificates are looked up (see VERIFICATION_BACKENDS):
+ *   'static'  - certificates.json
+ *   'sharded' - shards/ built by `node tools/build-shards.js`
+ *   'rest'    - VERIFICATION_ENDPOINT
+ *   'auto'    - 'rest' when an endpoint is set, otherwise 'sharded' when a
+ *               shard manifest is deployed and 'static' when not
+ */
+const VERIFICATION_BACKEND = 'auto';
+
+/**
+ * REST verification endpoint, e.g. `node tools/verification-server.js`.
+ * Either absolute ('https://verify.example.org/api') or relative to the site
+ * ('api' when the server also serves the pages). Keys are then checked, and
+ * failed attempts limited, by the server at
+ * `GET <endpoint>/certificates/<id>?key=<key>`, so the database does not
+ * need to be published. Leave null to use the published database files.
+ */
+const VERIFICATION_ENDPOINT = null;
+
+/**
+ * Friction against scripted key guessing when keys are checked in the
+ * browser (tools/lib/attempt-limits.js applies the same policy on the
+ * server). After the free failures every failed attempt doubles the wait
+ * before the next one; from CHALLENGE_AFTER_FAILURES on each attempt also
+ * needs a proof of work. Failures are forgotten after an hour without one.
+ */
+const ATTEMPTS_STORAGE_KEY = 'ptsc-verification-attempts';
+const FREE_FAILED_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+const ATTEMPT_RESET_MS = 60 * 60 * 1000;
+const CHALLENGE_AFTER_FAILURES = 5;
+const CHALLENGE_DIFFICULTY_BITS = 16;
+const CHALLENGE_MAX_DIFFICULTY_BITS = 20;
+
+// Certificate layouts by type or template ID
+const TEMPLATES_URL = 'templates.json';
+
+// Interface and certificate languages; English is built into the pages and
+// templates, other languages load a string catalogue
+const LANGUAGES = {
+    en: { label: 'English', locale: 'en-US' },
+    hi: { label: 'हिन्दी', locale: 'hi-IN', catalogue: 'locales/hi.json' }
+};
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_STORAGE_KEY = 'ptsc-language';
+
+// Issuing organisation recorded in exported files and shared metadata
+const ISSUING_ORGANIZATION = 'Programming and Tech Skill Club, KNIT Sultanpur';
+
+// Embedded fonts for vector PDF export (Noto Sans TTF files, see vendor/README.md)
+const PDF_FONT_BASE_URL = 'vendor/fonts/';
+
+// Libraries for reading uploaded certificate files, loaded on first use
+// (vendored, see vendor/README.md; pdf.js is an ES module)
+const JSQR_URL = 'vendor/jsQR.js';
+const PDFJS_URL = 'vendor/pdf.min.mjs';
+const PDFJS_WORKER_URL = 'vendor/pdf.worker.min.mjs';
+
+/**
+ * Sharded database location (built by `node tools/build-shards.js`).
+ * When the manifest is missing the full certificates.json is used instead.
+ */
+const SHARD_BASE_URL = 'shards/';
+const SHARD_MANIFEST_URL = `${SHARD_BASE_URL}index.json`;
+const RECIPIENT_SHARD_DIR = 'recipients/';
+const SHARD_CACHE_NAME = 'ptsc-certificate-shards';
+
+// Service worker for offline use, and the header it adds to stored database
+// copies (must match CACHED_AT_HEADER in sw.js)
+const SERVICE_WORKER_URL = 'sw.js';
+const DATABASE_CACHED_AT_HEADER = 'X-PTSC-Cached-At';
+
+// Static share pages with link previews (built by `node tools/build-share-pages.js`)
+const SHARE_PAGE_BASE_URL = 'share/';
+
+// Signed Open Badges credentials and their issuer and achievement definitions
+// (built by `node tools/build-credentials.js`)
+const CREDENTIAL_BASE_URL = 'credentials/';
+
+// Hash-chained issuance log (maintained with `node tools/issuance-log.js`), and
+// the localStorage entry remembering the last log head seen on this device
+const ISSUANCE_LOG_URL = 'issuance-log.jsonl';
+const LOG_HEAD_STORAGE_KEY = 'ptsc-log-head';
+
+// LinkedIn "Add license or certification" form. Set the organisation ID to the
+// number in the club's LinkedIn page admin URL to show its logo on profiles.
+const LINKEDIN_ADD_TO_PROFILE_URL = 'https://www.linkedin.com/profile/add';
+const LINKEDIN_ORGANIZATION_ID = null;
+
+// ==========================================
+// ERROR MODEL
+// ==========================================
+
+/**
+ * Reasons a certificate could not be verified
+ */
+const VERIFICATION_ERRORS = {
+    MALFORMED_LINK: 'malformed-link',
+    NOT_FOUND: 'not-found',
+    RECIPIENT_NOT_FOUND: 'recipient-not-found',
+    KEY_MISMATCH: 'key-mismatch',
+    RATE_LIMITED: 'rate-limited',
+    DATABASE_UNAVAILABLE: 'database-unavailable',
+    DATABASE_INVALID: 'database-invalid',
+    UNEXPECTED: 'unexpected'
+};
+
+/**
+ * Error raised when a certificate cannot be verified
+ */
+class VerificationError extends Error {
+    /**
+     * @param {string} code - One of VERIFICATION_ERRORS
+     * @param {string} message - Developer-facing description (logged, not shown)
+     * @param {Object} [details] - Extra context for the error view, e.g. `{ id }`
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'VerificationError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * What the error view shows for each error code.
+ * `{id}` in messages is replaced with the certificate ID from the link.
+ */
+const ERROR_VIEWS = {
+    [VERIFICATION_ERRORS.MALFORMED_LINK]: {
+        icon: '🔗',
+        title: 'Incomplete Verification Link',
+        message: 'This link is missing the certificate ID or key, or they are not in the expected format.',
+        hints: [
+            'Open the link exactly as it was sent to you - some apps cut long links short',
+            'Certificate IDs look like PTSC2025-0123 and keys are 10 letters or digits',
+            'You can also type the ID and key on the verification page'
+        ],
+        action: 'Enter Details Manually',
+        retry: false
+    },
+    [VERIFICATION_ERRORS.NOT_FOUND]: {
+        icon: '🔍',
+        title: 'Certificate Not Found',
+        message: 'No certificate with the ID {id} exists in the PTSC database.',
+        hints: [
+            'Check the certificate ID for typing mistakes',
+            'Newly issued certificates can take a few minutes to appear'
+        ],
+        action: 'Check the Certificate ID',
+        retry: false
+    },
+    [VERIFICATION_ERRORS.RECIPIENT_NOT_FOUND]: {
+        icon: '🗂️',
+        title: 'No Certificates Found',
+        message: 'No certificates are recorded for the recipient ID {id}.',
+        hints: [
+            'Copy the recipient ID from your certificate email instead of retyping it',
+            'Certificates issued before recipient IDs were introduced can still be opened with their ID and key'
+        ],
+        action: 'Try Another Recipient ID',
+        retry: false
+    },
+    [VERIFICATION_ERRORS.KEY_MISMATCH]: {
+        icon: '🔑',
+        title: 'Verification Key Does Not Match',
+        message: 'Certificate {id} exists, but the key provided is not the one issued with it.',
+        hints: [
+            'Keys are case-sensitive',
+            'Look out for similar characters such as 0/O and 1/l/I',
+            'Copy the key from the original email instead of retyping it'
+        ],
+        action: 'Re-enter the Key',
+        retry: false
+    },
+    [VERIFICATION_ERRORS.RATE_LIMITED]: {
+        icon: '⏳',
+        title: 'Too Many Failed Attempts',
+        message: 'Several certificates failed to verify from here, so checks are paused. You can try again {wait}.',
+        hints: [
+            'Compare the ID and key with the original email before trying again',
+            'Every further failed attempt makes the wait longer'
+        ],
+        action: 'Back to Verification',
+        retry: true
+    },
+    [VERIFICATION_ERRORS.DATABASE_UNAVAILABLE]: {
+        icon: '📡',
+        title: 'Certificate Database Unavailable',
+        message: 'The certificate database could not be reached. You may be offline, or the site may be temporarily unavailable.',
+        hints: [
+            'Check your internet connection',
+            'Retry in a moment - your link is fine'
+        ],
+        action: 'Back to Verification',
+        retry: true
+    },
+    [VERIFICATION_ERRORS.DATABASE_INVALID]: {
+        icon: '⚠️',
+        title: 'Certificate Database Error',
+        message: 'The certificate database could not be read. This is a problem on our side, not with your certificate.',
+        hints: [
+            'Retry in a few minutes - the site may be mid-update',
+            'If it keeps happening, contact ptsc@knit.ac.in'
+        ],
+        action: 'Back to Verification',
+        retry: true
+    },
+    [VERIFICATION_ERRORS.UNEXPECTED]: {
+        icon: '❌',
+        title: 'Verification Failed',
+        message: 'Something went wrong while verifying this certificate.',
+        hints: [
+            'Retry, or reload the page',
+            'If it keeps happening, contact ptsc@knit.ac.in'
+        ],
+        action: 'Back to Verification',
+        retry: true
+    }
+};
+
 // ==========================================
 // UTILITY FUNCTIONS
 // ==========================================
@@ -25,12 +277,21 @@ function parseURLParams() {
     return result;
 }
 
+/**
+ * Send the browser to another page of the site
+ * @param {string} url - Page to open, relative to the current one
+ */
+function navigateTo(url) {
+    window.location.href = url;
+}
+
 /**
  * Format date string to readable format
  * @param {string} dateString - Date in YYYY-MM-DD format
- * @returns {string} Formatted date string
+ * @param {string} [locale] - Locale (defaults to the active language)
+ * @returns {string} Formatted date string (the input itself if it is not a date)
  */
-function formatDate(dateString) {
+function formatDate(dateString, locale = currentLocale()) {
     const options = { 
         year: 'numeric', 
         month: 'long', 
@@ -38,14 +299,36 @@ function formatDate(dateString) {
     };
     
     try {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', options);
+        // new Date('2025-03-15') is midnight UTC, which is still the 14th west
+        // of Greenwich; a calendar date is the same day in every time zone
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString);
+        const date = match
+            ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+            : new Date(dateString);
+        
+        // Leave impossible dates alone rather than rolling 2025-02-30 into March
+        if (Number.isNaN(date.getTime()) ||
+            (match && (date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])))) {
+            return dateString;
+        }
+        return date.toLocaleDateString(locale, options);
     } catch (error) {
         console.error('Error formatting date:', error);
         return dateString;
     }
 }
 
+/**
+ * Describe how long until something can be retried, e.g. "in 30 seconds"
+ * @param {number} ms - Wait in milliseconds
+ * @returns {string} Relative time in the active language
+ */
+function describeRetryWait(ms) {
+    const seconds = Math.max(1, Math.ceil(ms / 1000));
+    const format = new Intl.RelativeTimeFormat(currentLocale(), { numeric: 'always' });
+    return seconds < 90 ? format.format(seconds, 'second') : format.format(Math.ceil(seconds / 60), 'minute');
+}
+
 /**
  * Sanitize text content to prevent XSS
  * @param {string} text - Text to sanitize
@@ -57,6 +340,39 @@ function sanitizeText(text) {
     return div.innerHTML;
 }
 
+let _announceTimer = null;
+
+/**
+ * Read a message out to screen reader users through the page's live region
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+    const region = document.getElementById('statusAnnouncer');
+    if (!region || !message) return;
+    
+    // Empty the region first so that repeating the last message is read out
+    // again, and let the newest message replace one still pending
+    region.textContent = '';
+    clearTimeout(_announceTimer);
+    _announceTimer = setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+}
+
+/**
+ * Move keyboard and screen reader focus to an element, making it focusable
+ * from script if it is not focusable already
+ * @param {Element} [element] - Element to focus
+ */
+function focusElement(element) {
+    if (!element) return;
+    
+    if (!element.matches('a[href], button, input, select, textarea, [tabindex]')) {
+        element.setAttribute('tabindex', '-1');
+    }
+    element.focus();
+}
+
 /**
  * Show loading state
  */
@@ -68,12 +384,28 @@ function showLoading() {
     if (loadingState) loadingState.style.display = 'block';
     if (errorState) errorState.style.display = 'none';
     if (certificateState) certificateState.style.display = 'none';
+    
+    const message = document.querySelector('#loadingState p');
+    if (message) announce(message.textContent.trim());
+}
+
+/**
+ * Replace the text under the loading spinner
+ * @param {string} text - Message to show
+ */
+function setLoadingMessage(text) {
+    const message = document.querySelector('#loadingState p');
+    if (message) message.textContent = text;
+    announce(text);
 }
 
 /**
  * Show error state
+ * @param {Error} [error] - Failure to describe; anything that is not a
+ *   VerificationError is shown as an unexpected error
+ * @param {Object} [handlers] - Page-specific actions, see renderErrorView()
  */
-function showError() {
+function showError(error, handlers) {
     const loadingState = document.getElementById('loadingState');
     const errorState = document.getElementById('errorState');
     const certificateState = document.getElementById('certificateState');
@@ -81,6 +413,76 @@ function showError() {
     if (loadingState) loadingState.style.display = 'none';
     if (errorState) errorState.style.display = 'block';
     if (certificateState) certificateState.style.display = 'none';
+    
+    renderErrorView(error, handlers);
+    
+    // Take keyboard users to the explanation, and read it out
+    const titleElement = document.getElementById('errorTitle');
+    const messageElement = document.getElementById('errorMessage');
+    focusElement(titleElement);
+    announce([titleElement, messageElement]
+        .filter(Boolean)
+        .map(element => element.textContent.trim())
+        .join('. '));
+}
+
+/**
+ * Fill the error card with the message and recovery actions for an error
+ * @param {Error} [error] - Failure to describe
+ * @param {Object} [handlers] - `{ retry, action }` callbacks replacing the
+ *   certificate page defaults (re-run verifyCertificate(), back to index.html)
+ */
+function renderErrorView(error, handlers = {}) {
+    const code = error instanceof VerificationError ? error.code : VERIFICATION_ERRORS.UNEXPECTED;
+    const view = localizeErrorView(code);
+    const id = (error && error.details && error.details.id) || '';
+    const retryAfterMs = (error && error.details && error.details.retryAfterMs) || 0;
+    
+    const errorState = document.getElementById('errorState');
+    if (errorState) errorState.dataset.errorCode = code;
+    
+    const iconElement = document.getElementById('errorIcon');
+    if (iconElement) iconElement.textContent = view.icon;
+    
+    const titleElement = document.getElementById('errorTitle');
+    if (titleElement) titleElement.textContent = view.title;
+    
+    const messageElement = document.getElementById('errorMessage');
+    if (messageElement) {
+        messageElement.textContent = view.message
+            .replace('{id}', id || t('error.idProvided', 'provided'))
+            .replace('{wait}', describeRetryWait(retryAfterMs));
+    }
+    
+    const hintsElement = document.getElementById('errorHints');
+    if (hintsElement) {
+        hintsElement.replaceChildren(...view.hints.map(hint => {
+            const item = document.createElement('li');
+            item.textContent = hint;
+            return item;
+        }));
+    }
+    
+    // Transient failures can be retried in place without losing the link
+    const retryButton = document.getElementById('errorRetryBtn');
+    if (retryButton) {
+        retryButton.style.display = view.retry ? '' : 'none';
+        retryButton.onclick = view.retry ? (handlers.retry || (() => verifyCertificate())) : null;
+    }
+    
+    // Send the user back to the form, keeping the ID when it is worth keeping
+    const actionButton = document.getElementById('errorActionBtn');
+    if (actionButton) {
+        actionButton.textContent = view.action;
+        actionButton.onclick = handlers.action || (() => {
+            navigateTo(id && CERTIFICATE_ID_PATTERN.test(id)
+                ? `index.html?id=${encodeURIComponent(id)}`
+                : 'index.html');
+        });
+    }
+    
+    // An unknown ID may simply be newer than the stored copy of the database
+    updateDatabaseNotices();
 }
 
 /**
@@ -99,6 +501,8 @@ function showCertificate() {
         try { enableClientProtection(); } catch (e) { /* non-fatal */ }
         // Apply responsive scaling
         try { applyResponsiveScale(); } catch (e) { /* non-fatal */ }
+        // Start keyboard users at the verdict rather than at the top of the page
+        focusElement(document.getElementById('certificateStatus'));
     }
 }
 
@@ -211,475 +615,4420 @@ function disableClientProtection() {
 }
 
 // ==========================================
-// CERTIFICATE VALIDATION
+// LOCALIZATION
 // ==========================================
 
+// Active language and its catalogue (`{}` for English, the built-in wording)
+const _i18n = { language: DEFAULT_LANGUAGE, strings: {} };
+let _languageReady = null;
+
 /**
- * Fetch certificates from JSON file
- * @returns {Promise<Object>} Promise that resolves to certificates data
+ * Work out which language to show: `?lang=`, then the saved choice, then the
+ * browser's preferred languages
+ * @returns {string} Key of LANGUAGES
  */
-async function fetchCertificates() {
+function detectLanguage() {
+    const candidates = [parseURLParams().lang];
+    
     try {
-        const response = await fetch('certificates.json');
-        
+        candidates.push(localStorage.getItem(LANGUAGE_STORAGE_KEY));
+    } catch (error) {
+        // Storage can be disabled; fall through to the browser language
+    }
+    
+    (navigator.languages || [navigator.language]).forEach(tag => {
+        candidates.push((tag || '').split('-')[0]);
+    });
+    
+    return candidates.find(code => code && LANGUAGES[code]) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Look up a UI string in the active catalogue
+ * @param {string} key - Catalogue key, e.g. 'index.verify'
+ * @param {string} fallback - English text (also used when the key is missing)
+ * @param {Object} [vars] - Values for `{name}` placeholders
+ * @returns {string} Translated text
+ */
+function t(key, fallback, vars = {}) {
+    const text = (_i18n.strings.ui && _i18n.strings.ui[key]) || fallback;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+/**
+ * Look up a UI string that depends on a number: `<key>.one` or `<key>.other`
+ * by the active language's plural rules
+ * @param {string} key - Catalogue key without the plural suffix
+ * @param {number} count - Number, also filled in as `{count}`
+ * @param {string[]} fallbacks - English `[one, other]`
+ * @param {Object} [vars] - Values for other placeholders
+ * @returns {string} Translated text
+ */
+function tCount(key, count, fallbacks, vars = {}) {
+    const form = new Intl.PluralRules(currentLocale()).select(count) === 'one' ? 'one' : 'other';
+    return t(`${key}.${form}`, fallbacks[count === 1 ? 0 : 1], { ...vars, count });
+}
+
+/**
+ * Locale for Intl date formatting in the active language
+ * @returns {string} BCP 47 locale
+ */
+function currentLocale() {
+    return LANGUAGES[_i18n.language].locale;
+}
+
+/**
+ * Fetch a language's catalogue
+ * @param {string} language - Key of LANGUAGES
+ * @returns {Promise<Object>} Catalogue (empty for English or when unavailable)
+ */
+async function fetchLanguageCatalogue(language) {
+    const url = LANGUAGES[language].catalogue;
+    if (!url) return {};
+    
+    try {
+        const response = await fetch(url);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
-        
-        const data = await response.json();
-        return data;
+        return await response.json();
     } catch (error) {
-        console.error('Error fetching certificates:', error);
-        throw new Error('Failed to load certificate database');
+        console.warn(`Language catalogue ${url} unavailable, using English:`, error);
+        return {};
     }
 }
 
 /**
- * Validate certificate credentials
- * @param {string} id - Certificate ID
- * @param {string} key - Certificate key
- * @returns {Promise<Object|null>} Certificate data if valid, null if invalid
+ * Replace the text of every `data-i18n` element (and the placeholder of every
+ * `data-i18n-placeholder` input) with the active language. The English markup
+ * is kept in data attributes so switching back needs no catalogue.
+ * @param {Document|Element} [root] - Where to translate
  */
-async function validateCertificate(id, key) {
-    try {
-        const data = await fetchCertificates();
-        
-        // Trim whitespace and normalize the input
-        const normalizedId = (id || '').trim();
-        const normalizedKey = (key || '').trim();
-        
-        // Find certificate with matching ID and key
-        const certificate = data.certificates.find(cert => {
-            const certId = (cert.id || '').trim();
-            const certKey = (cert.key || '').trim();
-            
-            return certId === normalizedId && certKey === normalizedKey;
-        });
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        if (element.dataset.i18nDefault === undefined) {
+            element.dataset.i18nDefault = element.textContent.trim();
+        }
+        element.textContent = t(element.dataset.i18n, element.dataset.i18nDefault);
+    });
+    
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        if (element.dataset.i18nPlaceholderDefault === undefined) {
+            element.dataset.i18nPlaceholderDefault = element.placeholder;
+        }
+        element.placeholder = t(element.dataset.i18nPlaceholder, element.dataset.i18nPlaceholderDefault);
+    });
+}
+
+/**
+ * Switch the page to a language: load its catalogue, translate the markup
+ * and let the page re-render dynamic text (`ptsc:languagechange` event)
+ * @param {string} language - Key of LANGUAGES
+ * @param {Object} [options] - `{ remember }` to save the choice (default true)
+ */
+async function setLanguage(language, options = {}) {
+    const { remember = true } = options;
+    const code = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    
+    _i18n.strings = await fetchLanguageCatalogue(code);
+    _i18n.language = code;
+    document.documentElement.lang = code;
+    
+    if (remember) {
+        try {
+            localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+        } catch (error) {
+            console.warn('Could not save the language choice:', error);
+        }
+    }
+    
+    applyTranslations();
+    
+    const select = document.getElementById('languageSelect');
+    if (select) select.value = code;
+    
+    document.dispatchEvent(new CustomEvent('ptsc:languagechange', { detail: { language: code } }));
+}
+
+/**
+ * Load the visitor's language once per page and wire the language switcher
+ * @returns {Promise<void>} Resolves when the catalogue is in place
+ */
+function initLanguage() {
+    if (!_languageReady) {
+        const select = document.getElementById('languageSelect');
+        if (select) {
+            select.replaceChildren(...Object.entries(LANGUAGES).map(([code, language]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.lang = code;
+                option.textContent = language.label;
+                return option;
+            }));
+            select.addEventListener('change', () => setLanguage(select.value));
+        }
         
-        return certificate || null;
-    } catch (error) {
-        console.error('Error validating certificate:', error);
-        return null;
+        _languageReady = setLanguage(detectLanguage(), { remember: false });
     }
+    
+    return _languageReady;
+}
+
+/**
+ * Certificate wording in the active language. Wording comes from the
+ * catalogue entry for the template ID; signatory names and titles are
+ * translated phrase by phrase so custom templates get what is available.
+ * @param {Object} template - Template from selectTemplate()
+ * @returns {Object} Template with translated wording
+ */
+function localizeTemplate(template) {
+    const translation = (_i18n.strings.templates && _i18n.strings.templates[template.id]) || {};
+    const phrases = _i18n.strings.phrases || {};
+    
+    return {
+        ...template,
+        heading: translation.heading || template.heading,
+        wording: { ...template.wording, ...translation.wording },
+        signatories: template.signatories.map(signatory => ({
+            name: phrases[signatory.name] || signatory.name,
+            title: phrases[signatory.title] || signatory.title
+        }))
+    };
+}
+
+/**
+ * Certificate fields as displayed in the active language: the recipient's
+ * `nameLocalized` entry and the translated certificate type
+ * @param {Object} certificate - Certificate record
+ * @returns {Object} Copy of the record for display
+ */
+function localizeCertificate(certificate) {
+    const types = _i18n.strings.certificateTypes || {};
+    const localizedName = certificate.nameLocalized && certificate.nameLocalized[_i18n.language];
+    
+    return {
+        ...certificate,
+        name: localizedName || certificate.name,
+        type: types[certificate.type] || certificate.type
+    };
+}
+
+/**
+ * Error view for a code in the active language
+ * @param {string} code - One of VERIFICATION_ERRORS
+ * @returns {Object} Entry shaped like ERROR_VIEWS
+ */
+function localizeErrorView(code) {
+    const view = ERROR_VIEWS[code] || ERROR_VIEWS[VERIFICATION_ERRORS.UNEXPECTED];
+    const translation = (_i18n.strings.errors && _i18n.strings.errors[code]) || {};
+    return { ...view, ...translation };
 }
 
 // ==========================================
-// CERTIFICATE DISPLAY
+// CERTIFICATE VALIDATION
 // ==========================================
 
 /**
- * Update certificate display with validated data
- * @param {Object} certificate - Certificate data object
+ * Fetch a database file, classifying failures as verification errors
+ * @param {string} url - File to fetch
+ * @param {Object} [options] - fetch() options plus `allowMissing`
+ * @returns {Promise<Response|null>} Response, or null for a 404 when `allowMissing` is set
  */
-function updateCertificateDisplay(certificate) {
+async function fetchDatabaseFile(url, options = {}) {
+    const { allowMissing = false, ...fetchOptions } = options;
+    let response;
+    
     try {
-        // Update certificate type
-        const typeElement = document.getElementById('certificateType');
-        if (typeElement && certificate.type) {
-            typeElement.textContent = sanitizeText(certificate.type);
-        }
-        
-        // Update recipient name
-        const nameElement = document.getElementById('recipientName');
-        if (nameElement && certificate.name) {
-            nameElement.textContent = sanitizeText(certificate.name);
-        }
-        
-        // Update event name
-        const eventElement = document.getElementById('eventName');
-        if (eventElement && certificate.event) {
-            eventElement.textContent = sanitizeText(certificate.event);
-        }
-        
-        // Update completion date
-        const dateElement = document.getElementById('completionDate');
-        if (dateElement && certificate.date) {
-            dateElement.textContent = formatDate(certificate.date);
-        }
-        
-        // Update issue date (same as completion date for now)
-        const issueDateElement = document.getElementById('issueDate');
-        if (issueDateElement && certificate.date) {
-            issueDateElement.textContent = formatDate(certificate.date);
-        }
-        
-        // Update issuer name
-        const issuerElement = document.getElementById('issuerName');
-        if (issuerElement && certificate.issuer) {
-            issuerElement.textContent = sanitizeText(certificate.issuer);
-        }
-        
-        // Update certificate ID in verification section
-        const certIdElement = document.getElementById('certificateId');
-        if (certIdElement && certificate.id) {
-            certIdElement.textContent = sanitizeText(certificate.id);
-        }
-        
-        // Update page title to include recipient name
-        if (certificate.name) {
-            document.title = `Certificate - ${certificate.name} - PTSC KNIT`;
-        }
-        
-        // Update Open Graph meta tags for better social sharing
-        updateOpenGraphMeta(certificate);
-        
+        response = await fetch(url, fetchOptions);
     } catch (error) {
-        console.error('Error updating certificate display:', error);
-        showError();
+        console.error(`Error fetching ${url}:`, error);
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_UNAVAILABLE, 'Failed to load certificate database');
+    }
+    
+    if (allowMissing && response.status === 404) {
+        return null;
+    }
+    
+    if (!response.ok) {
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_UNAVAILABLE,
+            `HTTP error! status: ${response.status} for ${url}`);
     }
+    
+    noteDatabaseResponse(response);
+    return response;
 }
 
 /**
- * Update Open Graph meta tags for social media sharing
- * @param {Object} certificate - Certificate data object
+ * Parse a database response body
+ * @param {Response} response - Response from fetchDatabaseFile() or the cache
+ * @returns {Promise<Object>} Parsed JSON
  */
-function updateOpenGraphMeta(certificate) {
+async function readDatabaseJson(response) {
     try {
-        // Update or create Open Graph title
-        let ogTitle = document.querySelector('meta[property="og:title"]');
-        if (!ogTitle) {
-            ogTitle = document.createElement('meta');
-            ogTitle.setAttribute('property', 'og:title');
-            document.head.appendChild(ogTitle);
-        }
-        ogTitle.setAttribute('content', 
-            `${certificate.name} - ${certificate.type} - PTSC KNIT`);
-        
-        // Update or create Open Graph description
-        let ogDescription = document.querySelector('meta[property="og:description"]');
-        if (!ogDescription) {
-            ogDescription = document.createElement('meta');
-            ogDescription.setAttribute('property', 'og:description');
-            document.head.appendChild(ogDescription);
-        }
-        ogDescription.setAttribute('content', 
-            `${certificate.name} has successfully completed ${certificate.event} at Programming and Tech Skill Club, KNIT Sultanpur.`);
-        
+        return await response.json();
     } catch (error) {
-        console.error('Error updating Open Graph meta:', error);
+        console.error('Error parsing certificate database:', error);
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_INVALID, 'Certificate database is not valid JSON');
     }
 }
 
-// ==========================================
-// MAIN VERIFICATION FUNCTION
-// ==========================================
+// Record rules from certificate.schema.json (tools/lint-certificates.js checks
+// the full schema before publishing; these catch anything that slipped through)
+const CERTIFICATE_RECORD_FIELDS = [
+    { name: 'id', label: 'Certificate ID', required: true, pattern: CERTIFICATE_ID_PATTERN, hint: 'must look like PTSC2025-0123' },
+    { name: 'recipientId', label: 'Recipient ID', pattern: RECIPIENT_ID_PATTERN, hint: 'must be R followed by 11 letters or digits' },
+    { name: 'name', label: 'Name', required: true },
+    { name: 'nameLocalized', label: 'Localized name', localized: true },
+    { name: 'event', label: 'Event', required: true },
+    { name: 'type', label: 'Type', required: true },
+    { name: 'date', label: 'Date', required: true, date: true },
+    { name: 'issuer', label: 'Issuer', required: true },
+    { name: 'template', label: 'Template' },
+    { name: 'expiresOn', label: 'Expires On', date: true },
+    { name: 'revoked', label: 'Revoked', boolean: true },
+    { name: 'revokedOn', label: 'Revoked On', date: true },
+    { name: 'revocationReason', label: 'Revocation Reason' },
+    { name: 'salt', label: 'Salt', pattern: /^[0-9a-f]{16,}$/, hint: 'must be lower-case hex' },
+    { name: 'keyHash', label: 'Key hash', pattern: /^[0-9a-fA-F]{64}$/, hint: 'must be a 64-character hex digest' },
+    { name: 'keyIterations', label: 'Key iterations', minimum: MIN_KEY_HASH_ITERATIONS }
+];
 
 /**
- * Main certificate verification function
- * Called when certificate.html page loads
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
  */
-async function verifyCertificate() {
-    // Show loading state
-    showLoading();
+function isValidIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
     
-    try {
-        // Parse URL parameters
-        const params = parseURLParams();
-        const certificateId = params.id;
-        const certificateKey = params.key;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year &&
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day;
+}
+
+/**
+ * Check one database record against the certificate schema rules
+ * @param {Object} record - Certificate record
+ * @param {Object} [options] - `{ requireKeyHash }` (default true); the admin
+ *   console turns it off for records whose key is still being set
+ * @returns {string[]} Problems found (empty if the record is usable)
+ */
+function validateCertificateRecord(record, options = {}) {
+    const { requireKeyHash = true } = options;
+    
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return ['Record is not an object'];
+    }
+    
+    const problems = [];
+    
+    CERTIFICATE_RECORD_FIELDS.forEach(field => {
+        const value = record[field.name];
         
-        // Check if required parameters are present
-        if (!certificateId || !certificateKey) {
-            console.error('Missing required parameters: id and key');
-            showError();
+        if (value === undefined || value === null || value === '') {
+            if (field.required) problems.push(`${field.label} is required`);
             return;
         }
         
-        // Add small delay for better UX (show loading animation)
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        if (field.boolean) {
+            if (typeof value !== 'boolean') problems.push(`${field.label} must be true or false`);
+            return;
+        }
         
-        // Validate certificate
-        const certificate = await validateCertificate(certificateId, certificateKey);
+        if (field.minimum !== undefined) {
+            if (!Number.isInteger(value) || value < field.minimum) {
+                problems.push(`${field.label} must be a whole number of at least ${field.minimum}`);
+            }
+            return;
+        }
         
-        if (certificate) {
-            // Certificate is valid - update display and show certificate
-            updateCertificateDisplay(certificate);
-            showCertificate();
-        } else {
-            // Certificate is invalid - show error
-            showError();
+        // Names by two-letter language code, e.g. { "hi": "..." }
+        if (field.localized) {
+            const valid = typeof value === 'object' && !Array.isArray(value) &&
+                Object.entries(value).every(([code, text]) =>
+                    /^[a-z]{2}$/.test(code) && typeof text === 'string' && text.trim());
+            if (!valid) problems.push(`${field.label} must map language codes to text`);
+            return;
         }
         
-    } catch (error) {
-        console.error('Error during certificate verification:', error);
-        showError();
+        if (typeof value !== 'string' || !value.trim()) {
+            problems.push(`${field.label} must be text`);
+        } else if (field.pattern && !field.pattern.test(value.trim())) {
+            problems.push(`${field.label} ${field.hint}`);
+        } else if (field.date && !isValidIsoDate(value)) {
+            problems.push(`${field.label} must be a real YYYY-MM-DD date`);
+        }
+    });
+    
+    // Without both halves of the hash no key can ever verify
+    if (requireKeyHash && !(record.salt && record.keyHash)) {
+        problems.push('Record has no key hash');
     }
+    
+    return problems;
 }
 
-// ==========================================
-// INDEX PAGE FORM HANDLING
-// ==========================================
-
 /**
- * Handle form submission on index page
- * @param {Event} event - Form submit event
+ * Split a list of records into usable ones and rejected ones. Records that
+ * fail validation and every copy of a duplicated ID are rejected, so a lookup
+ * never renders a damaged record or picks one of two at random.
+ * @param {Object[]} certificates - Records from certificates.json or a shard
+ * @param {string} source - File name for console warnings
+ * @param {Object} [options] - validateCertificateRecord() options
+ * @returns {Object} `{ certificates, rejected }` where `rejected` maps ID (or `#index`) to problems
  */
-function handleFormSubmit(event) {
-    event.preventDefault();
+function screenCertificateRecords(certificates, source, options = {}) {
+    const rejected = new Map();
+    const counts = new Map();
     
-    try {
-        // Get form data
-        const form = event.target;
-        const formData = new FormData(form);
-        const certificateId = formData.get('certificateId')?.trim();
-        const certificateKey = formData.get('certificateKey')?.trim();
-        
-        // Validate input
-        if (!certificateId || !certificateKey) {
-            alert('Please enter both Certificate ID and Verification Key');
-            return;
-        }
-        
-        // Basic format validation for certificate ID
-        if (!/^PTSC\d{4}-\d{4}$/.test(certificateId)) {
-            alert('Certificate ID should be in format: PTSC2025-0123');
-            return;
+    certificates.forEach(record => {
+        const id = record && typeof record.id === 'string' ? record.id.trim() : '';
+        counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    
+    const usable = certificates.filter((record, index) => {
+        const id = record && typeof record.id === 'string' ? record.id.trim() : '';
+        const problems = validateCertificateRecord(record, options);
+        if (id && counts.get(id) > 1) {
+            problems.push(`Duplicate certificate ID ${id}`);
         }
         
-        // Basic format validation for key (should be alphanumeric)
-        if (!/^[a-zA-Z0-9]{10}$/.test(certificateKey)) {
-            alert('Verification key should be 10 alphanumeric characters');
-            return;
+        if (problems.length) {
+            rejected.set(id || `#${index + 1}`, problems);
         }
-        
-        // Create URL with parameters
-        const url = `certificate.html?id=${encodeURIComponent(certificateId)}&key=${encodeURIComponent(certificateKey)}`;
-        
-        // Redirect to certificate page
-        window.location.href = url;
-        
-    } catch (error) {
-        console.error('Error handling form submission:', error);
-        alert('An error occurred. Please try again.');
+        return problems.length === 0;
+    });
+    
+    if (rejected.size) {
+        console.warn(`Skipped ${rejected.size} invalid record(s) in ${source}:`, Object.fromEntries(rejected));
     }
+    
+    return { certificates: usable, rejected };
 }
 
-// ==========================================
-// EVENT LISTENERS AND INITIALIZATION
-// ==========================================
+/**
+ * Fetch certificates from JSON file. Invalid and duplicated records are
+ * removed from `certificates` and listed in `rejected`.
+ * @param {Object} [options] - `{ includeInvalid }` to get every record as stored
+ *   (the admin console needs to show the broken ones); `{ fresh }` to bypass
+ *   the offline copy so edits never start from stale data
+ * @returns {Promise<Object>} Promise that resolves to certificates data
+ */
+async function fetchCertificates(options = {}) {
+    const response = await fetchDatabaseFile('certificates.json', options.fresh ? { cache: 'no-store' } : {});
+    const data = await readDatabaseJson(response);
+    
+    if (!data || !Array.isArray(data.certificates)) {
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_INVALID, 'certificates.json has no "certificates" array');
+    }
+    
+    if (options.includeInvalid) {
+        return data;
+    }
+    
+    return { ...data, ...screenCertificateRecords(data.certificates, 'certificates.json') };
+}
 
 /**
- * Initialize the application when DOM is loaded
+ * Compute a hex-encoded SHA-256 digest with the Web Crypto API
+ * @param {string} text - Text to hash (UTF-8)
+ * @returns {Promise<string>} Lower-case hex digest
  */
-document.addEventListener('DOMContentLoaded', function() {
-    try {
-        // Check if we're on the index page
-        const verificationForm = document.getElementById('verificationForm');
-        if (verificationForm) {
-            // Add form submit event listener
-            verificationForm.addEventListener('submit', handleFormSubmit);
-            
-            // Add input validation
-            const inputs = verificationForm.querySelectorAll('input');
-            inputs.forEach(input => {
-                input.addEventListener('input', function() {
-                    // Remove any error styling
-                    this.style.borderColor = '';
-                });
-                
-                // Add paste event listener to clean up pasted content
-                input.addEventListener('paste', function(e) {
-                    setTimeout(() => {
-                        this.value = this.value.trim();
-                    }, 0);
-                });
-            });
-            
-        }
-        
-    } catch (error) {
-        console.error('Error initializing application:', error);
+async function sha256Hex(text) {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('Web Crypto API is not available (a secure context is required)');
     }
-});
+    
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
 
-// ==========================================
-// ERROR HANDLING
-// ==========================================
+/**
+ * Generate a random salt like tools/lib/keys.js, for key hashes and
+ * credential identities
+ * @returns {string} 32-character hex salt
+ */
+function generateSaltHex() {
+    return Array.from(window.crypto.getRandomValues(new Uint8Array(16)))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
 
 /**
- * Global error handler
+ * Hash a certificate key the same way tools/lib/keys.js does: PBKDF2 over
+ * `id:key` with the record's salt and iteration count, or a single SHA-256
+ * round of `id:key:salt` for records hashed before `keyIterations` existed
+ * @param {string} id - Certificate ID
+ * @param {string} key - Plaintext verification key
+ * @param {string} salt - Per-record salt from the database (hex)
+ * @param {number} [iterations] - The record's `keyIterations`
+ * @returns {Promise<string>} Lower-case hex digest
  */
-window.addEventListener('error', function(event) {
-    console.error('Global error:', event.error);
+async function hashCertificateKey(id, key, salt, iterations) {
+    if (!iterations) {
+        return sha256Hex(`${id}:${key}:${salt}`);
+    }
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('Web Crypto API is not available (a secure context is required)');
+    }
     
-    // Show user-friendly error message if no other error state is shown
-    const errorState = document.getElementById('errorState');
-    const certificateState = document.getElementById('certificateState');
-    const loadingState = document.getElementById('loadingState');
+    const material = await window.crypto.subtle.importKey('raw', new TextEncoder().encode(`${id}:${key}`),
+        'PBKDF2', false, ['deriveBits']);
+    const saltBytes = Uint8Array.from(salt.match(/../g) || [], pair => parseInt(pair, 16));
+    const bits = await window.crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations }, material, 256);
     
-    if (errorState && 
-        (!certificateState || certificateState.style.display === 'none') &&
-        (!loadingState || loadingState.style.display === 'none')) {
-        showError();
+    return Array.from(new Uint8Array(bits))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// ==========================
+// Sharded database lookup
+// ==========================
+
+// Manifest is `undefined` until loaded and `null` when no shards are deployed
+let _shardManifest;
+const _shardCache = new Map();
+
+/**
+ * Fetch the shard manifest. `no-cache` revalidates the browser's HTTP cache,
+ * but sw.js still answers from its stored copy while it refreshes it in the
+ * background (a newer copy arrives as `ptsc:databaseupdate`); only
+ * `no-store` would bypass the service worker, and break offline lookups.
+ * @returns {Promise<Object|null>} Manifest, or null if the site has no shards
+ */
+async function fetchShardManifest() {
+    if (_shardManifest !== undefined) return _shardManifest;
+    
+    const response = await fetchDatabaseFile(SHARD_MANIFEST_URL, { cache: 'no-cache', allowMissing: true });
+    if (!response) {
+        _shardManifest = null;
+        return _shardManifest;
     }
-});
+    
+    const manifest = await readDatabaseJson(response);
+    if (!manifest || !manifest.version || !Array.isArray(manifest.shards)) {
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_INVALID, 'Malformed shard manifest');
+    }
+    
+    _shardManifest = manifest;
+    return _shardManifest;
+}
 
 /**
- * Handle unhandled promise rejections
+ * Compute the shard prefix for a certificate or recipient ID.
+ * Must match `shardPrefix()` in tools/lib/shards.js.
+ * @param {string} id - Certificate or recipient ID
+ * @param {number} prefixLength - Number of hex characters in the prefix
+ * @returns {Promise<string>} Shard prefix
  */
-window.addEventListener('unhandledrejection', function(event) {
-    console.error('Unhandled promise rejection:', event.reason);
-    event.preventDefault();
-});
+async function shardPrefixForId(id, prefixLength) {
+    const digest = await sha256Hex(id.trim());
+    return digest.slice(0, prefixLength);
+}
 
-// ==========================================
-// ADDITIONAL UTILITY FUNCTIONS
-// ==========================================
+/**
+ * Open the Cache API store for shards, dropping entries from older builds
+ * @param {string} version - Current manifest version
+ * @returns {Promise<Cache|null>} Cache, or null where the Cache API is unavailable
+ */
+async function openShardCache(version) {
+    if (typeof caches === 'undefined') return null;
+    
+    try {
+        const cache = await caches.open(SHARD_CACHE_NAME);
+        const requests = await cache.keys();
+        await Promise.all(requests
+            .filter(request => new URL(request.url).searchParams.get('v') !== version)
+            .map(request => cache.delete(request)));
+        return cache;
+    } catch (error) {
+        console.warn('Shard cache unavailable:', error);
+        return null;
+    }
+}
 
 /**
- * Copy current page URL to clipboard
- * Used in certificate sharing functionality
+ * Fetch one shard file, using the in-memory and Cache API copies when present
+ * @param {string} name - Path below SHARD_BASE_URL without `.json`, e.g. `0a`
+ * @param {Object} manifest - Shard manifest
+ * @param {Function} isValid - Returns true when the parsed JSON is usable
+ * @returns {Promise<Object>} Shard data
  */
-function copyCurrentUrl() {
-    const url = window.location.href;
+async function fetchShardFile(name, manifest, isValid) {
+    const url = `${SHARD_BASE_URL}${name}.json?v=${encodeURIComponent(manifest.version)}`;
     
-    if (navigator.clipboard && window.isSecureContext) {
-        // Use modern clipboard API if available
-        return navigator.clipboard.writeText(url);
-    } else {
-        // Fallback for older browsers
-        const textArea = document.createElement('textarea');
-        textArea.value = url;
-        textArea.style.position = 'fixed';
-        textArea.style.opacity = '0';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
-        
+    if (_shardCache.has(url)) {
+        return _shardCache.get(url);
+    }
+    
+    const cache = await openShardCache(manifest.version);
+    const cached = cache ? await cache.match(url) : undefined;
+    const response = cached || await fetchDatabaseFile(url);
+    
+    // Parse a copy first so a corrupt download never ends up in the cache
+    const data = await readDatabaseJson(response.clone());
+    if (!data || !isValid(data)) {
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_INVALID, `Shard ${name} is malformed`);
+    }
+    
+    if (cache && !cached) {
         try {
-            const successful = document.execCommand('copy');
-            document.body.removeChild(textArea);
-            return successful ? Promise.resolve() : Promise.reject();
-        } catch (err) {
-            document.body.removeChild(textArea);
-            return Promise.reject(err);
+            await cache.put(url, response);
+        } catch (error) {
+            console.warn(`Could not cache shard ${name}:`, error);
         }
     }
+    
+    _shardCache.set(url, data);
+    return data;
 }
 
 /**
- * Check if device supports printing
+ * Fetch one certificate shard
+ * @param {string} prefix - Shard prefix
+ * @param {Object} manifest - Shard manifest
+ * @returns {Promise<Object>} Shard data (`{ certificates, rejected }`, screened like fetchCertificates())
  */
-function canPrint() {
-    return window.print && typeof window.print === 'function';
+async function fetchShard(prefix, manifest) {
+    const data = await fetchShardFile(prefix, manifest, shard => Array.isArray(shard.certificates));
+    return { ...data, ...screenCertificateRecords(data.certificates, `shard ${prefix}`) };
 }
 
 /**
- * Print certificate (if supported)
+ * Fetch the shard manifest of a site that is meant to be sharded
+ * @returns {Promise<Object>} Manifest
+ * @throws {VerificationError} DATABASE_UNAVAILABLE if no shards are deployed
  */
-function printCertificate() {
-    if (canPrint()) {
-        window.print();
-    } else {
-        alert('Printing is not supported on this device/browser');
+async function requireShardManifest() {
+    const manifest = await fetchShardManifest();
+    if (!manifest) {
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_UNAVAILABLE,
+            `No shard manifest at ${SHARD_MANIFEST_URL} - run tools/build-shards.js`);
     }
+    return manifest;
 }
 
 /**
- * Download certificate as PDF or JPG
- * @param {string} format - 'pdf' or 'jpg'
+ * Look up a certificate record by ID, downloading only the shard it lives in
+ * @param {string} id - Normalized certificate ID
+ * @returns {Promise<Object|null>} Matching record, or null if there is none
+ * @throws {VerificationError} DATABASE_INVALID if the record fails validation
  */
-async function downloadCertificate(format) {
-    const certificateContainer = document.querySelector('.certificate-container');
-    const navigation = document.querySelector('.navigation');
-
-    if (!certificateContainer) {
-        alert('Certificate not found. Please ensure the certificate is loaded.');
-        return;
+async function findShardedRecord(id) {
+    const manifest = await requireShardManifest();
+    const prefix = await shardPrefixForId(id, manifest.prefixLength);
+    if (!manifest.shards.includes(prefix)) {
+        return null;
     }
+    return findRecordInDatabase(await fetchShard(prefix, manifest), id);
+}
 
-    // Prepare filename details
-    const recipientName = document.getElementById('recipientName')?.textContent || 'Certificate';
-    const certificateId = document.getElementById('certificateId')?.textContent || 'PTSC';
-    const filenameBase = `${recipientName.replace(/\s+/g, '_')}_${certificateId}_PTSC_Certificate`;
-
-    // Use an offscreen clone to ensure consistent A4 dimensions for capture
-    const clone = certificateContainer.cloneNode(true);
-    clone.style.position = 'absolute';
-    clone.style.left = '-9999px';
-    clone.style.top = '0';
-    clone.style.width = '1123px';
-    clone.style.height = '794px';
-    clone.style.margin = '0';
-    clone.style.boxShadow = 'none';
-    clone.style.borderRadius = '0';
+/**
+ * Find every certificate issued to a recipient through the recipient index
+ * shards. Shard builds from before the index have none, so those scan
+ * certificates.json instead.
+ * @param {string} recipientId - Normalized recipient ID
+ * @returns {Promise<Object[]>} Matching records (possibly empty)
+ */
+async function findShardedRecipientCertificates(recipientId) {
+    const manifest = await requireShardManifest();
+    if (!Array.isArray(manifest.recipientShards)) {
+        return findStaticRecipientCertificates(recipientId);
+    }
+    
+    const prefix = await shardPrefixForId(recipientId, manifest.prefixLength);
+    if (!manifest.recipientShards.includes(prefix)) {
+        return [];
+    }
+    
+    const index = await fetchShardFile(`${RECIPIENT_SHARD_DIR}${prefix}`, manifest,
+        data => data.recipients && typeof data.recipients === 'object');
+    const ids = Array.isArray(index.recipients[recipientId]) ? index.recipients[recipientId] : [];
+    // Skip records that fail validation rather than hiding the whole portfolio
+    const records = await Promise.all(ids.map(id => findShardedRecord(id).catch(error => {
+        if (error instanceof VerificationError && error.code === VERIFICATION_ERRORS.DATABASE_INVALID) {
+            return null;
+        }
+        throw error;
+    })));
+    return records.filter(record => record && record.recipientId === recipientId);
+}
 
-    // Add a light watermark with certificate id to the clone (traceable)
-    const watermark = document.createElement('div');
-    watermark.className = 'download-watermark';
-    watermark.textContent = `${certificateId}`;
-    clone.appendChild(watermark);
+// ==========================
+// Attempt limiting
+// ==========================
 
-    document.body.appendChild(clone);
+/**
+ * Failed verification attempts recorded in this browser
+ * @param {number} [now] - Reference time in milliseconds
+ * @returns {Object} `{ failures, lastFailureAt }`, reset after ATTEMPT_RESET_MS without a failure
+ */
+function readFailedAttempts(now = Date.now()) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ATTEMPTS_STORAGE_KEY) || 'null');
+        if (stored && Number.isInteger(stored.failures) && now - stored.lastFailureAt < ATTEMPT_RESET_MS) {
+            return stored;
+        }
+    } catch (error) {
+        console.warn('Could not read failed verification attempts:', error);
+    }
+    return { failures: 0, lastFailureAt: 0 };
+}
 
+/**
+ * Count a failed attempt (an unknown ID or a wrong key). Successful checks
+ * do not reset the count, so one valid key cannot be used to keep guessing.
+ */
+function recordFailedAttempt() {
+    const { failures } = readFailedAttempts();
     try {
-        // Temporarily hide navigation to avoid visual shift
-        if (navigation) navigation.style.visibility = 'hidden';
+        localStorage.setItem(ATTEMPTS_STORAGE_KEY, JSON.stringify({ failures: failures + 1, lastFailureAt: Date.now() }));
+    } catch (error) {
+        console.warn('Could not record failed verification attempt:', error);
+    }
+}
 
-        // Provide user feedback
-        const originalCursor = document.body.style.cursor;
-        document.body.style.cursor = 'wait';
+/**
+ * Wait required before the next attempt after a number of failures
+ * @param {number} failures - Failed attempts so far
+ * @returns {number} Milliseconds (0 while attempts are still free)
+ */
+function backoffDelay(failures) {
+    if (failures < FREE_FAILED_ATTEMPTS) return 0;
+    return Math.min(BACKOFF_BASE_MS * 2 ** (failures - FREE_FAILED_ATTEMPTS), BACKOFF_MAX_MS);
+}
 
-        // Use devicePixelRatio for better quality on mobile/retina
-        const pixelRatio = Math.max(2, window.devicePixelRatio || 1);
+/**
+ * Proof-of-work difficulty required after a number of failures
+ * @param {number} failures - Failed attempts so far
+ * @returns {number} Leading zero bits (0 when no challenge is needed)
+ */
+function challengeDifficulty(failures) {
+    if (failures < CHALLENGE_AFTER_FAILURES) return 0;
+    return Math.min(CHALLENGE_DIFFICULTY_BITS + failures - CHALLENGE_AFTER_FAILURES, CHALLENGE_MAX_DIFFICULTY_BITS);
+}
 
-        const canvas = await html2canvas(clone, {
-            scale: pixelRatio,
-            useCORS: true,
-            backgroundColor: '#ffffff',
-            width: 1123,
-            height: 794,
-            scrollX: 0,
-            scrollY: 0,
-            windowWidth: 1123,
-            windowHeight: 794
-        });
+/**
+ * Time left before this browser may check another key
+ * @param {number} [now] - Reference time in milliseconds
+ * @returns {number} Milliseconds (0 if a check is allowed now)
+ */
+function getVerificationBackoff(now = Date.now()) {
+    const { failures, lastFailureAt } = readFailedAttempts(now);
+    return Math.max(0, lastFailureAt + backoffDelay(failures) - now);
+}
 
-        if (format === 'jpg') {
-            const link = document.createElement('a');
-            link.download = `${filenameBase}.jpg`;
-            link.href = canvas.toDataURL('image/jpeg', 0.95);
-            link.click();
+/**
+ * Count the leading zero bits of a digest
+ * @param {Uint8Array} bytes - Digest
+ * @returns {number} Number of leading zero bits
+ */
+function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte !== 0) return bits + Math.clz32(byte) - 24;
+        bits += 8;
+    }
+    return bits;
+}
 
-        } else if (format === 'pdf') {
-            const { jsPDF } = window.jspdf;
-            const pdf = new jsPDF('landscape', 'mm', 'a4');
-            const pdfWidth = 297; // mm
-            const pdfHeight = 210; // mm
-
-            // Convert canvas px to mm at 96 DPI baseline
-            const pxPerMm = 96 / 25.4; // ~3.78
-            const imgWidthMm = canvas.width / pxPerMm;
-            const imgHeightMm = canvas.height / pxPerMm;
-
-            // Fit image into PDF while keeping aspect ratio
-            const ratio = Math.min(pdfWidth / imgWidthMm, pdfHeight / imgHeightMm);
-            const finalWidth = imgWidthMm * ratio;
-            const finalHeight = imgHeightMm * ratio;
-            const x = (pdfWidth - finalWidth) / 2;
-            const y = (pdfHeight - finalHeight) / 2;
-
-            pdf.addImage(canvas.toDataURL('image/jpeg', 0.95), 'JPEG', x, y, finalWidth, finalHeight);
-            pdf.save(`${filenameBase}.pdf`);
+/**
+ * Find a proof of work: a nonce for which SHA-256(`challenge:nonce`) starts
+ * with `difficulty` zero bits. Must match checkProofOfWork() in
+ * tools/lib/attempt-limits.js.
+ * @param {string} challenge - Random challenge
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {Promise<string>} Nonce
+ */
+async function solveProofOfWork(challenge, difficulty) {
+    const encoder = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+        const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+        if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+            return String(nonce);
         }
+    }
+}
 
-        // Restore UI
-        document.body.style.cursor = originalCursor;
-        if (navigation) navigation.style.visibility = 'visible';
-
-    } catch (error) {
-        console.error('Download failed:', error);
-        alert('Download failed. Please try again or use the print option.');
-    } finally {
+/**
+ * Apply the back-off and challenge before a key is checked in the browser.
+ * Nobody else can check a challenge made here, so it only makes every
+ * further guess cost CPU time; a verification endpoint enforces the real limit.
+ * @param {string} id - Certificate ID being checked
+ * @param {Object} [options] - `{ onChallenge }` called before a proof of work starts
+ * @throws {VerificationError} RATE_LIMITED while the back-off runs
+ */
+async function guardVerificationAttempt(id, options = {}) {
+    const wait = getVerificationBackoff();
+    if (wait > 0) {
+        throw new VerificationError(VERIFICATION_ERRORS.RATE_LIMITED,
+            `Next attempt allowed in ${wait} ms`, { id, retryAfterMs: wait });
+    }
+    
+    const difficulty = challengeDifficulty(readFailedAttempts().failures);
+    if (difficulty) {
+        if (options.onChallenge) options.onChallenge();
+        const challenge = Array.from(window.crypto.getRandomValues(new Uint8Array(16)),
+            byte => byte.toString(16).padStart(2, '0')).join('');
+        await solveProofOfWork(challenge, difficulty);
+    }
+}
+
+// ==========================
+// Verification endpoint
+// ==========================
+
+/**
+ * Resolve a path below VERIFICATION_ENDPOINT
+ * @param {string} path - Path without a leading slash, e.g. `certificates/PTSC2025-0123`
+ * @returns {URL} Absolute URL (a relative endpoint is resolved against the page)
+ */
+function endpointUrl(path) {
+    if (!VERIFICATION_ENDPOINT) {
+        throw new Error('The REST backend needs VERIFICATION_ENDPOINT to be set');
+    }
+    return new URL(`${VERIFICATION_ENDPOINT.replace(/\/+$/, '')}/${path}`, window.location.href);
+}
+
+/**
+ * Check a key with VERIFICATION_ENDPOINT, answering its proof-of-work
+ * challenge if it asks for one
+ * @param {string} id - Normalized certificate ID
+ * @param {string} key - Normalized key
+ * @param {Object} [options] - `{ onChallenge }` called before a proof of work starts
+ * @returns {Promise<Object>} Certificate record
+ * @throws {VerificationError} If the endpoint does not confirm the certificate
+ */
+async function validateWithEndpoint(id, key, options = {}) {
+    const url = endpointUrl(`certificates/${encodeURIComponent(id)}`);
+    url.searchParams.set('key', key);
+    
+    for (let round = 0; round < 2; round++) {
+        let response;
+        try {
+            response = await fetch(url.toString(), { cache: 'no-store' });
+        } catch (error) {
+            console.error(`Error contacting ${VERIFICATION_ENDPOINT}:`, error);
+            throw new VerificationError(VERIFICATION_ERRORS.DATABASE_UNAVAILABLE, 'Verification endpoint is unreachable');
+        }
+        const body = await response.json().catch(() => ({}));
+        
+        if (response.ok) {
+            const problems = validateCertificateRecord(body.certificate);
+            if (problems.length || body.certificate.id !== id) {
+                throw new VerificationError(VERIFICATION_ERRORS.DATABASE_INVALID,
+                    `Endpoint returned an invalid record for ${id}: ${problems.join('; ') || 'wrong ID'}`, { id });
+            }
+            return body.certificate;
+        }
+        
+        if (response.status === 404) {
+            throw new VerificationError(VERIFICATION_ERRORS.NOT_FOUND, `No certificate with ID ${id}`, { id });
+        }
+        if (response.status === 403) {
+            throw new VerificationError(VERIFICATION_ERRORS.KEY_MISMATCH, `Key does not match certificate ${id}`, { id });
+        }
+        if (response.status === 429) {
+            const seconds = Number(body.retryAfter) || Number(response.headers.get('Retry-After')) || 60;
+            throw new VerificationError(VERIFICATION_ERRORS.RATE_LIMITED,
+                `Endpoint asks to retry in ${seconds} s`, { id, retryAfterMs: seconds * 1000 });
+        }
+        
+        // 428: solve the challenge once and repeat the request with the proof
+        const difficulty = Number(body.difficulty);
+        if (response.status === 428 && round === 0 && typeof body.challenge === 'string' &&
+            Number.isInteger(difficulty) && difficulty <= CHALLENGE_MAX_DIFFICULTY_BITS) {
+            if (options.onChallenge) options.onChallenge();
+            url.searchParams.set('challenge', body.challenge);
+            url.searchParams.set('proof', await solveProofOfWork(body.challenge, difficulty));
+            continue;
+        }
+        
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_UNAVAILABLE,
+            `Verification endpoint answered ${response.status} for ${id}`);
+    }
+}
+
+// Fields the endpoint leaves out of recipient lists (same list as
+// PUBLIC_OMITTED_FIELDS in tools/lib/database.js): anyone with a recipient ID
+// could otherwise guess keys offline against the key hash. The signature
+// covers the key hash, so it goes too.
+const PUBLIC_RECORD_OMITTED_FIELDS = ['salt', 'keyHash', 'keyIterations', 'signature'];
+
+/**
+ * Copy of a record without PUBLIC_RECORD_OMITTED_FIELDS
+ * @param {Object} record - Certificate record
+ * @returns {Object} Public part of the record
+ */
+function publicCertificateRecord(record) {
+    const copy = { ...record };
+    PUBLIC_RECORD_OMITTED_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+/**
+ * List a recipient's certificates through VERIFICATION_ENDPOINT
+ * (`GET <endpoint>/recipients/<recipient id>`). Only the public part of each
+ * record is kept, even from an endpoint that sends more.
+ * @param {string} recipientId - Normalized recipient ID
+ * @returns {Promise<Object[]>} Matching records (possibly empty)
+ */
+async function fetchEndpointRecipientCertificates(recipientId) {
+    const url = endpointUrl(`recipients/${encodeURIComponent(recipientId)}`);
+    let response;
+    try {
+        response = await fetch(url.toString(), { cache: 'no-store' });
+    } catch (error) {
+        console.error(`Error contacting ${VERIFICATION_ENDPOINT}:`, error);
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_UNAVAILABLE, 'Verification endpoint is unreachable');
+    }
+    
+    if (!response.ok) {
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_UNAVAILABLE,
+            `Verification endpoint answered ${response.status} for recipient ${recipientId}`);
+    }
+    
+    const data = await readDatabaseJson(response);
+    if (!data || !Array.isArray(data.certificates)) {
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_INVALID, 'Endpoint recipient list has no "certificates" array');
+    }
+    
+    const records = data.certificates.map(record =>
+        record && typeof record === 'object' && !Array.isArray(record) ? publicCertificateRecord(record) : record);
+    const { certificates } = screenCertificateRecords(records, `recipient ${recipientId}`, { requireKeyHash: false });
+    return certificates.filter(cert => cert.recipientId === recipientId);
+}
+
+// ==========================
+// Verification backends
+// ==========================
+
+/**
+ * Pick a record out of a screened database or shard
+ * @param {Object} database - `{ certificates, rejected }` from fetchCertificates() or fetchShard()
+ * @param {string} id - Normalized certificate ID
+ * @returns {Object|null} Matching record, or null if there is none
+ * @throws {VerificationError} DATABASE_INVALID if the record fails validation
+ */
+function findRecordInDatabase(database, id) {
+    // A damaged record is the club's problem, not a certificate that never existed
+    if (database.rejected.has(id)) {
+        throw new VerificationError(VERIFICATION_ERRORS.DATABASE_INVALID,
+            `Record ${id} failed validation: ${database.rejected.get(id).join('; ')}`, { id });
+    }
+    
+    return database.certificates.find(cert => cert.id.trim() === id) || null;
+}
+
+/**
+ * Look up a certificate record by ID in certificates.json
+ * @param {string} id - Normalized certificate ID
+ * @returns {Promise<Object|null>} Matching record, or null if there is none
+ */
+async function findStaticRecord(id) {
+    return findRecordInDatabase(await fetchCertificates(), id);
+}
+
+/**
+ * Find every certificate issued to a recipient in certificates.json
+ * @param {string} recipientId - Normalized recipient ID
+ * @returns {Promise<Object[]>} Matching records (possibly empty)
+ */
+async function findStaticRecipientCertificates(recipientId) {
+    const { certificates } = await fetchCertificates();
+    return certificates.filter(cert => cert.recipientId === recipientId);
+}
+
+/**
+ * Check a key against records the browser downloads itself, applying the
+ * attempt limits
+ * @param {Function} findRecord - Backend lookup, `id => record|null`
+ * @param {string} id - Normalized certificate ID
+ * @param {string} key - Normalized key
+ * @param {Object} [options] - `{ onChallenge }` called before a proof of work
+ *   starts; `{ limitAttempts: false }` for organiser tools checking keys from
+ *   their own CSV, so stale keys neither count as failures nor wait
+ * @returns {Promise<Object>} Certificate data if the ID and key match
+ * @throws {VerificationError} If the certificate cannot be verified
+ */
+async function validateLocally(findRecord, id, key, options = {}) {
+    // The records are public either way: the limits only slow down guessing
+    // through the page, so organiser tools may skip them
+    const limitAttempts = options.limitAttempts !== false;
+    if (limitAttempts) await guardVerificationAttempt(id, options);
+    
+    try {
+        // Find certificate with matching ID
+        const certificate = await findRecord(id);
+        if (!certificate) {
+            throw new VerificationError(VERIFICATION_ERRORS.NOT_FOUND, `No certificate with ID ${id}`, { id });
+        }
+        
+        // Records without a key hash (e.g. not yet converted) can never verify
+        const keyHash = certificate.keyHash && certificate.salt
+            ? await hashCertificateKey(id, key, certificate.salt, certificate.keyIterations)
+            : null;
+        
+        // Compare the salted hash of the supplied key with the stored one
+        if (!keyHash || keyHash !== certificate.keyHash.toLowerCase()) {
+            throw new VerificationError(VERIFICATION_ERRORS.KEY_MISMATCH, `Key does not match certificate ${id}`, { id });
+        }
+        
+        return certificate;
+    } catch (error) {
+        if (limitAttempts && error instanceof VerificationError &&
+            (error.code === VERIFICATION_ERRORS.NOT_FOUND || error.code === VERIFICATION_ERRORS.KEY_MISMATCH)) {
+            recordFailedAttempt();
+        }
+        throw error;
+    }
+}
+
+/**
+ * Where certificates are looked up, by VERIFICATION_BACKEND name. Each
+ * backend has:
+ *   validate(id, key, options)     Record for a matching ID and key, or a VerificationError
+ *   findRecipientCertificates(id)  Every record of a recipient (portfolio.html)
+ *   findRecord(id)                 Record by ID without a key; only for
+ *                                  backends whose data is public
+ */
+const VERIFICATION_BACKENDS = {
+    static: {
+        validate: (id, key, options) => validateLocally(findStaticRecord, id, key, options),
+        findRecipientCertificates: findStaticRecipientCertificates,
+        findRecord: findStaticRecord
+    },
+    sharded: {
+        validate: (id, key, options) => validateLocally(findShardedRecord, id, key, options),
+        findRecipientCertificates: findShardedRecipientCertificates,
+        findRecord: findShardedRecord
+    },
+    // The endpoint keeps its own count of failed attempts
+    rest: {
+        validate: validateWithEndpoint,
+        findRecipientCertificates: fetchEndpointRecipientCertificates,
+        findRecord: null
+    }
+};
+
+/**
+ * Resolve VERIFICATION_BACKEND to a backend
+ * @returns {Promise<Object>} Entry of VERIFICATION_BACKENDS
+ */
+async function getVerificationBackend() {
+    if (VERIFICATION_BACKEND !== 'auto') {
+        const backend = VERIFICATION_BACKENDS[VERIFICATION_BACKEND];
+        if (!backend) {
+            throw new Error(`Unknown VERIFICATION_BACKEND "${VERIFICATION_BACKEND}"`);
+        }
+        return backend;
+    }
+    
+    if (VERIFICATION_ENDPOINT) {
+        return VERIFICATION_BACKENDS.rest;
+    }
+    return (await fetchShardManifest()) ? VERIFICATION_BACKENDS.sharded : VERIFICATION_BACKENDS.static;
+}
+
+/**
+ * Look up a certificate record by ID without its key
+ * @param {string} id - Normalized certificate ID
+ * @returns {Promise<Object|null>} Matching record, or null if there is none
+ * @throws {VerificationError} DATABASE_INVALID if the record fails validation
+ */
+async function findCertificateRecord(id) {
+    const backend = await getVerificationBackend();
+    if (!backend.findRecord) {
+        throw new Error('The active verification backend only returns records for a matching key');
+    }
+    return backend.findRecord(id);
+}
+
+/**
+ * Find every certificate issued to a recipient
+ * @param {string} recipientId - Normalized recipient ID
+ * @returns {Promise<Object[]>} Matching records (possibly empty)
+ */
+async function findRecipientCertificates(recipientId) {
+    const backend = await getVerificationBackend();
+    return backend.findRecipientCertificates(recipientId);
+}
+
+/**
+ * Validate certificate credentials with the active verification backend
+ * @param {string} id - Certificate ID
+ * @param {string} key - Certificate key
+ * @param {Object} [options] - `{ onChallenge }` called before a proof of work
+ *   starts; `{ limitAttempts: false }` to skip the browser's attempt limits
+ *   (see validateLocally(); a verification endpoint still applies its own)
+ * @returns {Promise<Object>} Certificate data if the ID and key match
+ * @throws {VerificationError} If the certificate cannot be verified
+ */
+async function validateCertificate(id, key, options = {}) {
+    // Trim whitespace and normalize the input
+    const normalizedId = (id || '').trim();
+    const normalizedKey = (key || '').trim();
+    
+    if (!normalizedId || !normalizedKey) {
+        throw new VerificationError(VERIFICATION_ERRORS.MALFORMED_LINK, 'Certificate ID and key are required');
+    }
+    
+    const backend = await getVerificationBackend();
+    return backend.validate(normalizedId, normalizedKey, options);
+}
+
+/**
+ * Get today's date as YYYY-MM-DD in the viewer's local time zone
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @returns {string} Local calendar date
+ */
+function localDateString(now = new Date()) {
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Work out whether a verified certificate is still in force
+ * @param {Object} certificate - Certificate record
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @returns {Object} `{ state, date, reason }` where state is 'valid', 'expired' or 'revoked'
+ */
+function getCertificateStatus(certificate, now = new Date()) {
+    // Revocation wins over expiry: it is an explicit decision by the club
+    if (certificate.revoked === true) {
+        return {
+            state: 'revoked',
+            date: certificate.revokedOn || null,
+            reason: certificate.revocationReason || null
+        };
+    }
+    
+    // A certificate is valid up to and including its expiry date
+    if (certificate.expiresOn && localDateString(now) > certificate.expiresOn) {
+        return { state: 'expired', date: certificate.expiresOn, reason: null };
+    }
+    
+    return { state: 'valid', date: certificate.expiresOn || null, reason: null };
+}
+
+// ==========================================
+// SIGNATURE VERIFICATION
+// ==========================================
+
+/**
+ * Serialize a value as JSON with object keys sorted recursively.
+ * Must match `canonicalize()` in tools/lib/signing.js.
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalizeRecord(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalizeRecord).join(',')}]`;
+    }
+    
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalizeRecord(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    
+    return JSON.stringify(value);
+}
+
+/**
+ * Decode a base64url string
+ * @param {string} text - base64url-encoded data
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    const binary = atob(padded);
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Check a certificate record's signature against the club public key
+ * @param {Object} certificate - Certificate record
+ * @returns {Promise<string>} 'valid', 'invalid' or 'unsigned'
+ */
+async function verifyRecordSignature(certificate) {
+    if (!certificate || !certificate.signature) {
+        return 'unsigned';
+    }
+    
+    try {
+        const { signature, ...unsigned } = certificate;
+        const publicKey = await window.crypto.subtle.importKey(
+            'jwk',
+            SIGNING_PUBLIC_KEY,
+            { name: 'ECDSA', namedCurve: 'P-256' },
+            false,
+            ['verify']
+        );
+        
+        const isValid = await window.crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            publicKey,
+            base64UrlToBytes(signature),
+            new TextEncoder().encode(canonicalizeRecord(unsigned))
+        );
+        
+        return isValid ? 'valid' : 'invalid';
+    } catch (error) {
+        console.error('Error verifying certificate signature:', error);
+        return 'invalid';
+    }
+}
+
+// ==========================================
+// ISSUANCE LOG
+// ==========================================
+
+// `previous` of the first event (must match GENESIS_HASH in tools/lib/issuance-log.js)
+const LOG_GENESIS_HASH = '0'.repeat(64);
+const LOG_ACTIONS = ['issue', 'correct', 'revoke'];
+
+// Parsed log for this page load (a promise, so lookups share one download)
+let _issuanceLog = null;
+
+/**
+ * Hash of a log event: SHA-256 of its canonical JSON without the `hash`
+ * field. Must match `eventHash()` in tools/lib/issuance-log.js.
+ * @param {Object} event - Log event
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function hashLogEvent(event) {
+    const { hash, ...body } = event;
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalizeRecord(body)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check that every event is well formed and chained to the one before it
+ * @param {Object[]} events - Parsed log events
+ * @returns {Promise<Object>} `{ intact, length, brokenAt, hashes }`; `brokenAt`
+ *   is the 1-based position of the first bad event
+ */
+async function verifyIssuanceChain(events) {
+    const hashes = [];
+    let previous = LOG_GENESIS_HASH;
+    
+    for (let i = 0; i < events.length; i++) {
+        const event = events[i];
+        const wellFormed = event && event.seq === i + 1 && event.previous === previous &&
+            LOG_ACTIONS.includes(event.action) && event.record && event.record.id === event.id;
+        
+        if (!wellFormed || event.hash !== await hashLogEvent(event)) {
+            return { intact: false, length: events.length, brokenAt: i + 1, hashes };
+        }
+        hashes.push(event.hash);
+        previous = event.hash;
+    }
+    
+    return { intact: true, length: events.length, brokenAt: null, hashes };
+}
+
+/**
+ * Compare an intact log with the head remembered from an earlier visit, then
+ * remember the new head. A log that no longer contains the remembered head
+ * at the same position has had events rewritten or removed.
+ * @param {Object} chain - Output of verifyIssuanceChain()
+ * @returns {boolean} False if the log was rewritten since the last visit
+ */
+function checkRememberedLogHead(chain) {
+    let consistent = true;
+    
+    try {
+        const remembered = JSON.parse(localStorage.getItem(LOG_HEAD_STORAGE_KEY) || 'null');
+        if (remembered && remembered.length > 0) {
+            consistent = chain.length >= remembered.length && chain.hashes[remembered.length - 1] === remembered.head;
+        }
+        
+        // Keep the earlier head after a rewrite so the warning persists
+        if (consistent && chain.length) {
+            localStorage.setItem(LOG_HEAD_STORAGE_KEY, JSON.stringify({
+                length: chain.length,
+                head: chain.hashes[chain.length - 1]
+            }));
+        }
+    } catch (error) {
+        console.warn('Could not check the remembered issuance log head:', error);
+    }
+    
+    return consistent;
+}
+
+/**
+ * Parse issuance-log.jsonl
+ * @param {string} text - File content, one event per line
+ * @returns {Array<Object|null>} Events in file order; null for an unreadable
+ *   line, which breaks the chain at that position
+ */
+function parseIssuanceLog(text) {
+    return text.split('\n').filter(line => line.trim()).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            return null;
+        }
+    });
+}
+
+/**
+ * Download, parse and check the issuance log once per page load
+ * @returns {Promise<Object|null>} `{ events, chain, consistent }`, or null if
+ *   the site does not publish a log
+ */
+function loadIssuanceLog() {
+    if (!_issuanceLog) {
+        _issuanceLog = (async () => {
+            const response = await fetch(ISSUANCE_LOG_URL);
+            if (response.status === 404) return null;
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status} for ${ISSUANCE_LOG_URL}`);
+            
+            const events = parseIssuanceLog(await response.text());
+            const chain = await verifyIssuanceChain(events);
+            return { events, chain, consistent: chain.intact ? checkRememberedLogHead(chain) : true };
+        })();
+        
+        // Allow a retry after a network failure
+        _issuanceLog.catch(() => { _issuanceLog = null; });
+    }
+    return _issuanceLog;
+}
+
+/**
+ * Issuance history of a certificate and whether the log backs up the record
+ * @param {Object} certificate - Verified certificate record
+ * @returns {Promise<Object|null>} `{ events, intact, brokenAt, consistent, logged,
+ *   matchesLog }`, or null if no log is published or it could not be loaded
+ */
+async function getIssuanceHistory(certificate) {
+    try {
+        const log = await loadIssuanceLog();
+        if (!log) return null;
+        
+        const events = log.chain.intact ? log.events.filter(event => event.id === certificate.id) : [];
+        const latest = events[events.length - 1];
+        
+        return {
+            events,
+            intact: log.chain.intact,
+            brokenAt: log.chain.brokenAt,
+            consistent: log.consistent,
+            logged: events.length > 0,
+            matchesLog: Boolean(latest) && canonicalizeRecord(latest.record) === canonicalizeRecord(certificate)
+        };
+    } catch (error) {
+        console.warn('Could not load the issuance log:', error);
+        return null;
+    }
+}
+
+/**
+ * Show the issuance history of the certificate on screen
+ */
+function renderIssuanceHistory() {
+    const section = document.getElementById('issuanceHistory');
+    if (!section) return;
+    
+    const history = _activeVerification && _activeVerification.history;
+    if (!history) {
+        section.hidden = true;
+        return;
+    }
+    
+    let status;
+    if (!history.intact) {
+        status = { ok: false, text: t('history.broken', 'The issuance log is damaged at entry {entry}, so this history cannot be trusted.', { entry: history.brokenAt }) };
+    } else if (!history.consistent) {
+        status = { ok: false, text: t('history.rewritten', 'The issuance log has been rewritten since your last visit: entries seen before were changed or removed.') };
+    } else if (!history.logged) {
+        status = { ok: false, text: t('history.missing', 'This certificate does not appear in the issuance log.') };
+    } else if (!history.matchesLog) {
+        status = { ok: false, text: t('history.mismatch', 'This record differs from its latest entry in the issuance log. It may have been edited without being logged.') };
+    } else {
+        status = { ok: true, text: t('history.intact', 'The issuance log is intact and this record matches its latest entry.') };
+    }
+    
+    const statusElement = section.querySelector('.issuance-history-status');
+    statusElement.className = `issuance-history-status ${status.ok ? 'history-ok' : 'history-warning'}`;
+    statusElement.textContent = `${status.ok ? '🔗' : '⚠️'} ${status.text}`;
+    
+    const actions = {
+        issue: t('history.issue', 'Issued'),
+        correct: t('history.correct', 'Corrected'),
+        revoke: t('history.revoke', 'Revoked')
+    };
+    const list = section.querySelector('.issuance-history-list');
+    list.innerHTML = '';
+    history.events.forEach(event => {
+        const item = document.createElement('li');
+        const heading = document.createElement('strong');
+        heading.textContent = `${actions[event.action]} · ${formatDate(event.time.slice(0, 10))}`;
+        item.appendChild(heading);
+        
+        if (event.note) {
+            item.appendChild(document.createTextNode(` — ${event.note}`));
+        }
+        
+        const hash = document.createElement('code');
+        hash.textContent = `#${event.seq} ${event.hash.slice(0, 12)}`;
+        hash.title = event.hash;
+        item.appendChild(hash);
+        list.appendChild(item);
+    });
+    
+    section.hidden = false;
+}
+
+// ==========================================
+// CERTIFICATE DISPLAY
+// ==========================================
+
+// ==========================
+// Certificate templates
+// ==========================
+
+/**
+ * Built-in layout used when templates.json cannot be loaded
+ */
+const DEFAULT_TEMPLATE = {
+    id: 'default',
+    name: 'Certificate',
+    heading: '{type}',
+    wording: {
+        intro: 'This is to certify that',
+        body: 'has successfully completed the',
+        closing: 'organized by Programming and Tech Skill Club',
+        date: 'on {date}'
+    },
+    signatories: [
+        { name: '{issuer}', title: 'Club Coordinator' },
+        { name: 'Head of Department', title: 'Computer Science & Engineering' }
+    ],
+    theme: { primary: '#1a365d', secondary: '#2d4a6b', accent: '#d4af37' }
+};
+
+let _templatesPromise = null;
+
+/**
+ * Fetch the template catalogue (once per page load)
+ * @returns {Promise<Object|null>} templates.json contents, or null if unavailable
+ */
+function fetchTemplates() {
+    if (!_templatesPromise) {
+        _templatesPromise = fetch(TEMPLATES_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.warn('Templates unavailable, using the default layout:', error);
+                _templatesPromise = null;
+                return null;
+            });
+    }
+    
+    return _templatesPromise;
+}
+
+/**
+ * Pick the template for a certificate: its own `template` ID first, then the
+ * template whose `types` include the certificate type, then the catalogue default
+ * @param {Object} certificate - Certificate record
+ * @param {Object|null} catalogue - templates.json contents
+ * @returns {Object} Template (always has an `id`)
+ */
+function selectTemplate(certificate, catalogue) {
+    const templates = (catalogue && catalogue.templates) || {};
+    const type = (certificate.type || '').trim().toLowerCase();
+    
+    let id = certificate.template && templates[certificate.template] ? certificate.template : null;
+    
+    if (!id) {
+        id = Object.keys(templates).find(templateId =>
+            (templates[templateId].types || []).some(candidate => candidate.toLowerCase() === type));
+    }
+    
+    if (!id && catalogue && templates[catalogue.defaultTemplate]) {
+        id = catalogue.defaultTemplate;
+    }
+    
+    if (!id) {
+        return DEFAULT_TEMPLATE;
+    }
+    
+    // Fill any gaps from the built-in layout so partial templates still render
+    const template = templates[id];
+    return {
+        ...DEFAULT_TEMPLATE,
+        ...template,
+        id,
+        wording: { ...DEFAULT_TEMPLATE.wording, ...template.wording },
+        theme: { ...DEFAULT_TEMPLATE.theme, ...template.theme },
+        signatories: template.signatories || DEFAULT_TEMPLATE.signatories
+    };
+}
+
+/**
+ * Load the template for a certificate
+ * @param {Object} certificate - Certificate record
+ * @returns {Promise<Object>} Template to render it with
+ */
+async function loadCertificateTemplate(certificate) {
+    return selectTemplate(certificate, await fetchTemplates());
+}
+
+/**
+ * Replace {field} placeholders in template wording with certificate data
+ * @param {string} text - Template text
+ * @param {Object} certificate - Certificate record
+ * @returns {string} Text with placeholders filled
+ */
+function fillTemplateText(text, certificate) {
+    return (text || '').replace(/\{(\w+)\}/g, (match, field) => {
+        if (field === 'date') {
+            return certificate.date ? formatDate(certificate.date) : '';
+        }
+        return certificate[field] !== undefined ? String(certificate[field]) : '';
+    });
+}
+
+/**
+ * Render a template's wording line, hiding it when the template leaves it empty
+ * @param {Element} root - Element containing the certificate
+ * @param {string} line - Wording key (intro, body, closing)
+ * @param {string} text - Filled text
+ */
+function setTemplateLine(root, line, text) {
+    const element = root.querySelector(`[data-line="${line}"]`);
+    if (!element) return;
+    
+    element.textContent = text;
+    element.style.display = text ? '' : 'none';
+}
+
+/**
+ * Update certificate display with validated data
+ * @param {Object} certificate - Certificate data object
+ * @param {Object} [template] - Template from loadCertificateTemplate()
+ * @param {Document|Element} [root] - Where the certificate markup lives
+ */
+function updateCertificateDisplay(certificate, template = DEFAULT_TEMPLATE, root = document) {
+    try {
+        // Wording, type and name in the active language; the record is untouched
+        const shown = localizeCertificate(certificate);
+        const layout = localizeTemplate(template);
+        
+        const container = root.querySelector('.certificate-container');
+        
+        // Apply the template theme and expose its ID for template-specific styles
+        if (container) {
+            container.dataset.template = layout.id;
+            container.style.setProperty('--cert-primary', layout.theme.primary);
+            container.style.setProperty('--cert-secondary', layout.theme.secondary);
+            container.style.setProperty('--cert-accent', layout.theme.accent);
+        }
+        
+        // Heading (defaults to the certificate type)
+        const typeElement = root.querySelector('#certificateType');
+        if (typeElement) {
+            typeElement.textContent = fillTemplateText(layout.heading, shown);
+        }
+        
+        // Wording around the recipient and event names
+        setTemplateLine(root, 'intro', fillTemplateText(layout.wording.intro, shown));
+        setTemplateLine(root, 'body', fillTemplateText(layout.wording.body, shown));
+        setTemplateLine(root, 'closing', fillTemplateText(layout.wording.closing, shown));
+        
+        // Update recipient name
+        const nameElement = root.querySelector('#recipientName');
+        if (nameElement && shown.name) {
+            nameElement.textContent = shown.name;
+        }
+        
+        // Update event name
+        const eventElement = root.querySelector('#eventName');
+        if (eventElement && shown.event) {
+            eventElement.textContent = shown.event;
+        }
+        
+        // Date line keeps the date in its own span for styling
+        const dateLine = root.querySelector('[data-line="date"]');
+        if (dateLine) {
+            const [before, after = ''] = (layout.wording.date || '').split('{date}');
+            const dateElement = document.createElement('span');
+            dateElement.id = 'completionDate';
+            dateElement.textContent = shown.date ? formatDate(shown.date) : '';
+            dateLine.replaceChildren(
+                fillTemplateText(before, shown), dateElement, fillTemplateText(after, shown));
+            dateLine.style.display = layout.wording.date && shown.date ? '' : 'none';
+        }
+        
+        // Update issue date (same as completion date for now)
+        const issueDateElement = root.querySelector('#issueDate');
+        if (issueDateElement && shown.date) {
+            issueDateElement.textContent = formatDate(shown.date);
+        }
+        
+        // Show the expiry date only for certificates that have one
+        const expiryLine = root.querySelector('#expiryLine');
+        const expiryDateElement = root.querySelector('#expiryDate');
+        if (expiryLine && expiryDateElement) {
+            expiryLine.style.display = shown.expiresOn ? '' : 'none';
+            expiryDateElement.textContent = shown.expiresOn ? formatDate(shown.expiresOn) : '';
+        }
+        
+        // Signatories
+        const signaturesSection = root.querySelector('#signaturesSection');
+        if (signaturesSection) {
+            signaturesSection.replaceChildren(...layout.signatories.map(signatory => {
+                const block = document.createElement('div');
+                block.className = 'signature-block';
+                
+                const line = document.createElement('div');
+                line.className = 'signature-line';
+                
+                const label = document.createElement('p');
+                label.className = 'signature-label';
+                label.textContent = fillTemplateText(signatory.name, shown);
+                if (signatory.name === '{issuer}') label.id = 'issuerName';
+                
+                const title = document.createElement('p');
+                title.className = 'signature-title';
+                title.textContent = fillTemplateText(signatory.title, shown);
+                
+                block.append(line, label, title);
+                return block;
+            }));
+        }
+        
+        // Update certificate ID in verification section
+        const certIdElement = root.querySelector('#certificateId');
+        if (certIdElement && shown.id) {
+            certIdElement.textContent = shown.id;
+        }
+        
+        // Page-level details only apply to the page's own certificate
+        if (root === document) {
+            // Update page title to include recipient name
+            if (certificate.name) {
+                document.title = `Certificate - ${certificate.name} - PTSC KNIT`;
+            }
+            
+            // Update Open Graph meta tags for better social sharing
+            updateOpenGraphMeta(certificate);
+        }
+        
+    } catch (error) {
+        console.error('Error updating certificate display:', error);
+        showError();
+    }
+}
+
+/**
+ * Update Open Graph meta tags for social media sharing
+ * @param {Object} certificate - Certificate data object
+ */
+function updateOpenGraphMeta(certificate) {
+    try {
+        // Update or create Open Graph title
+        let ogTitle = document.querySelector('meta[property="og:title"]');
+        if (!ogTitle) {
+            ogTitle = document.createElement('meta');
+            ogTitle.setAttribute('property', 'og:title');
+            document.head.appendChild(ogTitle);
+        }
+        ogTitle.setAttribute('content', 
+            `${certificate.name} - ${certificate.type} - PTSC KNIT`);
+        
+        // Update or create Open Graph description
+        let ogDescription = document.querySelector('meta[property="og:description"]');
+        if (!ogDescription) {
+            ogDescription = document.createElement('meta');
+            ogDescription.setAttribute('property', 'og:description');
+            document.head.appendChild(ogDescription);
+        }
+        ogDescription.setAttribute('content', 
+            `${certificate.name} has successfully completed ${certificate.event} at Programming and Tech Skill Club, KNIT Sultanpur.`);
+        
+    } catch (error) {
+        console.error('Error updating Open Graph meta:', error);
+    }
+}
+
+/**
+ * Update the signature badge shown above the certificate
+ * @param {string} status - 'valid', 'invalid' or 'unsigned'
+ */
+function updateSignatureBadge(status) {
+    const badge = document.getElementById('signatureBadge');
+    if (!badge) return;
+    
+    const state = describeSignatureStatus(status);
+    badge.className = `signature-badge signature-${state.status}`;
+    badge.textContent = `${state.icon} ${state.text}`;
+}
+
+/**
+ * Wording for a signature check result
+ * @param {string} status - 'valid', 'invalid' or 'unsigned'
+ * @returns {Object} `{ status, icon, text }` (unknown values read as 'unsigned')
+ */
+function describeSignatureStatus(status) {
+    const states = {
+        valid: {
+            icon: '✅',
+            text: t('signature.valid', 'Signature valid — this record was signed by PTSC, KNIT Sultanpur')
+        },
+        invalid: {
+            icon: '⚠️',
+            text: t('signature.invalid', 'Signature invalid — this record has been altered or was not issued by PTSC')
+        },
+        unsigned: {
+            icon: 'ℹ️',
+            text: t('signature.unsigned', 'Unsigned record — authenticity cannot be cryptographically confirmed')
+        }
+    };
+    const known = status in states ? status : 'unsigned';
+    return { status: known, ...states[known] };
+}
+
+/**
+ * Show whether the certificate is valid, expired or revoked
+ * @param {Object} status - Result of getCertificateStatus()
+ */
+function updateCertificateStatus(status) {
+    const banner = document.getElementById('certificateStatus');
+    const container = document.querySelector('.certificate-container');
+    
+    if (container) {
+        container.classList.remove('certificate-expired', 'certificate-revoked');
+        if (status.state !== 'valid') {
+            container.classList.add(`certificate-${status.state}`);
+        }
+    }
+    
+    if (!banner) return;
+    
+    const text = describeCertificateStatus(status);
+    const title = document.createElement('strong');
+    const detail = document.createElement('span');
+    title.textContent = text.title;
+    detail.textContent = text.detail;
+    
+    banner.className = `certificate-status status-${status.state}`;
+    banner.replaceChildren(title, detail);
+}
+
+/**
+ * Wording for a certificate status
+ * @param {Object} status - Result of getCertificateStatus()
+ * @returns {Object} `{ title, detail }`
+ */
+function describeCertificateStatus(status) {
+    if (status.state === 'revoked') {
+        return {
+            title: t('status.revoked', '🚫 Certificate revoked'),
+            detail: [
+                status.date
+                    ? t('status.revokedOn', 'Revoked by PTSC on {date}.', { date: formatDate(status.date) })
+                    : t('status.revokedUndated', 'Revoked by PTSC.'),
+                status.reason ? t('status.reason', 'Reason: {reason}', { reason: status.reason }) : ''
+            ].join(' ').trim()
+        };
+    }
+    if (status.state === 'expired') {
+        return {
+            title: t('status.expired', '⌛ Certificate expired'),
+            detail: t('status.expiredOn', 'This certificate was valid until {date} and is no longer current.',
+                { date: formatDate(status.date) })
+        };
+    }
+    return {
+        title: t('status.valid', '✅ Valid certificate'),
+        detail: status.date
+            ? t('status.validUntil', 'Issued by PTSC, KNIT Sultanpur and valid until {date}.', { date: formatDate(status.date) })
+            : t('status.noExpiry', 'Issued by PTSC, KNIT Sultanpur. This certificate does not expire.')
+    };
+}
+
+// ==========================
+// Text alternative
+// ==========================
+
+/**
+ * Drop the icon in front of a status title for text that is read aloud
+ * @param {string} text - e.g. "✅ Valid certificate"
+ * @returns {string} e.g. "Valid certificate"
+ */
+function withoutIcon(text) {
+    return text.replace(/^[^\p{L}\p{N}]+/u, '');
+}
+
+/**
+ * Describe a certificate in one sentence of the active language, for places
+ * where the artwork cannot be seen (announcements, image PDF alt text)
+ * @param {Object} certificate - Certificate record
+ * @returns {string} e.g. "Certificate of Merit awarded to ... Certificate ID PTSC2025-0123."
+ */
+function describeCertificate(certificate) {
+    const shown = localizeCertificate(certificate);
+    return t('summary.sentence', '{type} awarded to {name} for {event} on {date}. Certificate ID {id}.', {
+        type: shown.type,
+        name: shown.name,
+        event: shown.event,
+        date: shown.date ? formatDate(shown.date) : '',
+        id: shown.id
+    });
+}
+
+/**
+ * Fill the text alternative of the certificate: everything the artwork says,
+ * as a description list that screen readers use instead of the scaled layout
+ * @param {Object} certificate - Certificate record
+ * @param {Object} template - Template from loadCertificateTemplate()
+ * @param {Object} status - Result of getCertificateStatus()
+ * @param {string} signatureStatus - Result of verifyRecordSignature()
+ */
+function renderCertificateSummary(certificate, template, status, signatureStatus) {
+    const list = document.getElementById('certificateSummaryList');
+    if (!list) return;
+    
+    const shown = localizeCertificate(certificate);
+    const layout = localizeTemplate(template);
+    const statusText = describeCertificateStatus(status);
+    const signatories = layout.signatories
+        .map(signatory => `${fillTemplateText(signatory.name, shown)} (${fillTemplateText(signatory.title, shown)})`)
+        .join('; ');
+    
+    const rows = [
+        [t('summary.type', 'Certificate'), fillTemplateText(layout.heading, shown)],
+        [t('summary.recipient', 'Awarded to'), shown.name],
+        [t('summary.event', 'Event'), shown.event],
+        [t('summary.date', 'Date of issue'), shown.date ? formatDate(shown.date) : ''],
+        [t('summary.expiry', 'Valid until'), shown.expiresOn ? formatDate(shown.expiresOn) : ''],
+        [t('summary.signatories', 'Signed by'), signatories],
+        [t('summary.status', 'Status'), `${withoutIcon(statusText.title)}. ${statusText.detail}`],
+        [t('summary.signature', 'Digital signature'), describeSignatureStatus(signatureStatus).text],
+        [t('summary.id', 'Certificate ID'), shown.id]
+    ].filter(([, value]) => value);
+    
+    list.replaceChildren(...rows.flatMap(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        return [term, detail];
+    }));
+}
+
+// ==========================
+// Verification QR code
+// ==========================
+
+// Certificate currently on screen (set by verifyCertificate):
+// `{ certificate, template, key, url, shareUrl, signatureStatus, history }`
+let _activeVerification = null;
+
+/**
+ * Build the canonical verification link for a certificate
+ * @param {string} id - Certificate ID
+ * @param {string} key - Verification key
+ * @returns {string} Absolute certificate.html URL with id and key
+ */
+function buildVerificationUrl(id, key) {
+    const url = new URL('certificate.html', window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('id', id.trim());
+    url.searchParams.set('key', key.trim());
+    return url.toString();
+}
+
+/**
+ * Find the static share page of a certificate. Link previews on LinkedIn and
+ * chat apps only read static meta tags, so shared links should point there;
+ * the page forwards visitors with the key back to certificate.html.
+ * @param {string} id - Certificate ID
+ * @param {string} key - Verification key
+ * @returns {Promise<string|null>} Share page URL with the key, or null if the
+ *   pages have not been built for this certificate
+ */
+async function findSharePage(id, key) {
+    const url = new URL(`${SHARE_PAGE_BASE_URL}${encodeURIComponent(id.trim())}.html`, window.location.href);
+    
+    try {
+        const response = await fetch(url.toString(), { method: 'HEAD' });
+        if (!response.ok) return null;
+    } catch (error) {
+        return null;
+    }
+    
+    url.searchParams.set('key', key.trim());
+    return url.toString();
+}
+
+/**
+ * Link to share for the certificate on screen: its share page when one
+ * exists, otherwise the verification link
+ * @returns {string} URL to share
+ */
+function getShareUrl() {
+    if (!_activeVerification) return window.location.href;
+    return _activeVerification.shareUrl || _activeVerification.url;
+}
+
+/**
+ * Draw the verification QR code and URL into the certificate footer
+ * @param {string} verificationUrl - Link encoded in the QR code
+ */
+function updateVerificationQr(verificationUrl) {
+    // Show where to verify without printing the key in plain text
+    const urlElement = document.querySelector('.verify-url');
+    if (urlElement) {
+        const siteUrl = new URL('.', verificationUrl);
+        urlElement.textContent = `${siteUrl.host}${siteUrl.pathname}`;
+    }
+    
+    const qrBlock = document.querySelector('.verification-qr');
+    const qrImage = document.getElementById('verificationQr');
+    if (!qrBlock || !qrImage) return;
+    
+    // qrcode-generator is loaded from vendor/qrcode.js; the certificate still works without it
+    if (typeof qrcode !== 'function') {
+        console.warn('QR code library not loaded - skipping verification QR code');
+        qrBlock.style.display = 'none';
+        return;
+    }
+    
+    try {
+        // Type 0 picks the smallest QR version that fits; 'M' survives print wear
+        const qr = qrcode(0, 'M');
+        qr.addData(verificationUrl);
+        qr.make();
+        
+        qrImage.src = qr.createDataURL(4, 0);
+        qrImage.alt = `QR code linking to the verification page for certificate ${new URL(verificationUrl).searchParams.get('id')}`;
+        qrBlock.style.display = '';
+    } catch (error) {
+        console.error('Error generating verification QR code:', error);
+        qrBlock.style.display = 'none';
+    }
+}
+
+// ==========================
+// Remembered keys and portfolio link
+// ==========================
+
+/**
+ * Read the keys verified on this device
+ * @returns {Object} Certificate ID -> key
+ */
+function readRememberedKeys() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(REMEMBERED_KEYS_STORAGE_KEY) || '{}');
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        // Storage disabled (private mode, blocked cookies) or corrupt entry
+        return {};
+    }
+}
+
+/**
+ * Remember a verified key so the portfolio page can link to the certificate
+ * @param {string} id - Certificate ID
+ * @param {string} key - Verified key
+ */
+function rememberCertificateKey(id, key) {
+    try {
+        const keys = readRememberedKeys();
+        keys[id] = key;
+        localStorage.setItem(REMEMBERED_KEYS_STORAGE_KEY, JSON.stringify(keys));
+    } catch (error) {
+        console.warn('Could not remember certificate key:', error);
+    }
+}
+
+/**
+ * Forget every key remembered on this device
+ */
+function forgetRememberedKeys() {
+    try {
+        localStorage.removeItem(REMEMBERED_KEYS_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not clear remembered keys:', error);
+    }
+}
+
+/**
+ * Build the portfolio link for a recipient
+ * @param {string} recipientId - Recipient ID
+ * @returns {string} Absolute portfolio.html URL
+ */
+function buildPortfolioUrl(recipientId) {
+    const url = new URL('portfolio.html', window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('recipient', recipientId);
+    return url.toString();
+}
+
+/**
+ * Show the "all certificates" link when the record names its recipient
+ * @param {Object} certificate - Verified certificate record
+ */
+function updatePortfolioLink(certificate) {
+    const link = document.getElementById('portfolioLink');
+    if (!link) return;
+    
+    if (RECIPIENT_ID_PATTERN.test(certificate.recipientId || '')) {
+        link.href = buildPortfolioUrl(certificate.recipientId);
+        link.style.display = '';
+    } else {
+        link.style.display = 'none';
+    }
+}
+
+/**
+ * Build LinkedIn's pre-filled "Add license or certification" link
+ * @param {Object} certificate - Verified certificate record
+ * @param {string} credentialUrl - Verification link for the credential URL field
+ * @returns {string} LinkedIn profile URL
+ */
+function buildLinkedInProfileUrl(certificate, credentialUrl) {
+    const url = new URL(LINKEDIN_ADD_TO_PROFILE_URL);
+    url.searchParams.set('startTask', 'CERTIFICATION_NAME');
+    url.searchParams.set('name', certificate.event);
+    
+    if (LINKEDIN_ORGANIZATION_ID) {
+        url.searchParams.set('organizationId', String(LINKEDIN_ORGANIZATION_ID));
+    } else {
+        url.searchParams.set('organizationName', ISSUING_ORGANIZATION);
+    }
+    
+    // Dates are YYYY-MM-DD; LinkedIn takes the year and month (1-12)
+    const [issueYear, issueMonth] = certificate.date.split('-').map(Number);
+    url.searchParams.set('issueYear', String(issueYear));
+    url.searchParams.set('issueMonth', String(issueMonth));
+    
+    if (certificate.expiresOn) {
+        const [expirationYear, expirationMonth] = certificate.expiresOn.split('-').map(Number);
+        url.searchParams.set('expirationYear', String(expirationYear));
+        url.searchParams.set('expirationMonth', String(expirationMonth));
+    }
+    
+    url.searchParams.set('certId', certificate.id);
+    url.searchParams.set('certUrl', credentialUrl);
+    return url.toString();
+}
+
+/**
+ * Show the "Add to LinkedIn profile" link, except for revoked certificates
+ * @param {Object} certificate - Verified certificate record
+ * @param {string} verificationUrl - Verification link of the certificate
+ */
+function updateLinkedInProfileLink(certificate, verificationUrl) {
+    const link = document.getElementById('linkedinProfileLink');
+    if (!link) return;
+    
+    if (getCertificateStatus(certificate).state !== 'revoked') {
+        link.href = buildLinkedInProfileUrl(certificate, verificationUrl);
+        link.style.display = '';
+    } else {
+        link.style.display = 'none';
+    }
+}
+
+// ==========================================
+// MAIN VERIFICATION FUNCTION
+// ==========================================
+
+/**
+ * Main certificate verification function
+ * Called when certificate.html page loads
+ */
+async function verifyCertificate() {
+    // Show loading state
+    showLoading();
+    
+    try {
+        // Wording depends on the language, so load it before rendering anything
+        await initLanguage();
+        
+        // Parse URL parameters
+        const params = parseURLParams();
+        const certificateId = params.id;
+        const certificateKey = params.key;
+        
+        // Reject links that are missing parameters or were cut short
+        if (!CERTIFICATE_ID_PATTERN.test((certificateId || '').trim()) ||
+            !CERTIFICATE_KEY_PATTERN.test((certificateKey || '').trim())) {
+            throw new VerificationError(VERIFICATION_ERRORS.MALFORMED_LINK,
+                'Missing or malformed parameters: id and key', { id: (certificateId || '').trim() });
+        }
+        
+        // Add small delay for better UX (show loading animation)
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        
+        // Validate certificate (throws a VerificationError if it cannot be verified)
+        const certificate = await validateCertificate(certificateId, certificateKey, {
+            onChallenge: () => setLoadingMessage(t('certificate.challenge',
+                'Several attempts failed recently - running a short security check before verifying...'))
+        });
+        
+        // Certificate is genuine - check its signature, update display and show certificate
+        const signatureStatus = await verifyRecordSignature(certificate);
+        const template = await loadCertificateTemplate(certificate);
+        const verificationUrl = buildVerificationUrl(certificateId, certificateKey);
+        _activeVerification = { certificate, template, key: certificateKey.trim(), url: verificationUrl, shareUrl: null, signatureStatus };
+        rememberCertificateKey(certificate.id, certificateKey.trim());
+        
+        // Share buttons use the verification link until the share page is found
+        const activeVerification = _activeVerification;
+        findSharePage(certificate.id, certificateKey).then(shareUrl => {
+            activeVerification.shareUrl = shareUrl;
+        });
+        
+        // The history panel appears once the issuance log has been checked
+        getIssuanceHistory(certificate).then(history => {
+            activeVerification.history = history;
+            if (_activeVerification === activeVerification) renderIssuanceHistory();
+        });
+        
+        renderActiveCertificate();
+        updateVerificationQr(verificationUrl);
+        updatePortfolioLink(certificate);
+        updateLinkedInProfileLink(certificate, verificationUrl);
+        showCertificate();
+        announce(t('certificate.verified', 'Verification complete. {certificate} Status: {status}.', {
+            certificate: describeCertificate(certificate),
+            status: withoutIcon(describeCertificateStatus(getCertificateStatus(certificate)).title)
+        }));
+        
+    } catch (error) {
+        console.error('Error during certificate verification:', error);
+        showError(error);
+    }
+}
+
+/**
+ * Render the verified certificate and its status in the active language
+ * (again after every language switch)
+ */
+function renderActiveCertificate() {
+    if (!_activeVerification) return;
+    
+    const { certificate, template, signatureStatus } = _activeVerification;
+    const status = getCertificateStatus(certificate);
+    updateCertificateDisplay(certificate, template);
+    updateCertificateStatus(status);
+    updateSignatureBadge(signatureStatus);
+    renderCertificateSummary(certificate, template, status, signatureStatus);
+    updateDatabaseNotices();
+    renderIssuanceHistory();
+}
+
+// ==========================================
+// INDEX PAGE FORM HANDLING
+// ==========================================
+
+// showFieldError() and clearFieldError() also serve the portfolio forms
+
+/**
+ * Show a validation message under a form field and tie it to the field, so
+ * screen readers read it with the field's label
+ * @param {HTMLInputElement} input - Field with the problem
+ * @param {string} message - What is wrong
+ */
+function showFieldError(input, message) {
+    const error = document.getElementById(`${input.id}Error`);
+    input.setAttribute('aria-invalid', 'true');
+    if (!error) return;
+    
+    error.textContent = message;
+    error.hidden = false;
+    input.setAttribute('aria-describedby', error.id);
+}
+
+/**
+ * Remove a field's validation message
+ * @param {HTMLInputElement} input - Field to clear
+ */
+function clearFieldError(input) {
+    const error = document.getElementById(`${input.id}Error`);
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+    if (!error) return;
+    
+    error.textContent = '';
+    error.hidden = true;
+}
+
+/**
+ * Show or clear the message about the form as a whole (not one field)
+ * @param {string} [message] - Message, or nothing to clear it
+ */
+function setFormError(message) {
+    const error = document.getElementById('formError');
+    if (!error) return;
+    
+    error.textContent = message || '';
+    error.hidden = !message;
+}
+
+/**
+ * Handle form submission on index page
+ * @param {Event} event - Form submit event
+ */
+function handleFormSubmit(event) {
+    event.preventDefault();
+    
+    try {
+        // Get form data
+        const form = event.target;
+        const formData = new FormData(form);
+        const certificateId = formData.get('certificateId')?.trim();
+        const certificateKey = formData.get('certificateKey')?.trim();
+        const idInput = form.querySelector('#certificateId');
+        const keyInput = form.querySelector('#certificateKey');
+        
+        [idInput, keyInput].forEach(clearFieldError);
+        setFormError();
+        
+        // Check both fields so every problem is listed at once
+        const problems = [];
+        
+        if (!certificateId) {
+            problems.push([idInput, t('form.missingId', 'Enter the Certificate ID from your email, e.g. PTSC2025-0123')]);
+        } else if (!CERTIFICATE_ID_PATTERN.test(certificateId)) {
+            // Basic format validation for certificate ID
+            problems.push([idInput, t('form.badId', 'Certificate ID should be in format: PTSC2025-0123')]);
+        }
+        
+        if (!certificateKey) {
+            problems.push([keyInput, t('form.missingKey', 'Enter the verification key from your email')]);
+        } else if (!CERTIFICATE_KEY_PATTERN.test(certificateKey)) {
+            // Basic format validation for key (should be alphanumeric)
+            problems.push([keyInput, t('form.badKey', 'Verification key should be 10 alphanumeric characters')]);
+        }
+        
+        if (problems.length) {
+            problems.forEach(([input, message]) => showFieldError(input, message));
+            // Focusing the first field makes screen readers read its message
+            problems[0][0].focus();
+            return;
+        }
+        
+        // Don't send the user to a check that would be refused anyway (only
+        // the static and sharded backends count failures in the browser)
+        const wait = getVerificationBackoff();
+        if (wait > 0) {
+            setFormError(t('form.rateLimited', 'Too many verification attempts failed. You can try again {wait}.',
+                { wait: describeRetryWait(wait) }));
+            return;
+        }
+        
+        // Create URL with parameters
+        const url = `certificate.html?id=${encodeURIComponent(certificateId)}&key=${encodeURIComponent(certificateKey)}`;
+        
+        // Redirect to certificate page
+        navigateTo(url);
+        
+    } catch (error) {
+        console.error('Error handling form submission:', error);
+        setFormError(t('form.error', 'An error occurred. Please try again.'));
+    }
+}
+
+// ==========================================
+// FILE VERIFICATION
+// ==========================================
+
+// Largest upload accepted for file verification
+const MAX_CERTIFICATE_FILE_BYTES = 25 * 1024 * 1024;
+
+// Longest side of the image handed to the QR decoder
+const QR_SCAN_MAX_SIDE = 2400;
+
+// Scale used when rendering a PDF page for QR decoding (1 = 72 DPI)
+const PDF_RENDER_SCALE = 3;
+
+// Where file credentials were found, as shown to the user
+const CREDENTIAL_SOURCES = {
+    metadata: 'embedded file metadata',
+    qr: 'the verification QR code',
+    watermark: 'the certificate ID watermark',
+    filename: 'the file name'
+};
+
+const _scriptLoads = new Map();
+
+/**
+ * Name a credential source in the active language
+ * @param {string} source - Key of CREDENTIAL_SOURCES
+ * @returns {string} Description for messages
+ */
+function describeCredentialSource(source) {
+    return t(`file.source.${source}`, CREDENTIAL_SOURCES[source]);
+}
+
+/**
+ * Load a third-party script once
+ * @param {string} url - Script URL
+ * @returns {Promise<void>} Resolves once the script has run
+ */
+function loadScript(url) {
+    if (!_scriptLoads.has(url)) {
+        const load = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Could not load ${url}`));
+            document.head.appendChild(script);
+        });
+        // Allow a retry after a failed load (e.g. while offline)
+        load.catch(() => _scriptLoads.delete(url));
+        _scriptLoads.set(url, load);
+    }
+    return _scriptLoads.get(url);
+}
+
+/**
+ * Undo the XML escaping used in XMP packets
+ * @param {string} text - Text that may contain entities
+ * @returns {string} Unescaped text
+ */
+function unescapeXml(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => ({
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'"
+    })[name]);
+}
+
+/**
+ * Find a verification link (`...?id=...&key=...`) in free text
+ * @param {string} text - Text to search (metadata, QR payload, page text)
+ * @returns {Object|null} `{ id, key }` in the issued formats, or null
+ */
+function findCredentialsInText(text) {
+    const linkPattern = /[?&]id=([A-Za-z0-9%-]+)&(?:amp;)?key=([A-Za-z0-9]+)/g;
+    for (const match of text.matchAll(linkPattern)) {
+        const id = decodeURIComponent(match[1]);
+        const key = match[2];
+        if (CERTIFICATE_ID_PATTERN.test(id) && CERTIFICATE_KEY_PATTERN.test(key)) {
+            return { id, key };
+        }
+    }
+    return null;
+}
+
+/**
+ * Find a bare certificate ID (e.g. the watermark) in free text
+ * @param {string} text - Text to search
+ * @returns {string|null} First certificate ID found
+ */
+function findCertificateIdInText(text) {
+    const match = text.match(/PTSC\d{4}-\d{4}/);
+    return match ? match[0] : null;
+}
+
+/**
+ * Decode a QR code from a canvas with jsQR
+ * @param {HTMLCanvasElement} canvas - Rendered page or image
+ * @returns {string|null} QR payload
+ */
+function decodeQrFromCanvas(canvas) {
+    const context = canvas.getContext('2d');
+    const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+    const code = jsQR(data, canvas.width, canvas.height, { inversionAttempts: 'dontInvert' });
+    return code ? code.data : null;
+}
+
+/**
+ * Draw an uploaded image onto a white canvas no larger than QR_SCAN_MAX_SIDE
+ * @param {File} file - Image file
+ * @returns {Promise<HTMLCanvasElement>} Canvas holding the image
+ */
+async function imageFileToCanvas(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, QR_SCAN_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+    return canvas;
+}
+
+let _pdfjsLoad = null;
+
+/**
+ * Load the vendored pdf.js module once. It is an ES module, so it is
+ * imported rather than added with loadScript().
+ * @returns {Promise<Object>} pdf.js exports
+ */
+function loadPdfJs() {
+    if (!_pdfjsLoad) {
+        _pdfjsLoad = import(new URL(PDFJS_URL, document.baseURI).href).then(pdfjs => {
+            pdfjs.GlobalWorkerOptions.workerSrc = new URL(PDFJS_WORKER_URL, document.baseURI).href;
+            return pdfjs;
+        });
+        // Allow a retry after a failed load (e.g. while offline)
+        _pdfjsLoad.catch(() => { _pdfjsLoad = null; });
+    }
+    return _pdfjsLoad;
+}
+
+/**
+ * Read the first page of a PDF with pdf.js: document properties, XMP,
+ * page text and a rendering for QR decoding
+ * @param {Uint8Array} bytes - PDF file contents
+ * @returns {Promise<Object>} `{ texts, pageText, canvas }`, where `pageText`
+ *   is only what the page itself shows
+ */
+async function readPdfFile(bytes) {
+    const pdfjs = await loadPdfJs();
+
+    // Uploaded files are untrusted: never compile font programs with eval
+    const pdf = await pdfjs.getDocument({ data: bytes, isEvalSupported: false }).promise;
+    try {
+        const texts = [];
+        const { info, metadata } = await pdf.getMetadata();
+        texts.push(...['Title', 'Subject', 'Keywords'].map(field => info?.[field] || ''));
+        if (metadata) texts.push(unescapeXml(metadata.getRaw?.() || ''));
+
+        const page = await pdf.getPage(1);
+        const content = await page.getTextContent();
+        const pageText = content.items.map(item => item.str).join(' ');
+        texts.push(pageText);
+
+        const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        await page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            background: '#ffffff'
+        }).promise;
+
+        return { texts, pageText, canvas };
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Pull certificate credentials out of a downloaded PDF or image. Sources are
+ * tried from most to least reliable: embedded metadata (see
+ * buildExportMetadata()), the verification QR code, then the ID alone from
+ * the watermark or the file name.
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Object>} `{ id, key, source, texts, pageText }`; `key` is
+ *   null when only the ID could be recovered and both are null when nothing
+ *   was found. `pageText` is the text shown on a PDF's first page (null for
+ *   images); unlike `texts` it leaves out the embedded metadata.
+ */
+async function extractCertificateFromFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const isPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name) ||
+        String.fromCharCode(...bytes.subarray(0, 5)) === '%PDF-';
+
+    // Document information and EXIF/XMP are stored uncompressed in our exports
+    const texts = [
+        new TextDecoder('latin1').decode(bytes),
+        unescapeXml(new TextDecoder('utf-8').decode(bytes))
+    ];
+    const fromMetadata = findCredentialsInText(texts[0]);
+
+    // PDFs are always read, so their visible text can be compared with the record
+    let canvas = null;
+    let pageText = null;
+    if (isPdf) {
+        const pdfFile = await readPdfFile(bytes);
+        texts.push(...pdfFile.texts);
+        pageText = pdfFile.pageText;
+        const fromPdfText = fromMetadata || findCredentialsInText(pdfFile.texts.join('\n'));
+        if (fromPdfText) {
+            return { ...fromPdfText, source: 'metadata', texts, pageText };
+        }
+        canvas = pdfFile.canvas;
+    } else if (fromMetadata) {
+        return { ...fromMetadata, source: 'metadata', texts, pageText };
+    } else if (file.type.startsWith('image/')) {
+        canvas = await imageFileToCanvas(file);
+    }
+
+    if (canvas) {
+        await loadScript(JSQR_URL);
+        const payload = decodeQrFromCanvas(canvas);
+        const fromQr = payload ? findCredentialsInText(payload) : null;
+        if (fromQr) {
+            return { ...fromQr, source: 'qr', texts, pageText };
+        }
+    }
+
+    // Without a key the record can only be looked up, not verified
+    const watermarkId = isPdf ? findCertificateIdInText(texts.slice(2).join('\n')) : null;
+    if (watermarkId) {
+        return { id: watermarkId, key: null, source: 'watermark', texts, pageText };
+    }
+    const filenameId = findCertificateIdInText(file.name);
+    return { id: filenameId, key: null, source: filenameId ? 'filename' : null, texts, pageText };
+}
+
+/**
+ * Check whether the text printed on a file names the certificate's recipient.
+ * Only the visible page text counts: exported files also carry the name in
+ * their metadata, which stays behind when the artwork is edited.
+ * @param {string|null} pageText - `pageText` from extractCertificateFromFile()
+ * @param {Object} certificate - Verified record
+ * @returns {boolean|null} Whether the name is shown, or null when the file
+ *   has no readable text (images and image-only PDFs)
+ */
+function fileShowsRecipientName(pageText, certificate) {
+    const normalize = text => text.replace(/\s+/g, ' ').trim();
+    const shown = normalize(pageText || '');
+    if (!shown) return null;
+    
+    const names = [certificate.name, ...Object.values(certificate.nameLocalized || {})];
+    return names.some(name => typeof name === 'string' && shown.includes(normalize(name)));
+}
+
+/**
+ * Check an uploaded certificate file against the database
+ * @param {File} file - Uploaded PDF or image
+ * @returns {Promise<Object>} `{ extracted, certificate, status, signatureStatus, nameMatches }`;
+ *   `certificate` is null when the file did not contain a key
+ * @throws {VerificationError} If the credentials in the file do not verify
+ */
+async function verifyCertificateFile(file) {
+    if (file.size > MAX_CERTIFICATE_FILE_BYTES) {
+        throw new Error(`File is larger than ${MAX_CERTIFICATE_FILE_BYTES / 1024 / 1024} MB`);
+    }
+
+    const extracted = await extractCertificateFromFile(file);
+    if (!extracted.key) {
+        return { extracted, certificate: null };
+    }
+
+    const certificate = await validateCertificate(extracted.id, extracted.key);
+    const signatureStatus = await verifyRecordSignature(certificate);
+
+    const nameMatches = fileShowsRecipientName(extracted.pageText, certificate);
+
+    return {
+        extracted,
+        certificate,
+        status: getCertificateStatus(certificate),
+        signatureStatus,
+        nameMatches
+    };
+}
+
+/**
+ * Show the outcome of a file verification in the index page card
+ * @param {Element} container - `#fileVerificationResult`
+ * @param {Object} result - `{ state, title, message, details, link }`
+ */
+function renderFileVerificationResult(container, result) {
+    const title = document.createElement('strong');
+    title.textContent = result.title;
+    const nodes = [title];
+
+    if (result.message) {
+        const message = document.createElement('p');
+        message.textContent = result.message;
+        nodes.push(message);
+    }
+
+    if (result.details?.length) {
+        const list = document.createElement('dl');
+        result.details.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            const description = document.createElement('dd');
+            term.textContent = label;
+            description.textContent = value;
+            list.append(term, description);
+        });
+        nodes.push(list);
+    }
+
+    (result.warnings || []).forEach(text => {
+        const warning = document.createElement('p');
+        warning.className = 'file-result-warning';
+        warning.textContent = text;
+        nodes.push(warning);
+    });
+
+    if (result.link) {
+        const link = document.createElement('a');
+        link.href = result.link;
+        link.className = 'file-result-link';
+        link.textContent = t('file.openCertificate', 'Open the verified certificate →');
+        nodes.push(link);
+    }
+
+    container.className = `file-result file-result-${result.state}`;
+    container.replaceChildren(...nodes);
+    container.hidden = false;
+}
+
+/**
+ * Verify an uploaded file and report the result
+ * @param {File} file - Uploaded PDF or image
+ */
+async function handleCertificateFile(file) {
+    const container = document.getElementById('fileVerificationResult');
+    if (!container || !file) return;
+
+    renderFileVerificationResult(container, {
+        state: 'loading',
+        title: t('file.checking', 'Checking {file}…', { file: file.name })
+    });
+
+    try {
+        const result = await verifyCertificateFile(file);
+        const { extracted, certificate } = result;
+
+        if (!extracted.id) {
+            renderFileVerificationResult(container, {
+                state: 'error',
+                title: t('file.nothingFound', 'No certificate details found'),
+                message: t('file.nothingFoundDetail', 'This file has no PTSC verification data, QR code or certificate ID. ' +
+                    'Upload the PDF or JPG exactly as downloaded from this site, or ask for the verification link.')
+            });
+            return;
+        }
+
+        if (!certificate) {
+            // Let the user finish verification with the key from the recipient
+            const idInput = document.getElementById('certificateId');
+            if (idInput) idInput.value = extracted.id;
+            document.getElementById('certificateKey')?.focus();
+
+            renderFileVerificationResult(container, {
+                state: 'partial',
+                title: t('file.idOnly', 'Found certificate ID {id}', { id: extracted.id }),
+                message: t('file.idOnlyDetail', 'The ID was read from {source}, but the file does not ' +
+                    'contain its verification key. Enter the key above to verify it.', { source: describeCredentialSource(extracted.source) })
+            });
+            return;
+        }
+
+        const statusText = describeCertificateStatus(result.status);
+        const signature = describeSignatureStatus(result.signatureStatus);
+        const shown = localizeCertificate(certificate);
+        const warnings = [];
+        if (result.signatureStatus !== 'valid') {
+            warnings.push(`${signature.icon} ${signature.text}`);
+        }
+        const databaseAge = describeDatabaseAge();
+        if (databaseAge) {
+            warnings.push(`📦 ${databaseAge}`);
+        }
+        if (result.nameMatches === false) {
+            warnings.push(t('file.nameMismatch', '⚠️ The recipient name in this file does not match the record. The file may have been edited - compare it with the verified certificate.'));
+        } else if (result.nameMatches === null) {
+            warnings.push(t('file.nameUnread', 'ℹ️ The name printed on this file could not be read as text. Check that the details below match the file.'));
+        }
+
+        renderFileVerificationResult(container, {
+            state: result.status.state,
+            title: statusText.title,
+            message: `${statusText.detail} ${t('file.readFrom', 'Credentials read from {source}.', { source: describeCredentialSource(extracted.source) })}`,
+            details: [
+                [t('file.recipient', 'Recipient'), shown.name],
+                [t('file.certificate', 'Certificate'), shown.type],
+                [t('file.event', 'Event'), certificate.event],
+                [t('file.date', 'Date'), formatDate(certificate.date)],
+                [t('file.certificateId', 'Certificate ID'), certificate.id]
+            ],
+            warnings,
+            link: buildVerificationUrl(extracted.id, extracted.key)
+        });
+
+    } catch (error) {
+        console.error('Error verifying certificate file:', error);
+
+        const view = error instanceof VerificationError ? localizeErrorView(error.code) : null;
+        renderFileVerificationResult(container, view ? {
+            state: 'error',
+            title: `${view.icon} ${view.title}`,
+            message: view.message
+                .replace('{id}', error.details.id || t('file.idInFile', 'in this file'))
+                .replace('{wait}', describeRetryWait(error.details.retryAfterMs || 0))
+        } : {
+            state: 'error',
+            title: t('file.unreadable', '❌ Could not read this file'),
+            message: t('file.unreadableDetail', 'The file could not be processed. Check that it is a PDF or image and try again.')
+        });
+    }
+}
+
+/**
+ * Wire up the file picker and drag-and-drop area on the index page
+ * @param {HTMLInputElement} fileInput - `#certificateFile`
+ */
+function initFileVerification(fileInput) {
+    const dropZone = document.getElementById('fileDropZone');
+
+    fileInput.addEventListener('change', () => {
+        handleCertificateFile(fileInput.files[0]);
+        // Allow the same file to be chosen again
+        fileInput.value = '';
+    });
+
+    if (!dropZone) return;
+
+    ['dragenter', 'dragover'].forEach(type => dropZone.addEventListener(type, event => {
+        event.preventDefault();
+        dropZone.classList.add('dragging');
+    }));
+    ['dragleave', 'drop'].forEach(type => dropZone.addEventListener(type, () => {
+        dropZone.classList.remove('dragging');
+    }));
+    dropZone.addEventListener('drop', event => {
+        event.preventDefault();
+        handleCertificateFile(event.dataTransfer?.files[0]);
+    });
+}
+
+// ==========================================
+// OFFLINE SUPPORT
+// ==========================================
+
+// When the service worker stored the database copy in use (null if it came from the network)
+let _databaseCachedAt = null;
+
+/**
+ * Remember the age of a database file served from the service worker's cache
+ * @param {Response} response - Database response
+ */
+function noteDatabaseResponse(response) {
+    const cachedAt = Date.parse(response.headers.get(DATABASE_CACHED_AT_HEADER) || '');
+    if (!Number.isNaN(cachedAt)) {
+        _databaseCachedAt = new Date(cachedAt);
+    }
+}
+
+/**
+ * Explain that the result came from a stored copy of the database
+ * @returns {string|null} Notice in the active language, or null for live data
+ */
+function describeDatabaseAge() {
+    if (!_databaseCachedAt) return null;
+    
+    const minutes = Math.round((_databaseCachedAt.getTime() - Date.now()) / 60000);
+    const format = new Intl.RelativeTimeFormat(currentLocale(), { numeric: 'auto' });
+    let age;
+    if (Math.abs(minutes) < 60) {
+        age = format.format(minutes, 'minute');
+    } else if (Math.abs(minutes) < 48 * 60) {
+        age = format.format(Math.round(minutes / 60), 'hour');
+    } else {
+        age = format.format(Math.round(minutes / (24 * 60)), 'day');
+    }
+    
+    const notice = t('offline.savedCopy', 'Checked against a copy of the certificate database saved {age}.', { age });
+    return navigator.onLine === false
+        ? `${notice} ${t('offline.offline', 'You are offline, so changes since then (such as revocations) are not shown.')}`
+        : notice;
+}
+
+/**
+ * Show or hide every `.database-notice` element on the page
+ */
+function updateDatabaseNotices() {
+    const text = describeDatabaseAge();
+    document.querySelectorAll('.database-notice').forEach(element => {
+        element.textContent = text ? `📦 ${text}` : '';
+        element.hidden = !text;
+    });
+}
+
+/**
+ * Drop the in-memory database after the service worker stored a newer copy,
+ * and let the page check its result again (`ptsc:databaseupdate` event)
+ */
+function handleDatabaseUpdate() {
+    _shardManifest = undefined;
+    _shardCache.clear();
+    _databaseCachedAt = null;
+    document.dispatchEvent(new CustomEvent('ptsc:databaseupdate'));
+}
+
+/**
+ * Install the service worker (HTTPS or localhost only) and listen for its
+ * database updates
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'database-updated') {
+            handleDatabaseUpdate();
+        }
+    });
+    
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+        console.warn('Offline support unavailable:', error);
+    });
+}
+
+// ==========================================
+// EVENT LISTENERS AND INITIALIZATION
+// ==========================================
+
+/**
+ * Initialize the application when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    try {
+        registerServiceWorker();
+        
+        // Translate pages that offer a language switcher
+        if (document.getElementById('languageSelect')) {
+            initLanguage();
+        }
+        
+        // Check if we're on the index page
+        const verificationForm = document.getElementById('verificationForm');
+        if (verificationForm) {
+            // Add form submit event listener
+            verificationForm.addEventListener('submit', handleFormSubmit);
+            
+            // Pre-fill the ID when coming back from a failed verification
+            const params = parseURLParams();
+            const idInput = verificationForm.querySelector('#certificateId');
+            if (params.id && idInput) {
+                idInput.value = params.id;
+                const keyInput = verificationForm.querySelector('#certificateKey');
+                if (keyInput) keyInput.focus();
+            }
+            
+            // Add input validation
+            const inputs = verificationForm.querySelectorAll('input');
+            inputs.forEach(input => {
+                input.addEventListener('input', function() {
+                    // The message no longer applies once the field is edited
+                    clearFieldError(this);
+                });
+                
+                // Add paste event listener to clean up pasted content
+                input.addEventListener('paste', function(e) {
+                    setTimeout(() => {
+                        this.value = this.value.trim();
+                    }, 0);
+                });
+            });
+            
+        }
+        
+        // Verify a downloaded certificate file (index page)
+        const fileInput = document.getElementById('certificateFile');
+        if (fileInput) {
+            initFileVerification(fileInput);
+        }
+        
+        // Redraw the certificate or portfolio on screen when the language changes
+        document.addEventListener('ptsc:languagechange', renderActiveCertificate);
+        document.addEventListener('ptsc:languagechange', renderPortfolio);
+        
+        // Check the result again when a newer database arrives
+        document.addEventListener('ptsc:databaseupdate', () => {
+            if (document.getElementById('certificateState')) {
+                verifyCertificate();
+            } else if (document.getElementById('portfolioState')) {
+                loadPortfolio();
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error initializing application:', error);
+    }
+});
+
+// ==========================================
+// ERROR HANDLING
+// ==========================================
+
+/**
+ * Global error handler
+ */
+window.addEventListener('error', function(event) {
+    console.error('Global error:', event.error);
+    
+    // Show user-friendly error message if no other error state is shown
+    const errorState = document.getElementById('errorState');
+    const certificateState = document.getElementById('certificateState');
+    const loadingState = document.getElementById('loadingState');
+    
+    if (errorState && 
+        (!certificateState || certificateState.style.display === 'none') &&
+        (!loadingState || loadingState.style.display === 'none')) {
+        showError();
+    }
+});
+
+/**
+ * Handle unhandled promise rejections
+ */
+window.addEventListener('unhandledrejection', function(event) {
+    console.error('Unhandled promise rejection:', event.reason);
+    event.preventDefault();
+});
+
+// ==========================================
+// ADDITIONAL UTILITY FUNCTIONS
+// ==========================================
+
+/**
+ * Copy current page URL to clipboard
+ * Used in certificate sharing functionality
+ */
+function copyCurrentUrl() {
+    const url = window.location.href;
+    
+    if (navigator.clipboard && window.isSecureContext) {
+        // Use modern clipboard API if available
+        return navigator.clipboard.writeText(url);
+    } else {
+        // Fallback for older browsers
+        const textArea = document.createElement('textarea');
+        textArea.value = url;
+        textArea.style.position = 'fixed';
+        textArea.style.opacity = '0';
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+        
+        try {
+            const successful = document.execCommand('copy');
+            document.body.removeChild(textArea);
+            return successful ? Promise.resolve() : Promise.reject();
+        } catch (err) {
+            document.body.removeChild(textArea);
+            return Promise.reject(err);
+        }
+    }
+}
+
+/**
+ * Check if device supports printing
+ */
+function canPrint() {
+    return window.print && typeof window.print === 'function';
+}
+
+/**
+ * Print certificate (if supported)
+ */
+function printCertificate() {
+    if (canPrint()) {
+        window.print();
+    } else {
+        alert('Printing is not supported on this device/browser');
+    }
+}
+
+// ==========================================
+// CERTIFICATE EXPORT
+// ==========================================
+
+// On-screen certificate size (A4 landscape at 96 DPI) and the PDF page it maps to
+const CERTIFICATE_WIDTH_PX = 1123;
+const CERTIFICATE_HEIGHT_PX = 794;
+const PDF_PAGE_WIDTH_MM = 297;
+const PDF_PAGE_HEIGHT_MM = 210;
+
+// 1 CSS px on the certificate is 0.2645 mm (and 0.75 pt) on the PDF page
+const PX_TO_MM = PDF_PAGE_WIDTH_MM / CERTIFICATE_WIDTH_PX;
+const PX_TO_PT = 0.75;
+
+/**
+ * Fonts embedded in vector PDFs (subset by jsPDF to the glyphs used).
+ * Helvetica is used instead if they cannot be downloaded.
+ */
+const PDF_FONT_FAMILY = 'NotoSans';
+const PDF_FONTS = [
+    { style: 'normal', file: 'NotoSans-Regular.ttf', url: `${PDF_FONT_BASE_URL}NotoSans_400Regular.ttf` },
+    { style: 'bold', file: 'NotoSans-Bold.ttf', url: `${PDF_FONT_BASE_URL}NotoSans_700Bold.ttf` },
+    { style: 'italic', file: 'NotoSans-SemiBoldItalic.ttf', url: `${PDF_FONT_BASE_URL}NotoSans_600SemiBold_Italic.ttf` }
+];
+
+// Text the vector renderer cannot lay out (conjuncts and vowel signs need shaping)
+const DEVANAGARI_PATTERN = /[\u0900-\u097F]/;
+
+const _pdfFontCache = new Map();
+const _pdfImageCache = new Map();
+
+/**
+ * Encode binary data as base64 (chunked to stay within argument limits)
+ * @param {ArrayBuffer} buffer - Binary data
+ * @returns {string} base64 text
+ */
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Register the embedded fonts with a jsPDF document
+ * @param {jsPDF} pdf - Target document
+ * @returns {Promise<Object>} Font family plus the style names to use for
+ *   regular, bold and italic text
+ */
+async function loadPdfFonts(pdf) {
+    try {
+        const files = await Promise.all(PDF_FONTS.map(async font => {
+            if (!_pdfFontCache.has(font.url)) {
+                const response = await fetch(font.url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status} for ${font.url}`);
+                }
+                _pdfFontCache.set(font.url, arrayBufferToBase64(await response.arrayBuffer()));
+            }
+            return { ...font, data: _pdfFontCache.get(font.url) };
+        }));
+        
+        files.forEach(font => {
+            pdf.addFileToVFS(font.file, font.data);
+            pdf.addFont(font.file, PDF_FONT_FAMILY, font.style);
+        });
+        
+        return { family: PDF_FONT_FAMILY, regular: 'normal', bold: 'bold', italic: 'italic' };
+    } catch (error) {
+        console.warn('Embedded PDF fonts unavailable, using Helvetica:', error);
+        return { family: 'helvetica', regular: 'normal', bold: 'bold', italic: 'bolditalic' };
+    }
+}
+
+/**
+ * Rasterise an image (e.g. an SVG logo) to a PNG data URL for jsPDF
+ * @param {string} url - Image URL
+ * @param {number} size - Output width and height in pixels
+ * @returns {Promise<string|null>} PNG data URL, or null if it cannot be loaded
+ */
+function rasterizeImage(url, size) {
+    const cacheKey = `${url}@${size}`;
+    if (_pdfImageCache.has(cacheKey)) {
+        return Promise.resolve(_pdfImageCache.get(cacheKey));
+    }
+    
+    return new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = size;
+                canvas.height = size;
+                
+                // Fit inside the square like `object-fit: contain`
+                const ratio = Math.min(size / (image.naturalWidth || size), size / (image.naturalHeight || size));
+                const width = (image.naturalWidth || size) * ratio;
+                const height = (image.naturalHeight || size) * ratio;
+                canvas.getContext('2d').drawImage(image, (size - width) / 2, (size - height) / 2, width, height);
+                
+                const dataUrl = canvas.toDataURL('image/png');
+                _pdfImageCache.set(cacheKey, dataUrl);
+                resolve(dataUrl);
+            } catch (error) {
+                console.warn(`Could not rasterise ${url}:`, error);
+                resolve(null);
+            }
+        };
+        image.onerror = () => {
+            console.warn(`Could not load ${url} for the PDF`);
+            resolve(null);
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Convert a #rrggbb colour to RGB components
+ * @param {string} hex - Hex colour
+ * @returns {number[]} [r, g, b]
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Draw text centred on a point, optionally rotated (degrees, counter-clockwise)
+ * @param {jsPDF} pdf - Target document (font and colour already set)
+ * @param {string} text - Text to draw
+ * @param {number} cx - Centre x in mm
+ * @param {number} cy - Centre y in mm
+ * @param {number} angle - Rotation in degrees
+ */
+function drawCenteredText(pdf, text, cx, cy, angle = 0) {
+    const radians = angle * Math.PI / 180;
+    const width = pdf.getTextWidth(text);
+    // Cap height is roughly 0.7 of the font size; drop the baseline by half of it
+    const halfCap = pdf.getFontSize() / 72 * 25.4 * 0.35;
+    
+    const x = cx - (width / 2) * Math.cos(radians) + halfCap * Math.sin(radians);
+    const y = cy + (width / 2) * Math.sin(radians) + halfCap * Math.cos(radians);
+    pdf.text(text, x, y, { angle });
+}
+
+/**
+ * Set the font size (given in CSS px) so that text fits a width
+ * @param {jsPDF} pdf - Target document (font already set)
+ * @param {string} text - Text to fit
+ * @param {number} sizePx - Preferred size in CSS px
+ * @param {number} maxWidthPx - Available width in CSS px
+ */
+function fitFontSize(pdf, text, sizePx, maxWidthPx) {
+    pdf.setFontSize(sizePx * PX_TO_PT);
+    const width = pdf.getTextWidth(text) / PX_TO_MM;
+    if (width > maxWidthPx) {
+        // Never shrink below 60% so long names stay legible
+        pdf.setFontSize(Math.max(sizePx * maxWidthPx / width, sizePx * 0.6) * PX_TO_PT);
+    }
+}
+
+/**
+ * Draw a QR code as filled vector modules
+ * @param {jsPDF} pdf - Target document
+ * @param {string} data - Text to encode
+ * @param {number} x - Left edge in mm
+ * @param {number} y - Top edge in mm
+ * @param {number} size - Width and height in mm
+ * @returns {boolean} False if the QR library is unavailable
+ */
+function drawVectorQr(pdf, data, x, y, size) {
+    if (typeof qrcode !== 'function') return false;
+    
+    const qr = qrcode(0, 'M');
+    qr.addData(data);
+    qr.make();
+    
+    const count = qr.getModuleCount();
+    const cell = size / count;
+    pdf.setFillColor('#000000');
+    
+    // One rectangle per run of dark modules keeps the file small
+    for (let row = 0; row < count; row++) {
+        let start = -1;
+        for (let col = 0; col <= count; col++) {
+            const dark = col < count && qr.isDark(row, col);
+            if (dark && start < 0) {
+                start = col;
+            } else if (!dark && start >= 0) {
+                pdf.rect(x + start * cell, y + row * cell, (col - start) * cell, cell, 'F');
+                start = -1;
+            }
+        }
+    }
+    
+    return true;
+}
+
+/**
+ * Encode text as a PDF text string (UTF-16BE with a byte order mark), which
+ * keeps non-Latin alt text and language tags intact
+ * @param {string} text - Text to encode
+ * @returns {string} Hex string such as `<FEFF0041>`
+ */
+function pdfTextString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+    }
+    return `<${hex}>`;
+}
+
+/**
+ * Make a jsPDF document a tagged PDF. Content drawn through `tag()` becomes
+ * a structure element (heading, paragraph or figure) that screen readers
+ * read in drawing order; content drawn through `artifact()` is marked as
+ * decoration and skipped. The catalog records the document language.
+ * Create it before drawing and draw every page through it.
+ * @param {jsPDF} pdf - New document
+ * @param {string} language - BCP 47 language of the text, e.g. `en-US`
+ * @returns {Object} `{ tag(type, draw, options), artifact(draw) }`, where
+ *   `draw` is a synchronous callback and `options.alt` describes a Figure
+ */
+function createPdfStructure(pdf, language) {
+    const internal = pdf.internal;
+    const elements = [];
+    // Page number -> next marked content ID on that page
+    const nextMcid = new Map();
+    let structTreeRootId = null;
+    
+    const writeObject = (id, body) => {
+        internal.newObjectDeferredBegin(id, true);
+        internal.write(body);
+        internal.write('endobj');
+    };
+    
+    // Objects are numbered afresh every time the document is written out
+    internal.events.subscribe('putPage', ({ pageNumber }) => {
+        if (nextMcid.has(pageNumber)) {
+            internal.write(`/StructParents ${pageNumber - 1} /Tabs /S`);
+        }
+    });
+    
+    internal.events.subscribe('postPutResources', () => {
+        structTreeRootId = internal.newObjectDeferred();
+        const documentId = internal.newObjectDeferred();
+        const parentTreeId = internal.newObjectDeferred();
+        const elementIds = elements.map(() => internal.newObjectDeferred());
+        const ref = id => `${id} 0 R`;
+        
+        writeObject(structTreeRootId, `<< /Type /StructTreeRoot /K ${ref(documentId)} ` +
+            `/ParentTree ${ref(parentTreeId)} /ParentTreeNextKey ${internal.getNumberOfPages()} >>`);
+        writeObject(documentId, `<< /Type /StructElem /S /Document /P ${ref(structTreeRootId)} ` +
+            `/K [${elementIds.map(ref).join(' ')}] >>`);
+        
+        elements.forEach((element, index) => {
+            const alt = element.alt ? ` /Alt ${pdfTextString(element.alt)}` : '';
+            writeObject(elementIds[index], `<< /Type /StructElem /S /${element.type} /P ${ref(documentId)} ` +
+                `/Pg ${ref(internal.getPageInfo(element.page).objId)} /K ${element.mcid}${alt} >>`);
+        });
+        
+        // For each page, the elements of its marked content in MCID order
+        const pages = Array.from(nextMcid.keys()).sort((a, b) => a - b);
+        const parentTree = pages.map(page => {
+            const owners = elementIds.filter((id, index) => elements[index].page === page);
+            return `${page - 1} [${owners.map(ref).join(' ')}]`;
+        });
+        writeObject(parentTreeId, `<< /Nums [${parentTree.join(' ')}] >>`);
+    });
+    
+    internal.events.subscribe('putCatalog', () => {
+        internal.write(`/Lang ${pdfTextString(language)}`);
+        internal.write('/MarkInfo << /Marked true >>');
+        internal.write(`/StructTreeRoot ${structTreeRootId} 0 R`);
+    });
+    
+    // Show the title rather than the file name, as screen reader users expect
+    pdf.viewerPreferences({ DisplayDocTitle: true });
+    
+    return {
+        tag(type, draw, options = {}) {
+            const page = internal.getCurrentPageInfo().pageNumber;
+            const mcid = nextMcid.get(page) || 0;
+            nextMcid.set(page, mcid + 1);
+            elements.push({ type, page, mcid, alt: options.alt });
+            
+            internal.write(`/${type} <</MCID ${mcid}>> BDC`);
+            draw();
+            internal.write('EMC');
+        },
+        artifact(draw) {
+            internal.write('/Artifact BMC');
+            draw();
+            internal.write('EMC');
+        }
+    };
+}
+
+/**
+ * Draw a certificate with jsPDF primitives onto the current page, following
+ * the geometry of the on-screen `.certificate-container`
+ * @param {jsPDF} pdf - Target document (A4 landscape, mm units)
+ * @param {Object} fonts - Result of loadPdfFonts()
+ * @param {Object} verification - `{ certificate, template, url }`
+ * @param {Object} structure - Result of createPdfStructure() for the document
+ */
+async function drawVectorCertificate(pdf, fonts, verification, structure) {
+    const { certificate, url } = verification;
+    const template = verification.template || DEFAULT_TEMPLATE;
+    const theme = template.theme;
+    const mm = px => px * PX_TO_MM;
+    const centerX = mm(CERTIFICATE_WIDTH_PX / 2);
+    const setFont = (style, sizePx, color) => {
+        pdf.setFont(fonts.family, fonts[style]);
+        pdf.setFontSize(sizePx * PX_TO_PT);
+        pdf.setTextColor(color);
+    };
+    
+    const headerHeight = 110;
+    const [leftLogo, rightLogo] = await Promise.all([
+        rasterizeImage('knit-logo.svg', 240),
+        rasterizeImage('ptsc-logo.svg', 240)
+    ]);
+    
+    // Borders, bands and logos are decoration; the text says the same
+    structure.artifact(() => {
+        // Page background and the gold inner border
+        pdf.setFillColor('#ffffff');
+        pdf.rect(0, 0, PDF_PAGE_WIDTH_MM, PDF_PAGE_HEIGHT_MM, 'F');
+        pdf.setDrawColor(theme.accent);
+        pdf.setLineWidth(mm(3));
+        pdf.roundedRect(mm(15), mm(15), mm(CERTIFICATE_WIDTH_PX - 30), mm(CERTIFICATE_HEIGHT_PX - 30), mm(10), mm(10), 'S');
+        
+        // Header band: primary -> secondary gradient drawn as thin vertical strips
+        const strips = 60;
+        const from = hexToRgb(theme.primary);
+        const to = hexToRgb(theme.secondary);
+        for (let i = 0; i < strips; i++) {
+            const t = i / (strips - 1);
+            pdf.setFillColor(
+                Math.round(from[0] + (to[0] - from[0]) * t),
+                Math.round(from[1] + (to[1] - from[1]) * t),
+                Math.round(from[2] + (to[2] - from[2]) * t));
+            // Each strip runs to the right edge so anti-aliasing leaves no seams
+            const x = mm(CERTIFICATE_WIDTH_PX * i / strips);
+            pdf.rect(x, 0, PDF_PAGE_WIDTH_MM - x, mm(headerHeight), 'F');
+        }
+        
+        if (leftLogo) pdf.addImage(leftLogo, 'PNG', mm(30), mm(25), mm(60), mm(60));
+        if (rightLogo) pdf.addImage(rightLogo, 'PNG', mm(CERTIFICATE_WIDTH_PX - 90), mm(25), mm(60), mm(60));
+    });
+    
+    structure.tag('P', () => {
+        setFont('bold', 24, '#ffffff');
+        pdf.text('Kamla Nehru Institute of Technology', centerX, mm(46), { align: 'center' });
+    });
+    structure.tag('P', () => {
+        setFont('bold', 17.6, theme.accent);
+        pdf.text('Programming and Tech Skill Club', centerX, mm(70), { align: 'center' });
+    });
+    structure.tag('P', () => {
+        setFont('regular', 14.4, '#e6e9ee');
+        pdf.text('Sultanpur, Uttar Pradesh', centerX, mm(90), { align: 'center' });
+    });
+    
+    // Body: stack the template rows and centre them between header and footer
+    const footerTop = 624;
+    const rows = [
+        { text: fillTemplateText(template.heading, certificate).toUpperCase(), style: 'bold', size: 28.8, color: theme.primary, after: 20, charSpace: 1, type: 'H1' },
+        { text: fillTemplateText(template.wording.intro, certificate), style: 'regular', size: 16, color: '#666666', after: 8 },
+        { text: certificate.name || '', style: 'bold', size: 35.2, color: theme.primary, before: 7, after: 15, underline: true },
+        { text: fillTemplateText(template.wording.body, certificate), style: 'regular', size: 16, color: '#666666', after: 8 },
+        { text: certificate.event || '', style: 'italic', size: 22.4, color: theme.accent, before: 7, after: 15 },
+        { text: fillTemplateText(template.wording.closing, certificate), style: 'regular', size: 16, color: '#666666', after: 8 },
+        { text: certificate.date ? fillTemplateText(template.wording.date, certificate) : '', style: 'regular', size: 16, color: '#666666', before: 7 }
+    ].filter(row => row.text);
+    
+    const signatureHeight = 55;
+    const contentHeight = rows.reduce((total, row) =>
+        total + (row.before || 0) + row.size * 1.3 + (row.after || 0), 0) + 25 + 30 + signatureHeight;
+    let y = headerHeight + Math.max(0, (footerTop - headerHeight - contentHeight) / 2);
+    
+    rows.forEach(row => {
+        y += row.before || 0;
+        setFont(row.style, row.size, row.color);
+        fitFontSize(pdf, row.text, row.size, CERTIFICATE_WIDTH_PX - 160);
+        
+        const lineHeight = row.size * 1.3;
+        const baseline = y + lineHeight * 0.78;
+        structure.tag(row.type || 'P', () => {
+            pdf.text(row.text, centerX, mm(baseline), { align: 'center', charSpace: row.charSpace ? mm(row.charSpace) : 0 });
+        });
+        
+        if (row.underline) {
+            const width = pdf.getTextWidth(row.text);
+            structure.artifact(() => {
+                pdf.setDrawColor(theme.accent);
+                pdf.setLineWidth(mm(2));
+                pdf.line(centerX - width / 2, mm(baseline + 8), centerX + width / 2, mm(baseline + 8));
+            });
+        }
+        
+        y += lineHeight + (row.after || 0);
+    });
+    
+    // Signatories, spaced like `justify-content: space-around`
+    y += 25 + 30;
+    const signatories = template.signatories;
+    signatories.forEach((signatory, index) => {
+        const x = mm(40 + (CERTIFICATE_WIDTH_PX - 80) * (2 * index + 1) / (2 * signatories.length));
+        structure.artifact(() => {
+            pdf.setDrawColor(theme.primary);
+            pdf.setLineWidth(mm(2));
+            pdf.line(x - mm(90), mm(y), x + mm(90), mm(y));
+        });
+        
+        // Name and title are read together, e.g. "Dr. A.K. Singh Club Coordinator"
+        structure.tag('P', () => {
+            setFont('bold', 16, theme.primary);
+            pdf.text(fillTemplateText(signatory.name, certificate), x, mm(y + 26), { align: 'center' });
+            setFont('regular', 13.6, '#666666');
+            pdf.text(fillTemplateText(signatory.title, certificate), x, mm(y + 44), { align: 'center' });
+        });
+    });
+    
+    // Footer band with verification details and QR code
+    structure.artifact(() => {
+        pdf.setFillColor('#f8f9fa');
+        pdf.rect(0, mm(footerTop), PDF_PAGE_WIDTH_MM, PDF_PAGE_HEIGHT_MM - mm(footerTop), 'F');
+        pdf.setDrawColor('#e9ecef');
+        pdf.setLineWidth(mm(1));
+        pdf.line(0, mm(footerTop), PDF_PAGE_WIDTH_MM, mm(footerTop));
+    });
+    
+    structure.tag('H2', () => {
+        setFont('bold', 16, theme.primary);
+        pdf.text('Verify Authenticity', mm(30), mm(footerTop + 32));
+    });
+    
+    const siteUrl = url ? new URL('.', url) : null;
+    const details = [
+        ['Certificate ID: ', certificate.id || ''],
+        ['Verification URL: ', siteUrl ? `${siteUrl.host}${siteUrl.pathname}` : ''],
+        ['Date of Issue: ', certificate.date ? formatDate(certificate.date) : ''],
+        ['Valid Until: ', certificate.expiresOn ? formatDate(certificate.expiresOn) : '']
+    ].filter(([, value]) => value);
+    
+    details.forEach(([label, value], index) => {
+        const x = mm(index % 2 === 0 ? 30 : 360);
+        const lineY = mm(footerTop + 56 + Math.floor(index / 2) * 22);
+        
+        structure.tag('P', () => {
+            setFont('regular', 13.6, '#666666');
+            pdf.text(label, x, lineY);
+            const valueX = x + pdf.getTextWidth(label);
+            
+            if (index === 0) {
+                pdf.setFont('courier', 'bold');
+                pdf.setTextColor(theme.primary);
+            } else if (label.startsWith('Verification URL')) {
+                pdf.setFont('courier', 'normal');
+                pdf.setTextColor('#007bff');
+            }
+            pdf.text(value, valueX, lineY);
+        });
+    });
+    
+    if (url) {
+        const qrSize = 84;
+        const qrX = CERTIFICATE_WIDTH_PX - 30 - qrSize - 8;
+        const qrY = footerTop + 15;
+        structure.artifact(() => {
+            pdf.setFillColor('#ffffff');
+            pdf.setDrawColor('#e9ecef');
+            pdf.setLineWidth(mm(1));
+            pdf.rect(mm(qrX), mm(qrY), mm(qrSize + 8), mm(qrSize + 8), 'FD');
+        });
+        
+        let drawn = false;
+        structure.tag('Figure', () => {
+            drawn = drawVectorQr(pdf, url, mm(qrX + 4), mm(qrY + 4), mm(qrSize));
+        }, { alt: `QR code linking to the verification page: ${url}` });
+        
+        if (drawn) {
+            structure.tag('P', () => {
+                setFont('regular', 11.2, '#666666');
+                pdf.text('SCAN TO VERIFY', mm(qrX + (qrSize + 8) / 2), mm(qrY + qrSize + 8 + 14), { align: 'center', charSpace: mm(1) });
+            });
+        }
+    }
+    
+    structure.artifact(() => {
+        // Decorative stripe border along the bottom
+        for (let x = 30, index = 0; x < CERTIFICATE_WIDTH_PX - 30; x += 20, index++) {
+            pdf.setFillColor(index % 2 === 0 ? theme.accent : theme.primary);
+            pdf.rect(mm(x), mm(CERTIFICATE_HEIGHT_PX - 25), mm(Math.min(20, CERTIFICATE_WIDTH_PX - 30 - x)), mm(10), 'F');
+        }
+        
+        // Traceable watermark, as on image downloads (the ID is already in the text)
+        pdf.saveGraphicsState();
+        pdf.setGState(new pdf.GState({ opacity: 0.08 }));
+        setFont('bold', 48, '#000000');
+        drawCenteredText(pdf, (certificate.id || '').toUpperCase(), centerX, mm(CERTIFICATE_HEIGHT_PX / 2), 25);
+        pdf.restoreGraphicsState();
+    });
+    
+    // Stamp expired or revoked certificates like the on-screen view
+    const status = getCertificateStatus(certificate);
+    if (status.state !== 'valid') {
+        const color = status.state === 'revoked' ? '#dc3545' : '#fd7e14';
+        const label = status.state.toUpperCase();
+        const angle = 20;
+        
+        pdf.saveGraphicsState();
+        pdf.setGState(new pdf.GState({ opacity: 0.35, 'stroke-opacity': 0.35 }));
+        setFont('bold', 96, color);
+        structure.tag('P', () => {
+            drawCenteredText(pdf, label, centerX, mm(CERTIFICATE_HEIGHT_PX / 2), angle);
+        });
+        
+        // Rotated frame around the stamp text
+        const radians = angle * Math.PI / 180;
+        const halfWidth = pdf.getTextWidth(label) / 2 + mm(40);
+        const halfHeight = mm(65);
+        const corners = [[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]]
+            .map(([dx, dy]) => [
+                centerX + dx * Math.cos(radians) + dy * Math.sin(radians),
+                mm(CERTIFICATE_HEIGHT_PX / 2) - dx * Math.sin(radians) + dy * Math.cos(radians)
+            ]);
+        structure.artifact(() => {
+            pdf.setDrawColor(color);
+            pdf.setLineWidth(mm(8));
+            pdf.lines(corners.slice(1).map((corner, i) => [corner[0] - corners[i][0], corner[1] - corners[i][1]]),
+                corners[0][0], corners[0][1], [1, 1], 'S', true);
+        });
+        pdf.restoreGraphicsState();
+    }
+}
+
+/**
+ * Build a vector PDF of a verified certificate
+ * @param {Object} verification - `{ certificate, template, url }`
+ * @returns {Promise<jsPDF>} Document ready to save
+ */
+async function createVectorPdf(verification) {
+    return createMultiPagePdf([verification]);
+}
+
+/**
+ * Build one vector PDF with a page per certificate
+ * @param {Object[]} verifications - `{ certificate, template, url }` per page
+ * @param {Function} [onProgress] - Called with `(done, total, verification)` after each page
+ * @returns {Promise<jsPDF>} Document ready to save
+ */
+async function createMultiPagePdf(verifications, onProgress) {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4', compress: true });
+    const fonts = await loadPdfFonts(pdf);
+    // The vector renderer draws the English wording of the record
+    const structure = createPdfStructure(pdf, LANGUAGES[DEFAULT_LANGUAGE].locale);
+    
+    for (const [index, verification] of verifications.entries()) {
+        if (index > 0) pdf.addPage('a4', 'landscape');
+        await drawVectorCertificate(pdf, fonts, verification, structure);
+        if (onProgress) onProgress(index + 1, verifications.length, verification);
+    }
+    return pdf;
+}
+
+/**
+ * Build a ZIP holding one vector PDF per certificate
+ * @param {Object[]} verifications - `{ certificate, template, url }` per file
+ * @param {Function} [onProgress] - Called with `(done, total, verification)` after each file
+ * @returns {Promise<Blob>} ZIP archive
+ */
+async function createCertificateZip(verifications, onProgress) {
+    const zip = new JSZip();
+    
+    for (const [index, verification] of verifications.entries()) {
+        const pdf = await createVectorPdf(verification);
+        applyPdfMetadata(pdf, buildExportMetadata(verification));
+        
+        const { name, id } = verification.certificate;
+        zip.file(`${buildCertificateFilename(name, id)}.pdf`, pdf.output('arraybuffer'));
+        if (onProgress) onProgress(index + 1, verifications.length, verification);
+    }
+    
+    return zip.generateAsync({ type: 'blob' });
+}
+
+/**
+ * Verify a certificate's credentials and gather what the exporters need
+ * @param {string} id - Certificate ID
+ * @param {string} key - Verification key
+ * @param {Object} [options] - validateCertificate() options
+ * @returns {Promise<Object>} `{ certificate, template, url }`
+ * @throws {VerificationError} If the credentials do not verify
+ */
+async function prepareCertificateExport(id, key, options) {
+    const certificate = await validateCertificate(id, key, options);
+    return {
+        certificate,
+        template: await loadCertificateTemplate(certificate),
+        url: buildVerificationUrl(certificate.id, key)
+    };
+}
+
+/**
+ * Save a generated file through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function saveBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    // Give the browser time to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+}
+
+/**
+ * Render the on-screen certificate to a canvas with html2canvas
+ * @param {Element} certificateContainer - `.certificate-container` to capture
+ * @param {string} certificateId - ID used for the watermark
+ * @returns {Promise<HTMLCanvasElement>} Rendered certificate
+ */
+async function captureCertificate(certificateContainer, certificateId) {
+    // Use an offscreen clone to ensure consistent A4 dimensions for capture
+    const clone = certificateContainer.cloneNode(true);
+    clone.style.position = 'absolute';
+    clone.style.left = '-9999px';
+    clone.style.top = '0';
+    clone.style.width = `${CERTIFICATE_WIDTH_PX}px`;
+    clone.style.height = `${CERTIFICATE_HEIGHT_PX}px`;
+    clone.style.margin = '0';
+    clone.style.boxShadow = 'none';
+    clone.style.borderRadius = '0';
+    clone.style.transform = 'none';
+
+    // Add a light watermark with certificate id to the clone (traceable)
+    const watermark = document.createElement('div');
+    watermark.className = 'download-watermark';
+    watermark.textContent = `${certificateId}`;
+    clone.appendChild(watermark);
+
+    document.body.appendChild(clone);
+
+    try {
+        // Web fonts (e.g. Devanagari) must be ready before html2canvas draws text
+        if (document.fonts && document.fonts.ready) await document.fonts.ready;
+
+        // Use devicePixelRatio for better quality on mobile/retina
+        const pixelRatio = Math.max(2, window.devicePixelRatio || 1);
+
+        return await html2canvas(clone, {
+            scale: pixelRatio,
+            useCORS: true,
+            backgroundColor: '#ffffff',
+            width: CERTIFICATE_WIDTH_PX,
+            height: CERTIFICATE_HEIGHT_PX,
+            scrollX: 0,
+            scrollY: 0,
+            windowWidth: CERTIFICATE_WIDTH_PX,
+            windowHeight: CERTIFICATE_HEIGHT_PX
+        });
+    } finally {
         // Cleanup clone and watermark
         try { document.body.removeChild(clone); } catch (e) { /* ignore */ }
-        // Ensure navigation visible
+    }
+}
+
+/**
+ * Build an image-based PDF from a captured certificate canvas
+ * (used when the vector renderer is unavailable)
+ * @param {HTMLCanvasElement} canvas - Output of captureCertificate()
+ * @param {string} description - Alt text of the image, in the page language
+ * @returns {jsPDF} Document ready to save
+ */
+function createRasterPdf(canvas, description) {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('landscape', 'mm', 'a4');
+    const structure = createPdfStructure(pdf, currentLocale());
+
+    // Convert canvas px to mm at 96 DPI baseline
+    const pxPerMm = 96 / 25.4; // ~3.78
+    const imgWidthMm = canvas.width / pxPerMm;
+    const imgHeightMm = canvas.height / pxPerMm;
+
+    // Fit image into PDF while keeping aspect ratio
+    const ratio = Math.min(PDF_PAGE_WIDTH_MM / imgWidthMm, PDF_PAGE_HEIGHT_MM / imgHeightMm);
+    const finalWidth = imgWidthMm * ratio;
+    const finalHeight = imgHeightMm * ratio;
+    const x = (PDF_PAGE_WIDTH_MM - finalWidth) / 2;
+    const y = (PDF_PAGE_HEIGHT_MM - finalHeight) / 2;
+
+    structure.tag('Figure', () => {
+        pdf.addImage(canvas.toDataURL('image/jpeg', 0.95), 'JPEG', x, y, finalWidth, finalHeight);
+    }, { alt: description });
+    return pdf;
+}
+
+// ==========================
+// Export metadata
+// ==========================
+
+/**
+ * Provenance recorded inside downloaded files so the certificate can be
+ * traced back to its verification page without looking at the artwork
+ * @param {Object} verification - `{ certificate, template, url }`
+ * @returns {Object} title, subject, author, keywords, creator, id and url
+ */
+function buildExportMetadata(verification) {
+    const { certificate, template, url } = verification;
+    const heading = fillTemplateText(template.heading, certificate);
+
+    return {
+        id: certificate.id,
+        url,
+        title: `${heading} - ${certificate.name}`,
+        subject: `${heading} awarded to ${certificate.name} for ${certificate.event} ` +
+            `on ${formatDate(certificate.date, LANGUAGES[DEFAULT_LANGUAGE].locale)}. ` +
+            `Certificate ID ${certificate.id}. Verify at ${url}`,
+        author: ISSUING_ORGANIZATION,
+        keywords: ['PTSC', 'certificate', certificate.id, url].join(', '),
+        creator: 'PTSC Certificate Verification System'
+    };
+}
+
+/**
+ * Set the PDF document information dictionary (Title, Subject, Author,
+ * Keywords, Creator)
+ * @param {jsPDF} pdf - Document to annotate
+ * @param {Object} metadata - Output of buildExportMetadata()
+ */
+function applyPdfMetadata(pdf, metadata) {
+    pdf.setProperties({
+        title: metadata.title,
+        subject: metadata.subject,
+        author: metadata.author,
+        keywords: metadata.keywords,
+        creator: metadata.creator
+    });
+}
+
+/**
+ * Escape text for use inside XML elements
+ * @param {string} text - Raw text
+ * @returns {string} XML-safe text
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * Build a JPEG APP segment (marker, big-endian length, payload)
+ * @param {number} marker - Second marker byte (0xE1 for APP1)
+ * @param {Uint8Array} payload - Segment contents
+ * @returns {Uint8Array} Encoded segment
+ */
+function jpegSegment(marker, payload) {
+    if (payload.length + 2 > 0xFFFF) {
+        throw new Error('JPEG metadata segment is too large');
+    }
+    const segment = new Uint8Array(payload.length + 4);
+    segment.set([0xFF, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF]);
+    segment.set(payload, 4);
+    return segment;
+}
+
+/**
+ * Encode an EXIF APP1 payload with a single IFD of text tags
+ * (ImageDescription, Software, Artist, Copyright)
+ * @param {Object} metadata - Output of buildExportMetadata()
+ * @returns {Uint8Array} "Exif\0\0" followed by a big-endian TIFF structure
+ */
+function buildExifPayload(metadata) {
+    const encoder = new TextEncoder();
+    // Tags must be sorted by ID; strings are NUL terminated
+    const entries = [
+        [0x010E, metadata.subject],
+        [0x0131, metadata.creator],
+        [0x013B, metadata.author],
+        [0x8298, `${metadata.author}. Certificate ${metadata.id}`]
+    ].map(([tag, text]) => ({ tag, bytes: encoder.encode(`${text}\0`) }));
+
+    const ifdSize = 2 + entries.length * 12 + 4;
+    const dataSize = entries.reduce((total, entry) => total + (entry.bytes.length > 4 ? entry.bytes.length : 0), 0);
+    const tiff = new Uint8Array(8 + ifdSize + dataSize);
+    const view = new DataView(tiff.buffer);
+
+    // TIFF header: "MM", 42, offset of IFD0
+    view.setUint16(0, 0x4D4D);
+    view.setUint16(2, 42);
+    view.setUint32(4, 8);
+    view.setUint16(8, entries.length);
+
+    let dataOffset = 8 + ifdSize;
+    entries.forEach((entry, i) => {
+        const at = 10 + i * 12;
+        view.setUint16(at, entry.tag);
+        view.setUint16(at + 2, 2); // ASCII
+        view.setUint32(at + 4, entry.bytes.length);
+        if (entry.bytes.length > 4) {
+            view.setUint32(at + 8, dataOffset);
+            tiff.set(entry.bytes, dataOffset);
+            dataOffset += entry.bytes.length;
+        } else {
+            tiff.set(entry.bytes, at + 8);
+        }
+    });
+    // Next IFD offset stays 0 (no further IFDs)
+
+    const payload = new Uint8Array(6 + tiff.length);
+    payload.set(encoder.encode('Exif\0\0'));
+    payload.set(tiff, 6);
+    return payload;
+}
+
+/**
+ * Encode an XMP APP1 payload carrying Dublin Core and XMP basic properties
+ * @param {Object} metadata - Output of buildExportMetadata()
+ * @returns {Uint8Array} XMP namespace header followed by the packet
+ */
+function buildXmpPayload(metadata) {
+    const keywords = metadata.keywords.split(', ')
+        .map(keyword => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join('');
+    const packet = [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '<rdf:Description rdf:about=""',
+        ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+        ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/">',
+        `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.title)}</rdf:li></rdf:Alt></dc:title>`,
+        `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.subject)}</rdf:li></rdf:Alt></dc:description>`,
+        `<dc:creator><rdf:Seq><rdf:li>${escapeXml(metadata.author)}</rdf:li></rdf:Seq></dc:creator>`,
+        `<dc:subject><rdf:Bag>${keywords}</rdf:Bag></dc:subject>`,
+        `<dc:identifier>${escapeXml(metadata.id)}</dc:identifier>`,
+        `<dc:source>${escapeXml(metadata.url)}</dc:source>`,
+        `<xmp:CreatorTool>${escapeXml(metadata.creator)}</xmp:CreatorTool>`,
+        `<pdf:Keywords>${escapeXml(metadata.keywords)}</pdf:Keywords>`,
+        '</rdf:Description>',
+        '</rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('');
+
+    const encoder = new TextEncoder();
+    const header = encoder.encode('http://ns.adobe.com/xap/1.0/\0');
+    const body = encoder.encode(packet);
+    const payload = new Uint8Array(header.length + body.length);
+    payload.set(header);
+    payload.set(body, header.length);
+    return payload;
+}
+
+/**
+ * Insert EXIF and XMP segments into a JPEG data URL. They are placed after
+ * the JFIF APP0 segment written by the browser's encoder.
+ * @param {string} dataUrl - `data:image/jpeg;base64,...`
+ * @param {Object} metadata - Output of buildExportMetadata()
+ * @returns {string} JPEG data URL with embedded metadata
+ */
+function embedJpegMetadata(dataUrl, metadata) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const jpeg = Uint8Array.from(binary, char => char.charCodeAt(0));
+
+    if (jpeg[0] !== 0xFF || jpeg[1] !== 0xD8) {
+        throw new Error('Not a JPEG image');
+    }
+
+    // Skip SOI and, if present, the JFIF APP0 segment
+    let insertAt = 2;
+    if (jpeg[2] === 0xFF && jpeg[3] === 0xE0) {
+        insertAt = 4 + ((jpeg[4] << 8) | jpeg[5]);
+    }
+
+    const exif = jpegSegment(0xE1, buildExifPayload(metadata));
+    const xmp = jpegSegment(0xE1, buildXmpPayload(metadata));
+    const output = new Uint8Array(jpeg.length + exif.length + xmp.length);
+    output.set(jpeg.subarray(0, insertAt));
+    output.set(exif, insertAt);
+    output.set(xmp, insertAt + exif.length);
+    output.set(jpeg.subarray(insertAt), insertAt + exif.length + xmp.length);
+
+    return `data:image/jpeg;base64,${arrayBufferToBase64(output.buffer)}`;
+}
+
+// ==========================
+// Open Badges credential
+// ==========================
+
+const OPEN_BADGE_CONTEXT = [
+    'https://www.w3.org/ns/credentials/v2',
+    'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'
+];
+
+/**
+ * File name of the achievement definition for a certificate's event and type.
+ * Must match achievementSlug() in tools/lib/credentials.js.
+ * @param {Object} certificate - Certificate record
+ * @returns {string} e.g. `web-development-workshop-certificate-of-merit`
+ */
+function openBadgeAchievementSlug(certificate) {
+    return `${certificate.event} ${certificate.type}`
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Salted, hashed identity of the recipient, as Open Badges defines it.
+ * Must match buildIdentity() in tools/lib/credentials.js.
+ * @param {string} identityType - `name` or `identifier`
+ * @param {string} value - Plain identity
+ * @param {string} [salt] - Hex salt (random by default)
+ * @returns {Promise<Object>} IdentityObject
+ */
+async function buildOpenBadgeIdentity(identityType, value, salt = generateSaltHex()) {
+    return { type: 'IdentityObject', identityType, hashed: true, identityHash: `sha256$${await sha256Hex(value + salt)}`, salt };
+}
+
+/**
+ * Build the Open Badges 3.0 credential of a certificate, without a proof.
+ * Must match buildCredential() in tools/lib/credentials.js, which publishes
+ * the signed copies.
+ * @param {Object} certificate - Certificate record
+ * @param {string} siteUrl - Site root the issuer and achievement URLs point into
+ * @param {Object} [salts] - Identity salts by identity type, to rebuild a
+ *   published credential (random by default)
+ * @returns {Promise<Object>} OpenBadgeCredential
+ */
+async function buildOpenBadgeCredential(certificate, siteUrl, salts = {}) {
+    const site = new URL(siteUrl.endsWith('/') ? siteUrl : `${siteUrl}/`);
+    const directory = new URL(CREDENTIAL_BASE_URL, site);
+    const issuer = {
+        id: new URL('issuer.json', directory).toString(),
+        type: ['Profile'],
+        name: ISSUING_ORGANIZATION,
+        url: site.toString()
+    };
+    
+    const identifier = [await buildOpenBadgeIdentity('name', certificate.name, salts.name)];
+    if (certificate.recipientId) {
+        identifier.push(await buildOpenBadgeIdentity('identifier', certificate.recipientId, salts.identifier));
+    }
+    
+    const credential = {
+        '@context': OPEN_BADGE_CONTEXT,
+        id: new URL(`${certificate.id}.json`, directory).toString(),
+        type: ['VerifiableCredential', 'OpenBadgeCredential'],
+        name: `${certificate.type} - ${certificate.event}`,
+        issuer,
+        validFrom: `${certificate.date}T00:00:00Z`,
+        credentialSubject: {
+            type: ['AchievementSubject'],
+            identifier,
+            achievement: {
+                id: new URL(`achievements/${openBadgeAchievementSlug(certificate)}.json`, directory).toString(),
+                type: ['Achievement'],
+                achievementType: 'Certificate',
+                name: certificate.event,
+                description: `${certificate.type} awarded by ${ISSUING_ORGANIZATION} for ${certificate.event}.`,
+                criteria: {
+                    narrative: `Awarded to the members recognised by the club at ${certificate.event}. ` +
+                        'Every award is recorded in the club\'s certificate database and can be verified online.'
+                },
+                creator: issuer
+            }
+        }
+    };
+    
+    if (certificate.expiresOn) {
+        credential.validUntil = `${certificate.expiresOn}T23:59:59Z`;
+    }
+    
+    return credential;
+}
+
+/**
+ * Get the credential to hand out for a certificate: the club-signed copy from
+ * credentials/ when it matches the record, otherwise an unsigned copy
+ * @param {Object} certificate - Verified certificate record
+ * @returns {Promise<Object>} OpenBadgeCredential
+ */
+async function loadOpenBadgeCredential(certificate) {
+    try {
+        const response = await fetch(`${CREDENTIAL_BASE_URL}${encodeURIComponent(certificate.id)}.json`);
+        if (response.ok) {
+            const published = await response.json();
+            const { proof, ...document } = published;
+            
+            // Rebuild with the published salts, so the identity hashes must match the record
+            const salts = {};
+            (published.credentialSubject?.identifier || []).forEach(identity => {
+                salts[identity.identityType] = identity.salt;
+            });
+            const expected = await buildOpenBadgeCredential(certificate, published.issuer?.url || window.location.href, salts);
+            
+            // A credential built before the record last changed would not match it
+            if (canonicalizeRecord(document) === canonicalizeRecord(expected)) {
+                return published;
+            }
+            console.warn(`Published credential for ${certificate.id} is out of date - exporting an unsigned copy`);
+        }
+    } catch (error) {
+        console.warn('Could not load the published credential:', error);
+    }
+    
+    return buildOpenBadgeCredential(certificate, new URL('.', window.location.href).toString());
+}
+
+/**
+ * File name (without extension) for a downloaded certificate
+ * @param {string} recipientName - Recipient name
+ * @param {string} certificateId - Certificate ID
+ * @returns {string} e.g. `Rohan_Vishwakarma_PTSC2025-0123_PTSC_Certificate`
+ */
+function buildCertificateFilename(recipientName, certificateId) {
+    return `${recipientName.replace(/\s+/g, '_')}_${certificateId}_PTSC_Certificate`;
+}
+
+/**
+ * Download certificate as PDF, JPG or an Open Badges credential
+ * @param {string} format - 'pdf' (vector, with an image fallback), 'jpg' or
+ *   'credential' (Open Badges 3.0 JSON)
+ */
+async function downloadCertificate(format) {
+    const certificateContainer = document.querySelector('.certificate-container');
+    const navigation = document.querySelector('.navigation');
+
+    if (!certificateContainer) {
+        alert(t('download.notLoaded', 'Certificate not found. Please ensure the certificate is loaded.'));
+        return;
+    }
+
+    // A credential would claim an achievement the club has withdrawn
+    if (format === 'credential' && _activeVerification &&
+        getCertificateStatus(_activeVerification.certificate).state === 'revoked') {
+        alert(t('download.credentialRevoked', 'This certificate has been revoked and cannot be exported as an Open Badge.'));
+        return;
+    }
+
+    // Prepare filename details (Latin name even when the page shows a localized one)
+    const recipientName = _activeVerification?.certificate.name ||
+        document.getElementById('recipientName')?.textContent || 'Certificate';
+    const certificateId = document.getElementById('certificateId')?.textContent || 'PTSC';
+    const filenameBase = buildCertificateFilename(recipientName, certificateId);
+    const metadata = _activeVerification ? buildExportMetadata(_activeVerification) : null;
+
+    // Provide user feedback
+    const originalCursor = document.body.style.cursor;
+
+    try {
+        // Temporarily hide navigation to avoid visual shift
+        if (navigation) navigation.style.visibility = 'hidden';
+        document.body.style.cursor = 'wait';
+
+        if (format === 'jpg') {
+            const canvas = await captureCertificate(certificateContainer, certificateId);
+            let dataUrl = canvas.toDataURL('image/jpeg', 0.95);
+            if (metadata) {
+                try {
+                    dataUrl = embedJpegMetadata(dataUrl, metadata);
+                } catch (error) {
+                    console.warn('Could not embed JPG metadata:', error);
+                }
+            }
+
+            const link = document.createElement('a');
+            link.download = `${filenameBase}.jpg`;
+            link.href = dataUrl;
+            link.click();
+
+        } else if (format === 'pdf') {
+            let pdf = null;
+
+            // Prefer real text and vector shapes; fall back to a screenshot PDF.
+            // jsPDF cannot shape Devanagari, so certificates shown in Hindi
+            // are always captured from the page.
+            if (_activeVerification && !DEVANAGARI_PATTERN.test(certificateContainer.textContent)) {
+                try {
+                    pdf = await createVectorPdf(_activeVerification);
+                } catch (error) {
+                    console.warn('Vector PDF export failed, falling back to image PDF:', error);
+                }
+            }
+
+            if (!pdf) {
+                const description = _activeVerification
+                    ? describeCertificate(_activeVerification.certificate)
+                    : certificateContainer.textContent.replace(/\s+/g, ' ').trim();
+                pdf = createRasterPdf(await captureCertificate(certificateContainer, certificateId), description);
+            }
+
+            if (metadata) applyPdfMetadata(pdf, metadata);
+            pdf.save(`${filenameBase}.pdf`);
+
+        } else if (format === 'credential') {
+            if (!_activeVerification) throw new Error('No verified certificate to export');
+
+            const credential = await loadOpenBadgeCredential(_activeVerification.certificate);
+            saveBlob(new Blob([JSON.stringify(credential, null, 2)], { type: 'application/json' }),
+                `${filenameBase}_OpenBadge.json`);
+        }
+
+    } catch (error) {
+        console.error('Download failed:', error);
+        alert(t('download.failed', 'Download failed. Please try again or use the print option.'));
+    } finally {
+        // Restore UI
+        document.body.style.cursor = originalCursor;
         if (navigation) navigation.style.visibility = 'visible';
         // Re-enable protection if it was on
         try { enableClientProtection(); } catch (e) { /* ignore */ }
     }
 }
 
+// ==========================================
+// PORTFOLIO PAGE
+// ==========================================
+
+// Certificates shown on portfolio.html: `{ recipientId, entries }`, where each
+// entry is `{ certificate, status, signatureStatus }`. `signatureStatus` is
+// null for the endpoint's public records, which leave out the signature.
+let _portfolio = null;
+
+// Portfolio filters by select element data-filter attribute. `label` is the
+// catalogue key and English text of the "any value" option.
+const PORTFOLIO_FILTERS = {
+    year: { label: ['portfolio.allYears', 'All years'], value: certificate => (certificate.date || '').slice(0, 4) },
+    event: { label: ['portfolio.allEvents', 'All events'], value: certificate => certificate.event || '' },
+    type: { label: ['portfolio.allTypes', 'All types'], value: certificate => certificate.type || '' }
+};
+
+/**
+ * Load and show every certificate of the recipient in `?recipient=`.
+ * Called when portfolio.html loads.
+ */
+async function loadPortfolio() {
+    // Wording depends on the language, so load it before rendering anything
+    await initLanguage();
+    
+    const params = parseURLParams();
+    const recipientId = (params.recipient || '').trim().toUpperCase();
+    const portfolioState = document.getElementById('portfolioState');
+    if (portfolioState) portfolioState.style.display = 'none';
+    
+    if (!RECIPIENT_ID_PATTERN.test(recipientId)) {
+        showPortfolioLookup(params.recipient || '');
+        return;
+    }
+    
+    const lookup = document.getElementById('portfolioLookup');
+    if (lookup) lookup.style.display = 'none';
+    showLoading();
+    
+    try {
+        const certificates = await findRecipientCertificates(recipientId);
+        if (!certificates.length) {
+            throw new VerificationError(VERIFICATION_ERRORS.RECIPIENT_NOT_FOUND,
+                `No certificates for recipient ${recipientId}`, { id: recipientId });
+        }
+        
+        // Newest first
+        certificates.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+        const entries = await Promise.all(certificates.map(async certificate => ({
+            certificate,
+            status: getCertificateStatus(certificate),
+            // Checked when the certificate is opened with its key instead
+            signatureStatus: certificate.keyHash ? await verifyRecordSignature(certificate) : null
+        })));
+        
+        _portfolio = { recipientId, entries };
+        renderPortfolio();
+        
+    } catch (error) {
+        console.error('Error loading portfolio:', error);
+        showError(error, {
+            retry: () => loadPortfolio(),
+            action: () => navigateTo('portfolio.html')
+        });
+    }
+}
+
+/**
+ * Show the recipient ID form on portfolio.html
+ * @param {string} value - Recipient ID from the link, if any
+ */
+function showPortfolioLookup(value) {
+    const lookup = document.getElementById('portfolioLookup');
+    const form = document.getElementById('portfolioLookupForm');
+    if (!lookup || !form) return;
+    
+    const input = form.querySelector('#recipientIdInput');
+    if (!input) return;
+    input.value = value.trim();
+    // The message no longer applies once the field is edited
+    input.oninput = () => clearFieldError(input);
+    
+    form.onsubmit = event => {
+        event.preventDefault();
+        const recipientId = input.value.trim().toUpperCase();
+        clearFieldError(input);
+        
+        if (!RECIPIENT_ID_PATTERN.test(recipientId)) {
+            showFieldError(input, recipientId
+                ? t('portfolio.badRecipient', 'Recipient IDs start with R followed by 11 letters or digits, e.g. R4TATSVCD6JZ')
+                : t('portfolio.missingRecipient', 'Enter the recipient ID from your certificate email, e.g. R4TATSVCD6JZ'));
+            // Focusing the field makes screen readers read its message
+            input.focus();
+            return;
+        }
+        navigateTo(`portfolio.html?recipient=${encodeURIComponent(recipientId)}`);
+    };
+    
+    lookup.style.display = '';
+}
+
+/**
+ * Show the loaded portfolio: heading, filters and cards (again after every
+ * language switch)
+ */
+function renderPortfolio() {
+    if (!_portfolio) return;
+    
+    const { recipientId, entries } = _portfolio;
+    const name = localizeCertificate(entries[0].certificate).name;
+    
+    const loadingState = document.getElementById('loadingState');
+    if (loadingState) loadingState.style.display = 'none';
+    
+    const heading = document.getElementById('portfolioName');
+    if (heading) heading.textContent = t('portfolio.heading', 'Certificates of {name}', { name });
+    // The page title stays in the record's own spelling for sharing
+    document.title = t('portfolio.pageTitle', '{name} - PTSC Certificate Portfolio', { name: entries[0].certificate.name });
+    
+    const summary = document.getElementById('portfolioSummary');
+    if (summary) {
+        summary.textContent = tCount('portfolio.summary', entries.length,
+            ['{count} certificate · Recipient ID {id}', '{count} certificates · Recipient ID {id}'], { id: recipientId });
+    }
+    
+    document.querySelectorAll('.portfolio-filters select[data-filter]').forEach(select => {
+        const filter = PORTFOLIO_FILTERS[select.dataset.filter];
+        const values = Array.from(new Set(entries.map(entry => filter.value(entry.certificate)).filter(Boolean)));
+        values.sort(select.dataset.filter === 'year' ? (a, b) => b.localeCompare(a) : (a, b) => a.localeCompare(b));
+        
+        // Types are shown translated but filtered by the stored value
+        const describe = select.dataset.filter === 'type' ? value => localizeCertificate({ type: value }).type : value => value;
+        const selected = select.value;
+        select.replaceChildren(...[['', t(...filter.label)], ...values.map(value => [value, describe(value)])].map(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            return option;
+        }));
+        select.value = values.includes(selected) ? selected : '';
+        select.onchange = renderPortfolioCards;
+    });
+    
+    renderPortfolioCards();
+    updateDatabaseNotices();
+    
+    const portfolioState = document.getElementById('portfolioState');
+    if (portfolioState) portfolioState.style.display = 'block';
+}
+
+/**
+ * Portfolio entries matching the selected filters
+ * @returns {Object[]} Entries in display order
+ */
+function getFilteredPortfolioEntries() {
+    if (!_portfolio) return [];
+    
+    const active = Array.from(document.querySelectorAll('.portfolio-filters select[data-filter]'))
+        .filter(select => select.value)
+        .map(select => [PORTFOLIO_FILTERS[select.dataset.filter], select.value]);
+    
+    return _portfolio.entries.filter(entry =>
+        active.every(([filter, value]) => filter.value(entry.certificate) === value));
+}
+
+/**
+ * Render one card per certificate matching the filters
+ */
+function renderPortfolioCards() {
+    const grid = document.getElementById('portfolioGrid');
+    if (!grid) return;
+    
+    const keys = readRememberedKeys();
+    const entries = getFilteredPortfolioEntries();
+    
+    if (!entries.length) {
+        const empty = document.createElement('p');
+        empty.className = 'portfolio-empty';
+        empty.textContent = t('portfolio.empty', 'No certificates match these filters.');
+        grid.replaceChildren(empty);
+    } else {
+        grid.replaceChildren(...entries.map(entry => createPortfolioCard(entry, keys[entry.certificate.id])));
+    }
+    
+    const zipButton = document.getElementById('portfolioZipBtn');
+    if (zipButton) {
+        zipButton.disabled = !entries.some(entry => keys[entry.certificate.id]);
+    }
+}
+
+/**
+ * Build the card for one certificate
+ * @param {Object} entry - `{ certificate, status, signatureStatus }`
+ * @param {string} [key] - Key remembered on this device
+ * @returns {HTMLElement} Card element
+ */
+function createPortfolioCard(entry, key) {
+    const { certificate, status, signatureStatus } = entry;
+    const card = document.createElement('article');
+    card.className = `portfolio-card status-${status.state}`;
+    
+    const type = document.createElement('p');
+    type.className = 'portfolio-card-type';
+    type.textContent = localizeCertificate(certificate).type;
+    
+    const event = document.createElement('h3');
+    event.textContent = certificate.event;
+    
+    const meta = document.createElement('p');
+    meta.className = 'portfolio-card-meta';
+    meta.textContent = `${formatDate(certificate.date)} · ${certificate.id}`;
+    
+    const statusLine = document.createElement('p');
+    statusLine.className = 'portfolio-card-status';
+    statusLine.textContent = describeCertificateStatus(status).title;
+    
+    card.append(type, event, meta, statusLine);
+    
+    if (signatureStatus && signatureStatus !== 'valid') {
+        const signature = describeSignatureStatus(signatureStatus);
+        const warning = document.createElement('p');
+        warning.className = 'portfolio-card-warning';
+        warning.textContent = `${signature.icon} ${signature.text}`;
+        card.appendChild(warning);
+    }
+    
+    if (key) {
+        const link = document.createElement('a');
+        link.className = 'portfolio-card-link';
+        link.href = buildVerificationUrl(certificate.id, key);
+        link.textContent = t('portfolio.view', 'View Certificate →');
+        card.appendChild(link);
+    } else {
+        card.appendChild(createPortfolioUnlockForm(certificate));
+    }
+    
+    return card;
+}
+
+/**
+ * Build the key form for a certificate not yet opened on this device
+ * @param {Object} certificate - Certificate record
+ * @returns {HTMLFormElement} Form that verifies and remembers the key
+ */
+function createPortfolioUnlockForm(certificate) {
+    const form = document.createElement('form');
+    form.className = 'portfolio-unlock';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `portfolioKey-${certificate.id}`;
+    input.className = 'form-input';
+    input.placeholder = t('portfolio.keyPlaceholder', 'Verification key');
+    input.setAttribute('aria-label', t('portfolio.keyLabel', 'Verification key for {id}', { id: certificate.id }));
+    input.autocomplete = 'off';
+    
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.className = 'retry-btn';
+    button.textContent = t('portfolio.unlock', 'Unlock');
+    
+    // Read out as soon as it appears: a wrong key is only known after the
+    // check, when focus has moved on from the field
+    const message = document.createElement('p');
+    message.id = `${input.id}Error`;
+    message.className = 'field-error portfolio-unlock-error';
+    message.setAttribute('role', 'alert');
+    message.hidden = true;
+    
+    form.append(input, button, message);
+    input.addEventListener('input', () => clearFieldError(input));
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const key = input.value.trim();
+        clearFieldError(input);
+        
+        if (!CERTIFICATE_KEY_PATTERN.test(key)) {
+            showFieldError(input, t('portfolio.badKey', 'Keys are 10 letters or digits.'));
+            return;
+        }
+        
+        button.disabled = true;
+        try {
+            await validateCertificate(certificate.id, key);
+            rememberCertificateKey(certificate.id, key);
+            renderPortfolioCards();
+        } catch (error) {
+            showFieldError(input, error instanceof VerificationError
+                ? localizeErrorView(error.code).title
+                : t('portfolio.checkFailed', 'The key could not be checked. Please try again.'));
+            button.disabled = false;
+        }
+    });
+    
+    return form;
+}
+
+/**
+ * Forget remembered keys and lock the portfolio cards again
+ */
+function forgetPortfolioKeys() {
+    forgetRememberedKeys();
+    renderPortfolioCards();
+}
+
+/**
+ * Download the PDFs of every unlocked certificate matching the filters as one ZIP
+ */
+async function downloadPortfolioZip() {
+    if (!_portfolio) return;
+    
+    const statusElement = document.getElementById('portfolioZipStatus');
+    const button = document.getElementById('portfolioZipBtn');
+    const setStatus = text => { if (statusElement) statusElement.textContent = text; };
+    
+    const keys = readRememberedKeys();
+    const entries = getFilteredPortfolioEntries();
+    const unlocked = entries.filter(entry => keys[entry.certificate.id]);
+    if (!unlocked.length) {
+        setStatus(t('portfolio.zipNeedsKey', 'Unlock at least one certificate with its key to download it.'));
+        return;
+    }
+    
+    if (button) button.disabled = true;
+    
+    try {
+        // Re-check remembered keys so a QR code never carries a wrong one
+        setStatus(t('portfolio.zipChecking', 'Checking certificates…'));
+        const verifications = await Promise.all(unlocked.map(entry =>
+            prepareCertificateExport(entry.certificate.id, keys[entry.certificate.id])));
+        
+        const blob = await createCertificateZip(verifications, (done, total, verification) => {
+            setStatus(t('portfolio.zipProgress', 'Prepared PDF {done} of {total}: {event}',
+                { done, total, event: verification.certificate.event }));
+        });
+        saveBlob(blob, `${_portfolio.entries[0].certificate.name.replace(/\s+/g, '_')}_PTSC_Certificates.zip`);
+        
+        const added = verifications.length;
+        const locked = entries.length - unlocked.length;
+        setStatus([
+            tCount('portfolio.zipDone', added, ['Downloaded {count} certificate.', 'Downloaded {count} certificates.']),
+            locked ? tCount('portfolio.zipLocked', locked,
+                ['{count} locked certificate was left out.', '{count} locked certificates were left out.']) : ''
+        ].join(' ').trim());
+        
+    } catch (error) {
+        console.error('Portfolio download failed:', error);
+        setStatus(t('portfolio.zipFailed', 'The ZIP could not be created. Please try again, or download certificates one at a time.'));
+    } finally {
+        renderPortfolioCards();
+    }
+}
+
 // ==========================================
 // EXPORT FOR TESTING (if needed)
 // ==========================================
@@ -687,14 +5036,51 @@ async function downloadCertificate(format) {
 // Make functions available globally for testing purposes
 if (typeof window !== 'undefined') {
     window.PTSCCertificate = {
+        VerificationError,
+        VERIFICATION_ERRORS,
         parseURLParams,
         formatDate,
         sanitizeText,
+        hashCertificateKey,
         validateCertificate,
+        getVerificationBackoff,
+        solveProofOfWork,
+        getCertificateStatus,
+        selectTemplate,
+        updateCertificateDisplay,
+        canonicalizeRecord,
+        verifyRecordSignature,
+        verifyIssuanceChain,
+        getIssuanceHistory,
         verifyCertificate,
         fetchCertificates,
+        validateCertificateRecord,
+        setLanguage,
+        VERIFICATION_BACKENDS,
+        getVerificationBackend,
+        findCertificateRecord,
+        findRecipientCertificates,
+        buildVerificationUrl,
+        findSharePage,
+        getShareUrl,
+        buildLinkedInProfileUrl,
+        extractCertificateFromFile,
+        fileShowsRecipientName,
+        verifyCertificateFile,
         copyCurrentUrl,
-        printCertificate
+        printCertificate,
+        describeCertificate,
+        createPdfStructure,
+        createVectorPdf,
+        createMultiPagePdf,
+        createCertificateZip,
+        buildExportMetadata,
+        buildOpenBadgeCredential,
+        loadOpenBadgeCredential,
+        embedJpegMetadata,
+        downloadCertificate,
+        loadPortfolio,
+        downloadPortfolioZip
     };
 }
 
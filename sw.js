@@ -0,0 +1,277 @@
+/**
+ * PTSC Certificate Verification System
+ * Service worker: offline copies of the site, its export libraries and the database
+ *
+ * - The app shell and vendored libraries are precached on install. Pages,
+ *   styles and scripts are served stale-while-revalidate, so a deploy reaches
+ *   visitors on their next load; vendor/ and icons/ are pinned and served
+ *   cache-first. Bump CACHE_VERSION when the precache list changes.
+ * - certificates.json and shards/index.json are served stale-while-revalidate
+ *   from a separate cache that survives version bumps. Stored copies carry an
+ *   X-PTSC-Cached-At header so the page can say how old its data is, and open
+ *   pages get a `database-updated` message when a newer copy arrives.
+ * - Shard files are immutable for a build (`?v=<version>`) and served
+ *   cache-first. All shards of the current build are stored so any
+ *   certificate can be verified offline.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `ptsc-shell-${CACHE_VERSION}`;
+const DATABASE_CACHE = 'ptsc-database';
+
+// Must match DATABASE_CACHED_AT_HEADER in script.js
+const CACHED_AT_HEADER = 'X-PTSC-Cached-At';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'certificate.html',
+    'portfolio.html',
+    'style.css',
+    'script.js',
+    'templates.json',
+    'locales/hi.json',
+    'knit-logo.svg',
+    'ptsc-logo.svg',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/html2canvas.min.js',
+    'vendor/jspdf.umd.min.js',
+    'vendor/jszip.min.js',
+    'vendor/qrcode.js',
+    'vendor/fonts/NotoSans_400Regular.ttf',
+    'vendor/fonts/NotoSans_700Bold.ttf',
+    'vendor/fonts/NotoSans_600SemiBold_Italic.ttf',
+    'vendor/fonts/noto-sans-devanagari-devanagari-400-normal.woff2',
+    'vendor/fonts/noto-sans-devanagari-devanagari-700-normal.woff2'
+];
+
+const DATABASE_FILES = ['certificates.json', 'shards/index.json', 'issuance-log.jsonl'];
+const PINNED_DIRECTORIES = ['vendor/', 'icons/'];
+const SHARD_DIRECTORY = 'shards/';
+
+/**
+ * Resolve a path against the service worker's scope
+ * @param {string} path - Site-relative path
+ * @returns {string} Absolute URL
+ */
+function scopedUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Path of a request below the scope, without the query string
+ * @param {Request} request - Intercepted request
+ * @returns {string|null} e.g. `shards/0a.json`, or null outside the scope
+ */
+function scopedPath(request) {
+    const url = new URL(request.url);
+    const scope = new URL(self.registration.scope);
+    if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return null;
+    return url.pathname.slice(scope.pathname.length);
+}
+
+/**
+ * Copy a database response with the time it was stored
+ * @param {Response} response - Fresh network response
+ * @returns {Promise<Response>} Response to put in the cache
+ */
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+/**
+ * Store every shard of a build and drop shards of older builds
+ * @param {Cache} cache - Database cache
+ * @param {Object} manifest - Parsed shards/index.json
+ */
+async function storeShards(cache, manifest) {
+    if (!manifest || !manifest.version || !Array.isArray(manifest.shards)) return;
+
+    const version = encodeURIComponent(manifest.version);
+    const names = [
+        ...manifest.shards,
+        ...(manifest.recipientShards || []).map(prefix => `recipients/${prefix}`)
+    ];
+    const wanted = new Set(names.map(name => scopedUrl(`${SHARD_DIRECTORY}${name}.json?v=${version}`)));
+
+    const stored = await cache.keys();
+    await Promise.all(stored
+        .filter(request => new URL(request.url).pathname.includes(`/${SHARD_DIRECTORY}`) &&
+            !request.url.endsWith('/shards/index.json') && !wanted.has(request.url))
+        .map(request => cache.delete(request)));
+
+    await Promise.all(Array.from(wanted).map(async url => {
+        if (await cache.match(url)) return;
+        const response = await fetch(url);
+        if (response.ok) await cache.put(url, response);
+    }));
+}
+
+/**
+ * Store a database file (and, for the manifest, its shards)
+ * @param {string} url - Absolute URL of certificates.json or shards/index.json
+ * @param {Response} response - Successful network response
+ * @returns {Promise<boolean>} Whether the stored copy changed
+ */
+async function storeDatabaseFile(url, response) {
+    const cache = await caches.open(DATABASE_CACHE);
+    const text = await response.clone().text();
+    const previous = await cache.match(url);
+    const changed = !previous || (await previous.text()) !== text;
+
+    if (changed) {
+        await cache.put(url, await stampResponse(response));
+    }
+
+    if (url.endsWith('/shards/index.json')) {
+        try {
+            await storeShards(cache, JSON.parse(text));
+        } catch (error) {
+            console.warn('Could not store shards for offline use:', error);
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Fetch a database file into the cache. A failed fetch leaves the previous
+ * copy in place.
+ * @param {string} url - Absolute URL of certificates.json or shards/index.json
+ * @returns {Promise<boolean>} Whether a different copy was stored
+ */
+async function refreshDatabaseFile(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    return response.ok ? storeDatabaseFile(url, response) : false;
+}
+
+/**
+ * Tell open pages that a newer database copy is available
+ */
+async function announceDatabaseUpdate() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'database-updated' }));
+}
+
+/**
+ * Stale-while-revalidate for certificates.json and shards/index.json
+ * @param {FetchEvent} event - Intercepted fetch
+ * @returns {Promise<Response>} Cached copy if there is one, otherwise the network response
+ */
+async function respondWithDatabase(event) {
+    const url = event.request.url.split('?')[0];
+    const cache = await caches.open(DATABASE_CACHE);
+    const cached = await cache.match(url);
+
+    if (!cached) {
+        // Nothing stored yet: answer from the network (no header - the data is live)
+        const response = await fetch(event.request);
+        if (response.ok) {
+            event.waitUntil(storeDatabaseFile(url, response.clone()).catch(error => {
+                console.warn(`Could not store ${url} for offline use:`, error);
+            }));
+        }
+        return response;
+    }
+
+    event.waitUntil(refreshDatabaseFile(url)
+        .then(changed => (changed ? announceDatabaseUpdate() : undefined))
+        .catch(() => {
+            // Offline: keep serving the stored copy
+        }));
+    return cached;
+}
+
+/**
+ * Cache-first for pinned files and versioned shards
+ * @param {Request} request - Intercepted request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function respondCacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+}
+
+/**
+ * Stale-while-revalidate for the app shell. Pages are matched without their
+ * query string, so certificate.html?id=... works offline.
+ * @param {FetchEvent} event - Intercepted fetch
+ * @returns {Promise<Response>} Response
+ */
+async function respondWithShell(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    const ignoreSearch = request.mode === 'navigate';
+    const cached = await cache.match(request, { ignoreSearch });
+
+    const update = fetch(request).then(async response => {
+        if (response.ok) {
+            await cache.put(ignoreSearch ? request.url.split('?')[0] : request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => undefined));
+        return cached;
+    }
+    return update;
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+
+        // The site works without shards, so a missing manifest is not an error
+        await Promise.all(DATABASE_FILES.map(path => refreshDatabaseFile(scopedUrl(path)).catch(error => {
+            console.warn(`Could not store ${path} for offline use:`, error);
+        })));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('ptsc-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    // Requests that opt out of caching (the admin console) go straight to the network
+    if (event.request.method !== 'GET' || event.request.cache === 'no-store') return;
+
+    const path = scopedPath(event.request);
+    if (path === null) return;
+
+    if (DATABASE_FILES.includes(path)) {
+        event.respondWith(respondWithDatabase(event));
+    } else if (path.startsWith(SHARD_DIRECTORY)) {
+        event.respondWith(respondCacheFirst(event.request, DATABASE_CACHE));
+    } else if (PINNED_DIRECTORIES.some(directory => path.startsWith(directory))) {
+        event.respondWith(respondCacheFirst(event.request, SHELL_CACHE));
+    } else {
+        event.respondWith(respondWithShell(event));
+    }
+});
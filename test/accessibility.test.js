@@ -0,0 +1,152 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { jsPDF } = require('../vendor/jspdf.umd.min.js');
+const { FIXTURE_KEYS, loadPage, visibleState, waitFor } = require('./helpers/dom');
+
+const HINDI = { 'locales/hi.json': path.join(__dirname, '..', 'locales', 'hi.json') };
+
+/**
+ * Open the certificate page for a fixture and wait until the outcome has
+ * been announced
+ * @param {string} id - Fixture certificate ID
+ * @param {string} [key] - Key to use instead of the right one
+ * @param {Object} [options] - loadPage() options
+ * @returns {Promise<Object>} Page from loadPage()
+ */
+async function openCertificate(id, key = FIXTURE_KEYS[id], options = {}) {
+    const query = `?id=${encodeURIComponent(id)}&key=${encodeURIComponent(key)}`;
+    const page = await loadPage('certificate.html', { ...options, query });
+    const announcer = page.document.getElementById('statusAnnouncer');
+    await waitFor(() => visibleState(page.document) !== 'loading' && announcer.textContent !== '');
+    return page;
+}
+
+/**
+ * Rows of the certificate's text alternative
+ * @param {Document} document - Page document
+ * @returns {Object<string, string>} Label -> value
+ */
+function summaryRows(document) {
+    const rows = {};
+    document.querySelectorAll('#certificateSummaryList dt').forEach(term => {
+        rows[term.textContent] = term.nextElementSibling.textContent;
+    });
+    return rows;
+}
+
+test('certificate page for screen readers', async t => {
+    await t.test('announces the verified certificate and focuses its status', async () => {
+        const page = await openCertificate('PTSC2025-9001');
+        const { document } = page;
+
+        assert.equal(visibleState(document), 'certificate');
+        assert.equal(document.getElementById('statusAnnouncer').textContent,
+            'Verification complete. Certificate of Merit awarded to Asha Verma for Testing Workshop on March 15, 2025. ' +
+            'Certificate ID PTSC2025-9001. Status: Valid certificate.');
+        assert.equal(document.activeElement, document.getElementById('certificateStatus'));
+        page.close();
+    });
+
+    await t.test('announces why verification failed and focuses the error', async () => {
+        const page = await openCertificate('PTSC2025-9001', 'Fixture002');
+        const { document } = page;
+        const title = document.getElementById('errorTitle').textContent;
+
+        assert.equal(visibleState(document), 'error');
+        assert.ok(document.getElementById('statusAnnouncer').textContent.startsWith(`${title}. `));
+        assert.equal(document.activeElement, document.getElementById('errorTitle'));
+        page.close();
+    });
+
+    await t.test('describes the certificate as text beside the artwork', async () => {
+        const page = await openCertificate('PTSC2025-9003');
+        const { document } = page;
+        const rows = summaryRows(document);
+
+        assert.equal(rows['Awarded to'], 'Kabir Rao');
+        assert.equal(rows['Certificate ID'], 'PTSC2025-9003');
+        assert.match(rows.Status, /^Certificate revoked\. .*Issued in error/);
+        assert.equal(document.querySelector('.certificate-container').getAttribute('aria-hidden'), 'true');
+        assert.equal(document.getElementById('certificateSummary').getAttribute('aria-labelledby'),
+            'certificateSummaryHeading');
+        page.close();
+    });
+
+    await t.test('describes and announces in the chosen language', async () => {
+        const page = await openCertificate('PTSC2025-9001', undefined, {
+            files: HINDI,
+            storage: { 'ptsc-language': 'hi' }
+        });
+        const { document } = page;
+
+        assert.equal(document.getElementById('certificateSummaryHeading').textContent, 'प्रमाणपत्र का विवरण');
+        assert.equal(summaryRows(document)['प्रमाणपत्र ID'], 'PTSC2025-9001');
+        assert.match(document.getElementById('statusAnnouncer').textContent, /^सत्यापन पूरा हुआ। /);
+        page.close();
+    });
+});
+
+test('createPdfStructure()', async t => {
+    const page = await loadPage('index.html');
+    const { createPdfStructure } = page.window.PTSCCertificate;
+    t.after(() => page.close());
+
+    /**
+     * Write a two-page tagged document uncompressed
+     * @param {string} language - Document language
+     * @returns {string} PDF source
+     */
+    function render(language) {
+        const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4', compress: false });
+        const structure = createPdfStructure(pdf, language);
+
+        structure.artifact(() => pdf.rect(0, 0, 10, 10, 'F'));
+        structure.tag('H1', () => pdf.text('Certificate of Merit', 20, 20));
+        structure.tag('P', () => pdf.text('Asha Verma', 20, 40));
+        pdf.addPage();
+        structure.tag('Figure', () => pdf.rect(20, 20, 30, 30, 'F'), { alt: 'QR code' });
+        return pdf.output();
+    }
+
+    await t.test('marks the document as tagged and records its language', () => {
+        const source = render('en-US');
+
+        assert.match(source, /\/MarkInfo << \/Marked true >>/);
+        assert.match(source, /\/StructTreeRoot \d+ 0 R/);
+        assert.match(source, /\/Lang <FEFF0065006E002D00550053>/);
+        assert.match(source, /\/DisplayDocTitle true/);
+    });
+
+    await t.test('wraps drawing in marked content numbered per page', () => {
+        const source = render('en-US');
+
+        assert.match(source, /\/Artifact BMC\n[\s\S]*?\nEMC/);
+        assert.match(source, /\/H1 <<\/MCID 0>> BDC\n[\s\S]*?\(Certificate of Merit\) Tj[\s\S]*?\nEMC/);
+        assert.match(source, /\/P <<\/MCID 1>> BDC/);
+        assert.match(source, /\/Figure <<\/MCID 0>> BDC/);
+        assert.equal(source.match(/\/StructParents \d+/g).join(), '/StructParents 0,/StructParents 1');
+    });
+
+    await t.test('builds a structure element for each tag in reading order', () => {
+        const source = render('en-US');
+        const types = Array.from(source.matchAll(/\/Type \/StructElem \/S \/(\w+)/g), match => match[1]);
+
+        assert.deepEqual(types, ['Document', 'H1', 'P', 'Figure']);
+        assert.match(source, /\/S \/Figure [^>]*\/K 0 \/Alt <FEFF0051005200200063006F00640065>/);
+        assert.match(source, /\/ParentTree \d+ 0 R \/ParentTreeNextKey 2/);
+        assert.match(source, /\/Nums \[0 \[\d+ 0 R \d+ 0 R\] 1 \[\d+ 0 R\]\]/);
+    });
+
+    await t.test('encodes non-Latin alt text and languages', () => {
+        const pdf = new jsPDF();
+        const structure = createPdfStructure(pdf, 'hi-IN');
+        structure.tag('Figure', () => pdf.rect(0, 0, 1, 1, 'F'), { alt: 'प्रमाणपत्र' });
+        const source = pdf.output();
+
+        assert.match(source, /\/Lang <FEFF00680069002D0049004E>/);
+        assert.match(source, /\/Alt <FEFF092A094D0930092E093E0923092A0924094D0930>/);
+    });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { replayLog, verifyChain } = require('../tools/lib/issuance-log');
+const { fixture, loadPage, waitFor } = require('./helpers/dom');
+
+const LOG = fixture('issuance-log.jsonl');
+
+/**
+ * Open the admin console with the site's database loaded and capture
+ * downloads instead of saving them
+ * @param {Object} [files] - loadPage() files (the fixture log by default)
+ * @returns {Promise<Object>} Page from loadPage() plus `downloads`
+ *   (file name -> text)
+ */
+async function openConsole(files = { 'issuance-log.jsonl': LOG }) {
+    const page = await loadPage('admin.html', { files });
+    const { document, window } = page;
+
+    page.downloads = {};
+    // jsdom's Blob has no text()
+    window.saveBlob = (blob, name) => {
+        const reader = new window.FileReader();
+        reader.onload = () => { page.downloads[name] = reader.result; };
+        reader.readAsText(blob);
+    };
+
+    // The load button is wired once templates and the log have loaded
+    await waitFor(() => document.getElementById('adminBulkField').options.length > 0);
+    document.getElementById('adminLoadSiteBtn').click();
+    await waitFor(() => document.querySelectorAll('#adminTableBody tr').length > 0);
+    return page;
+}
+
+/**
+ * Change a field of a record in the table the way typing would
+ * @param {Document} document - Page document
+ * @param {string} id - Certificate ID of the row
+ * @param {string} field - data-field of the input
+ * @param {string|boolean} value - New value (booleans tick checkboxes)
+ */
+function editField(document, id, field, value) {
+    const tr = Array.from(document.querySelectorAll('#adminTableBody tr'))
+        .find(row => row.querySelector('input[data-field="id"]').value === id);
+    const input = tr.querySelector(`[data-field="${field}"]`);
+    if (typeof value === 'boolean') {
+        input.checked = value;
+        input.dispatchEvent(new document.defaultView.Event('change', { bubbles: true }));
+    } else {
+        input.value = value;
+        input.dispatchEvent(new document.defaultView.Event('input', { bubbles: true }));
+    }
+}
+
+/**
+ * Export and wait for the database download
+ * @param {Object} page - Page from openConsole()
+ */
+async function exportDatabase(page) {
+    await page.window.exportAdminDatabase();
+    await waitFor(() => 'certificates.json' in page.downloads);
+}
+
+test('admin console', async t => {
+    await t.test('records edits and revocations in the exported issuance log', async () => {
+        const page = await openConsole();
+        const { document, downloads } = page;
+
+        editField(document, 'PTSC2025-9001', 'name', 'Asha K. Verma');
+        editField(document, 'PTSC2025-9004', 'date', '2025-02-28');
+        editField(document, 'PTSC2025-9002', 'revoked', true);
+        editField(document, 'PTSC2025-9002', 'revokedOn', '2025-06-01');
+        editField(document, 'PTSC2025-9002', 'revocationReason', 'Issued in error');
+        document.getElementById('adminLogNote').value = 'Name correction';
+        await exportDatabase(page);
+        await waitFor(() => 'issuance-log.jsonl' in downloads);
+
+        const events = downloads['issuance-log.jsonl'].trim().split('\n').map(line => JSON.parse(line));
+        const { certificates } = JSON.parse(downloads['certificates.json']);
+        const records = replayLog(events);
+
+        assert.ok(verifyChain(events).intact);
+        assert.deepEqual(events.slice(4).map(event => [event.action, event.id, event.note]), [
+            ['correct', 'PTSC2025-9001', 'Name correction'],
+            ['revoke', 'PTSC2025-9002', 'Name correction'],
+            ['correct', 'PTSC2025-9004', 'Name correction']
+        ]);
+        assert.equal(downloads['issuance-log.jsonl'].startsWith(fs.readFileSync(LOG, 'utf8')), true);
+        certificates.forEach(record => assert.deepEqual(records.get(record.id), record));
+        assert.match(document.getElementById('adminExportStatus').textContent,
+            /3 new event\(s\) in issuance-log\.jsonl/);
+        page.close();
+    });
+
+    await t.test('logs each change once', async () => {
+        const page = await openConsole();
+        const { document, downloads } = page;
+
+        editField(document, 'PTSC2025-9004', 'date', '2025-02-28');
+        await exportDatabase(page);
+        await waitFor(() => 'issuance-log.jsonl' in downloads);
+
+        delete downloads['certificates.json'];
+        delete downloads['issuance-log.jsonl'];
+        await exportDatabase(page);
+
+        assert.equal('issuance-log.jsonl' in downloads, false);
+        assert.match(document.getElementById('adminSummary').textContent,
+            /issuance log from this export with 5 entries/);
+        page.close();
+    });
+
+    await t.test('refuses to delete or rename a logged certificate', async () => {
+        const page = await openConsole();
+        const { document, alerts } = page;
+        const rows = () => document.querySelectorAll('#adminTableBody tr').length;
+        const before = rows();
+
+        document.querySelector('#adminTableBody tr button[data-action="delete"]').click();
+        assert.equal(rows(), before);
+        assert.match(alerts[0], /is in the issuance log and cannot be deleted/);
+
+        editField(document, 'PTSC2025-9004', 'id', 'PTSC2025-9005');
+        assert.match(document.getElementById('adminTableBody').textContent,
+            /PTSC2025-9004 is in the issuance log - revoke it/);
+        assert.equal(document.getElementById('adminExportBtn').disabled, true);
+        page.close();
+    });
+
+    await t.test('does not export on top of a broken log', async () => {
+        const lines = fs.readFileSync(LOG, 'utf8').trim().split('\n');
+        const tampered = JSON.parse(lines[1]);
+        tampered.record.name = 'Someone Else';
+        lines[1] = JSON.stringify(tampered);
+        const file = () => new Response(`${lines.join('\n')}\n`, { status: 200 });
+
+        const page = await openConsole({ 'issuance-log.jsonl': file });
+        editField(page.document, 'PTSC2025-9004', 'date', '2025-02-28');
+        await page.window.exportAdminDatabase();
+
+        assert.deepEqual(page.downloads, {});
+        assert.match(page.alerts[0], /broken at entry 2/);
+        assert.equal(page.document.getElementById('adminExportBtn').disabled, true);
+        page.close();
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { buildCredential } = require('../tools/lib/credentials');
+const { canonicalize } = require('../tools/lib/signing');
+const { loadPage } = require('./helpers/dom');
+
+const SITE = 'https://ptsc.example/';
+const CERTIFICATE = {
+    id: 'PTSC2025-9001',
+    recipientId: 'RTESTFIXTUR1',
+    name: 'Asha Verma',
+    event: 'Testing Workshop',
+    type: 'Certificate of Merit',
+    date: '2025-03-15'
+};
+const SALTS = { name: '00112233445566778899aabbccddeeff', identifier: 'ffeeddccbbaa99887766554433221100' };
+
+test('Open Badges credentials', async t => {
+    await t.test('name the recipient only by salted hashes', async () => {
+        const page = await loadPage('index.html');
+        const credential = await page.window.PTSCCertificate.buildOpenBadgeCredential(CERTIFICATE, SITE, SALTS);
+        const [name, identifier] = credential.credentialSubject.identifier;
+        const sha256 = text => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+        assert.deepEqual({ ...name }, {
+            type: 'IdentityObject',
+            identityType: 'name',
+            hashed: true,
+            identityHash: `sha256$${sha256(`Asha Verma${SALTS.name}`)}`,
+            salt: SALTS.name
+        });
+        assert.equal(identifier.identityHash, `sha256$${sha256(`RTESTFIXTUR1${SALTS.identifier}`)}`);
+        assert.doesNotMatch(JSON.stringify(credential), /Asha Verma|RTESTFIXTUR1/);
+        page.close();
+    });
+
+    await t.test('match the copies tools/build-credentials.js publishes', async () => {
+        const page = await loadPage('index.html');
+        const built = await page.window.PTSCCertificate.buildOpenBadgeCredential(CERTIFICATE, SITE, SALTS);
+
+        assert.equal(canonicalize(JSON.parse(JSON.stringify(built))), canonicalize(buildCredential(CERTIFICATE, SITE, SALTS)));
+        page.close();
+    });
+
+    await t.test('hand out the published copy only while its hashes match the record', async () => {
+        const published = { ...buildCredential(CERTIFICATE, SITE, SALTS), proof: { type: 'DataIntegrityProof' } };
+        const page = await loadPage('index.html', {
+            files: { 'credentials/PTSC2025-9001.json': () => Response.json(published) }
+        });
+        const { loadOpenBadgeCredential } = page.window.PTSCCertificate;
+
+        assert.deepEqual((await loadOpenBadgeCredential(CERTIFICATE)).proof, published.proof);
+
+        const renamed = await loadOpenBadgeCredential({ ...CERTIFICATE, name: 'Kabir Rao' });
+        assert.equal(renamed.proof, undefined);
+        assert.notEqual(renamed.credentialSubject.identifier[0].salt, SALTS.name);
+        page.close();
+    });
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadPage, visibleState, waitFor } = require('./helpers/dom');
+
+const CERTIFICATE = {
+    id: 'PTSC2025-9001',
+    recipientId: 'RTESTFIXTUR1',
+    name: 'Asha Verma',
+    nameLocalized: { hi: 'आशा वर्मा' },
+    event: 'Testing Workshop',
+    type: 'Certificate of Merit',
+    date: '2025-03-15',
+    issuer: 'Dr. Test Issuer'
+};
+
+/**
+ * Open certificate.html without a link, so nothing but the test fills it in
+ * @param {Object} [options] - loadPage() options
+ * @returns {Promise<Object>} Page from loadPage()
+ */
+async function openBlankCertificatePage(options) {
+    const page = await loadPage('certificate.html', options);
+    await waitFor(() => visibleState(page.document) !== 'loading');
+    return page;
+}
+
+/**
+ * Text of an element, with runs of whitespace collapsed
+ * @param {Document|Element} root - Where to look
+ * @param {string} selector - CSS selector
+ * @returns {string} Text content
+ */
+function text(root, selector) {
+    return root.querySelector(selector).textContent.replace(/\s+/g, ' ').trim();
+}
+
+test('updateCertificateDisplay()', async t => {
+    const page = await openBlankCertificatePage({
+        files: { 'locales/hi.json': path.join(__dirname, '..', 'locales', 'hi.json') }
+    });
+    const { document, window } = page;
+    const { updateCertificateDisplay, setLanguage } = window.PTSCCertificate;
+    t.after(() => page.close());
+
+    await t.test('fills the certificate with the default template', () => {
+        updateCertificateDisplay(CERTIFICATE);
+
+        assert.equal(text(document, '#certificateType'), 'Certificate of Merit');
+        assert.equal(text(document, '[data-line="intro"]'), 'This is to certify that');
+        assert.equal(text(document, '#recipientName'), 'Asha Verma');
+        assert.equal(text(document, '[data-line="body"]'), 'has successfully completed the');
+        assert.equal(text(document, '#eventName'), 'Testing Workshop');
+        assert.equal(text(document, '[data-line="date"]'), 'on March 15, 2025');
+        assert.equal(text(document, '#completionDate'), 'March 15, 2025');
+        assert.equal(text(document, '#issueDate'), 'March 15, 2025');
+        assert.equal(text(document, '#certificateId'), 'PTSC2025-9001');
+        assert.equal(document.querySelector('.certificate-container').dataset.template, 'default');
+    });
+
+    await t.test('lists the template signatories with the issuer first', () => {
+        const blocks = Array.from(document.querySelectorAll('#signaturesSection .signature-block'));
+
+        assert.deepEqual(blocks.map(block => text(block, '.signature-label')), ['Dr. Test Issuer', 'Head of Department']);
+        assert.deepEqual(blocks.map(block => text(block, '.signature-title')),
+            ['Club Coordinator', 'Computer Science & Engineering']);
+        assert.equal(document.getElementById('issuerName'), blocks[0].querySelector('.signature-label'));
+    });
+
+    await t.test('names the recipient in the title and sharing metadata', () => {
+        assert.equal(document.title, 'Certificate - Asha Verma - PTSC KNIT');
+        assert.match(document.querySelector('meta[property="og:title"]').content, /Asha Verma/);
+    });
+
+    await t.test('shows the expiry date only when there is one', () => {
+        assert.equal(document.getElementById('expiryLine').style.display, 'none');
+
+        updateCertificateDisplay({ ...CERTIFICATE, expiresOn: '2026-03-14' });
+        assert.equal(document.getElementById('expiryLine').style.display, '');
+        assert.equal(text(document, '#expiryDate'), 'March 14, 2026');
+
+        updateCertificateDisplay(CERTIFICATE);
+        assert.equal(document.getElementById('expiryLine').style.display, 'none');
+        assert.equal(text(document, '#expiryDate'), '');
+    });
+
+    await t.test('applies a template\'s wording, theme and signatories', () => {
+        updateCertificateDisplay(CERTIFICATE, {
+            id: 'winner',
+            heading: '{type} - {event}',
+            wording: { intro: 'Presented to', body: '', closing: 'for {event}', date: 'held on {date} by {issuer}' },
+            signatories: [{ name: 'Dean', title: 'KNIT Sultanpur' }],
+            theme: { primary: '#111111', secondary: '#222222', accent: '#333333' }
+        });
+        const container = document.querySelector('.certificate-container');
+
+        assert.equal(text(document, '#certificateType'), 'Certificate of Merit - Testing Workshop');
+        assert.equal(text(document, '[data-line="intro"]'), 'Presented to');
+        assert.equal(document.querySelector('[data-line="body"]').style.display, 'none');
+        assert.equal(text(document, '[data-line="closing"]'), 'for Testing Workshop');
+        assert.equal(text(document, '[data-line="date"]'), 'held on March 15, 2025 by Dr. Test Issuer');
+        assert.deepEqual(Array.from(document.querySelectorAll('.signature-label'), label => label.textContent), ['Dean']);
+        assert.equal(document.getElementById('issuerName'), null);
+        assert.equal(container.dataset.template, 'winner');
+        assert.equal(container.style.getPropertyValue('--cert-primary'), '#111111');
+        assert.equal(container.style.getPropertyValue('--cert-accent'), '#333333');
+    });
+
+    await t.test('writes record fields as text, never as markup', () => {
+        updateCertificateDisplay({ ...CERTIFICATE, name: '<img src=x onerror="alert(1)">', event: '<b>Workshop</b>' });
+
+        assert.equal(text(document, '#recipientName'), '<img src=x onerror="alert(1)">');
+        assert.equal(text(document, '#eventName'), '<b>Workshop</b>');
+        assert.equal(document.querySelector('.certificate-container img[src="x"]'), null);
+        assert.equal(document.querySelector('#eventName b'), null);
+    });
+
+    await t.test('renders into another element without touching the page', () => {
+        updateCertificateDisplay(CERTIFICATE);
+        const copy = document.querySelector('.certificate-container').parentElement.cloneNode(true);
+
+        updateCertificateDisplay({ ...CERTIFICATE, id: 'PTSC2025-9002', name: 'Kabir Rao' }, undefined, copy);
+
+        assert.equal(text(copy, '#recipientName'), 'Kabir Rao');
+        assert.equal(text(copy, '#certificateId'), 'PTSC2025-9002');
+        assert.equal(text(document, '#recipientName'), 'Asha Verma');
+        assert.equal(document.title, 'Certificate - Asha Verma - PTSC KNIT');
+    });
+
+    await t.test('uses the localized name, type and date in Hindi', async () => {
+        await setLanguage('hi', { remember: false });
+        updateCertificateDisplay(CERTIFICATE);
+
+        assert.equal(text(document, '#recipientName'), 'आशा वर्मा');
+        assert.equal(text(document, '#certificateType'), 'योग्यता प्रमाणपत्र');
+        assert.equal(text(document, '#issueDate'), '15 मार्च 2025');
+        // The page title stays in the record's own spelling for sharing
+        assert.equal(document.title, 'Certificate - Asha Verma - PTSC KNIT');
+    });
+});
+
+test('portfolio page in another language', async t => {
+    const page = await loadPage('portfolio.html', {
+        query: '?recipient=RTESTFIXTUR1',
+        files: { 'locales/hi.json': path.join(__dirname, '..', 'locales', 'hi.json') },
+        storage: { 'ptsc-language': 'hi' }
+    });
+    const { document, window } = page;
+    t.after(() => page.close());
+    await waitFor(() => document.getElementById('portfolioState').style.display === 'block');
+
+    await t.test('shows the heading, filters and cards in Hindi', () => {
+        assert.equal(text(document, '#portfolioName'), 'Asha Verma के प्रमाणपत्र');
+        assert.equal(text(document, '#portfolioSummary'), '2 प्रमाणपत्र · प्राप्तकर्ता ID RTESTFIXTUR1');
+        assert.equal(text(document, '#portfolioYearFilter option'), 'सभी वर्ष');
+        assert.deepEqual(Array.from(document.querySelectorAll('#portfolioTypeFilter option'), option => option.textContent),
+            ['सभी प्रकार', 'योग्यता प्रमाणपत्र', 'सहभागिता प्रमाणपत्र']);
+        assert.equal(text(document, '.portfolio-card-type'), 'योग्यता प्रमाणपत्र');
+        assert.equal(text(document, '.portfolio-unlock button'), 'खोलें');
+        assert.equal(text(document, '[data-i18n="portfolio.forget"]'), 'इस डिवाइस पर सहेजी कुंजियाँ भूलें');
+        assert.equal(document.getElementById('languageSelect').value, 'hi');
+    });
+
+    await t.test('redraws in English after switching language', async () => {
+        await window.PTSCCertificate.setLanguage('en', { remember: false });
+
+        assert.equal(text(document, '#portfolioName'), 'Certificates of Asha Verma');
+        assert.equal(text(document, '#portfolioSummary'), '2 certificates · Recipient ID RTESTFIXTUR1');
+        assert.equal(text(document, '.portfolio-unlock button'), 'Unlock');
+        assert.equal(text(document, '.portfolio-card-type'), 'Certificate of Merit');
+    });
+});
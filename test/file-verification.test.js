@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// jsdom's File has no arrayBuffer()
+const { File } = require('node:buffer');
+const { loadPage } = require('./helpers/dom');
+
+const RECORD = { id: 'PTSC2025-9001', name: 'Asha Verma', nameLocalized: { hi: 'आशा वर्मा' } };
+
+test('fileShowsRecipientName()', async t => {
+    const page = await loadPage('index.html');
+    const { fileShowsRecipientName } = page.window.PTSCCertificate;
+    t.after(() => page.close());
+
+    await t.test('finds the name in the page text', () => {
+        assert.equal(fileShowsRecipientName('This is to certify that Asha Verma has completed', RECORD), true);
+        assert.equal(fileShowsRecipientName('certify that  Asha\nVerma  has', RECORD), true);
+        assert.equal(fileShowsRecipientName('प्रमाणित किया जाता है कि आशा वर्मा ने', RECORD), true);
+    });
+
+    await t.test('reports an edited name', () => {
+        assert.equal(fileShowsRecipientName('This is to certify that Kabir Rao has completed', RECORD), false);
+    });
+
+    await t.test('cannot tell without page text', () => {
+        assert.equal(fileShowsRecipientName(null, RECORD), null);
+        assert.equal(fileShowsRecipientName('  ', RECORD), null);
+    });
+});
+
+test('verifyCertificateFile()', async t => {
+    await t.test('does not take the name from embedded metadata', async () => {
+        const page = await loadPage('index.html');
+        const link = 'https://ptsc.example/certificate.html?id=PTSC2025-9001&key=Fixture001';
+        // Stands in for an exported JPG whose artwork was edited: the
+        // metadata still names the recipient, the pixels may not
+        const file = new File([`Exif Asha Verma ${link}`], 'certificate.jpg', { type: 'image/jpeg' });
+
+        const result = await page.window.PTSCCertificate.verifyCertificateFile(file);
+
+        assert.equal(result.extracted.source, 'metadata');
+        assert.equal(result.certificate.id, 'PTSC2025-9001');
+        assert.equal(result.nameMatches, null);
+        page.close();
+    });
+});
@@ -0,0 +1,270 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_KEYS, loadPage, waitFor } = require('./helpers/dom');
+
+/**
+ * Inline error shown for a form field, or null when the field is fine
+ * @param {Document} document - Page document
+ * @param {string} id - Field ID
+ * @returns {?string} Error text
+ */
+function fieldError(document, id) {
+    const input = document.getElementById(id);
+    const message = document.getElementById(`${id}Error`);
+    if (message.hidden) {
+        assert.equal(input.hasAttribute('aria-invalid'), false, `${id} is marked invalid without a message`);
+        return null;
+    }
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+    assert.ok(input.getAttribute('aria-describedby').split(' ').includes(message.id));
+    return message.textContent;
+}
+
+/**
+ * Fill in and submit the verification form on a fresh index page. The
+ * submit event is dispatched directly so the browser's own `pattern`
+ * checks do not get in the way of handleFormSubmit()'s.
+ * @param {string} id - Certificate ID field
+ * @param {string} key - Verification key field
+ * @param {Object} [options] - loadPage() options
+ * @param {boolean} [options.keepOpen] - Leave the page open for further checks
+ * @returns {Promise<Object>} `{ idError, keyError, formError, focused, alerts,
+ *   navigations, defaultPrevented }`, plus `page` when kept open
+ */
+async function submit(id, key, options = {}) {
+    const page = await loadPage('index.html', options);
+    const { document, window } = page;
+
+    document.getElementById('certificateId').value = id;
+    document.getElementById('certificateKey').value = key;
+
+    const event = new window.Event('submit', { cancelable: true });
+    document.getElementById('verificationForm').dispatchEvent(event);
+
+    const formError = document.getElementById('formError');
+    const result = {
+        idError: fieldError(document, 'certificateId'),
+        keyError: fieldError(document, 'certificateKey'),
+        formError: formError.hidden ? null : formError.textContent,
+        focused: document.activeElement.id,
+        alerts: page.alerts,
+        navigations: page.navigations,
+        defaultPrevented: event.defaultPrevented
+    };
+    if (options.keepOpen) {
+        result.page = page;
+    } else {
+        page.close();
+    }
+    return result;
+}
+
+test('handleFormSubmit()', async t => {
+    await t.test('opens the certificate page for a well-formed ID and key', async () => {
+        const result = await submit('PTSC2025-9001', 'Fixture001');
+
+        assert.equal(result.defaultPrevented, true);
+        assert.equal(result.idError, null);
+        assert.equal(result.keyError, null);
+        assert.equal(result.formError, null);
+        assert.deepEqual(result.navigations, ['certificate.html?id=PTSC2025-9001&key=Fixture001']);
+    });
+
+    await t.test('trims both fields before checking them', async () => {
+        const result = await submit('  PTSC2025-9001 ', '\tFixture001\n');
+
+        assert.deepEqual(result.navigations, ['certificate.html?id=PTSC2025-9001&key=Fixture001']);
+    });
+
+    await t.test('asks for a missing field next to that field', async () => {
+        const missingId = await submit('', 'Fixture001');
+        assert.equal(missingId.idError, 'Enter the Certificate ID from your email, e.g. PTSC2025-0123');
+        assert.equal(missingId.keyError, null);
+        assert.equal(missingId.focused, 'certificateId');
+        assert.deepEqual(missingId.navigations, []);
+
+        const missingKey = await submit('PTSC2025-9001', '   ');
+        assert.equal(missingKey.idError, null);
+        assert.equal(missingKey.keyError, 'Enter the verification key from your email');
+        assert.equal(missingKey.focused, 'certificateKey');
+        assert.deepEqual(missingKey.navigations, []);
+    });
+
+    await t.test('rejects IDs that do not look like PTSC2025-0123', async () => {
+        for (const id of ['ptsc2025-9001', 'PTSC25-9001', 'PTSC2025-901', 'PTSC2025_9001', 'PTSC2025-90011', 'XPTSC2025-9001']) {
+            const result = await submit(id, 'Fixture001');
+
+            assert.equal(result.idError, 'Certificate ID should be in format: PTSC2025-0123', id);
+            assert.equal(result.keyError, null);
+            assert.deepEqual(result.navigations, []);
+        }
+    });
+
+    await t.test('rejects keys that are not 10 letters or digits', async () => {
+        for (const key of ['Fixture01', 'Fixture0011', 'Fixture-01', 'Fixture 01', 'Fixtüre001']) {
+            const result = await submit('PTSC2025-9001', key);
+
+            assert.equal(result.keyError, 'Verification key should be 10 alphanumeric characters', key);
+            assert.equal(result.idError, null);
+            assert.deepEqual(result.navigations, []);
+        }
+    });
+
+    await t.test('lists every problem at once and focuses the first field', async () => {
+        const result = await submit('PTSC-1', 'short');
+
+        assert.equal(result.idError, 'Certificate ID should be in format: PTSC2025-0123');
+        assert.equal(result.keyError, 'Verification key should be 10 alphanumeric characters');
+        assert.equal(result.focused, 'certificateId');
+    });
+
+    await t.test('never falls back to alert()', async () => {
+        for (const [id, key] of [['', ''], ['PTSC-1', 'Fixture001'], ['PTSC2025-9001', 'short']]) {
+            assert.deepEqual((await submit(id, key)).alerts, []);
+        }
+    });
+
+    await t.test('clears a field\'s error once it is edited', async () => {
+        const { page } = await submit('PTSC-1', 'short', { keepOpen: true });
+        const { document, window } = page;
+        const input = document.getElementById('certificateId');
+
+        input.value = 'PTSC2025-9001';
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+        assert.equal(fieldError(document, 'certificateId'), null);
+        assert.equal(fieldError(document, 'certificateKey'), 'Verification key should be 10 alphanumeric characters');
+        page.close();
+    });
+
+    await t.test('waits out the back-off after repeated failures', async () => {
+        const result = await submit('PTSC2025-9001', 'Fixture001', {
+            storage: { 'ptsc-verification-attempts': { failures: 4, lastFailureAt: Date.now() } }
+        });
+
+        assert.match(result.formError, /^Too many verification attempts failed\. You can try again in \d+ seconds\.$/);
+        assert.deepEqual(result.alerts, []);
+        assert.deepEqual(result.navigations, []);
+    });
+
+    await t.test('lets attempts through once the failures have expired', async () => {
+        const result = await submit('PTSC2025-9001', 'Fixture001', {
+            storage: { 'ptsc-verification-attempts': { failures: 4, lastFailureAt: Date.now() - 2 * 60 * 60 * 1000 } }
+        });
+
+        assert.equal(result.formError, null);
+        assert.equal(result.navigations.length, 1);
+    });
+});
+
+test('index page', async t => {
+    await t.test('fills in the ID when sent back from a failed check', async () => {
+        const page = await loadPage('index.html', { query: '?id=PTSC2025-9001' });
+
+        assert.equal(page.document.getElementById('certificateId').value, 'PTSC2025-9001');
+        assert.equal(page.document.activeElement, page.document.getElementById('certificateKey'));
+        page.close();
+    });
+});
+
+/**
+ * Fill in and submit the recipient ID form on portfolio.html
+ * @param {string} value - Recipient ID field
+ * @returns {Promise<Object>} `{ error, focused, alerts, navigations, page }`
+ */
+async function submitRecipient(value) {
+    const page = await loadPage('portfolio.html');
+    const { document, window } = page;
+    await waitFor(() => document.getElementById('portfolioLookup').style.display === '');
+
+    document.getElementById('recipientIdInput').value = value;
+    document.getElementById('portfolioLookupForm').dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+    return {
+        error: fieldError(document, 'recipientIdInput'),
+        focused: document.activeElement.id,
+        alerts: page.alerts,
+        navigations: page.navigations,
+        page
+    };
+}
+
+/**
+ * Open a recipient's portfolio and submit a key in a certificate's unlock form
+ * @param {string} id - Certificate ID of the card
+ * @param {string} key - Key to type
+ * @returns {Promise<Object>} Page from loadPage() plus `inputId`, the key field's ID
+ */
+async function submitUnlockKey(id, key) {
+    const page = await loadPage('portfolio.html', { query: '?recipient=RTESTFIXTUR1' });
+    const { document, window } = page;
+    const inputId = `portfolioKey-${id}`;
+    await waitFor(() => document.getElementById(inputId));
+
+    const input = document.getElementById(inputId);
+    input.value = key;
+    input.form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    page.inputId = inputId;
+    return page;
+}
+
+test('portfolio forms', async t => {
+    await t.test('explains a malformed recipient ID next to the field', async () => {
+        const result = await submitRecipient('R123');
+
+        assert.equal(result.error, 'Recipient IDs start with R followed by 11 letters or digits, e.g. R4TATSVCD6JZ');
+        assert.equal(result.focused, 'recipientIdInput');
+        assert.deepEqual(result.alerts, []);
+        assert.deepEqual(result.navigations, []);
+        result.page.close();
+    });
+
+    await t.test('asks for a missing recipient ID and clears the message once it is edited', async () => {
+        const { error, page } = await submitRecipient('  ');
+        const { document, window } = page;
+        const input = document.getElementById('recipientIdInput');
+
+        assert.equal(error, 'Enter the recipient ID from your certificate email, e.g. R4TATSVCD6JZ');
+        input.value = 'R';
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+        assert.equal(fieldError(document, 'recipientIdInput'), null);
+        page.close();
+    });
+
+    await t.test('opens the portfolio of a well-formed recipient ID', async () => {
+        const result = await submitRecipient(' rtestfixtur1 ');
+
+        assert.equal(result.error, null);
+        assert.deepEqual(result.navigations, ['portfolio.html?recipient=RTESTFIXTUR1']);
+        result.page.close();
+    });
+
+    await t.test('explains a malformed key next to the unlock field', async () => {
+        const page = await submitUnlockKey('PTSC2025-9001', 'short');
+        const message = page.document.getElementById(`${page.inputId}Error`);
+
+        assert.equal(fieldError(page.document, page.inputId), 'Keys are 10 letters or digits.');
+        assert.equal(message.getAttribute('role'), 'alert');
+        assert.deepEqual(page.alerts, []);
+        page.close();
+    });
+
+    await t.test('announces a wrong key once it has been checked', async () => {
+        const page = await submitUnlockKey('PTSC2025-9001', FIXTURE_KEYS['PTSC2025-9002']);
+        const message = page.document.getElementById(`${page.inputId}Error`);
+        await waitFor(() => !message.hidden);
+
+        assert.equal(fieldError(page.document, page.inputId), 'Verification Key Does Not Match');
+        page.close();
+    });
+
+    await t.test('unlocks the card with the right key', async () => {
+        const page = await submitUnlockKey('PTSC2025-9001', FIXTURE_KEYS['PTSC2025-9001']);
+        await waitFor(() => !page.document.getElementById(page.inputId));
+
+        assert.ok(page.document.querySelector('.portfolio-card-link[href*="PTSC2025-9001"]'));
+        page.close();
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * PTSC Certificate Verification System
+ * Load the site's pages into jsdom for the test suite
+ *
+ * Pages are parsed from the repository root and their own scripts
+ * (script.js, and csv.js, batch.js or admin.js where a page loads them) are
+ * evaluated in them the way the browser would, with the inline page scripts
+ * after them. The vendored PDF and QR libraries are left out: no test needs
+ * them and jsdom cannot draw. fetch() answers from fixture files, alert() and page
+ * navigation are recorded instead of happening.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const SITE_URL = 'https://ptsc.example/';
+
+// Plaintext keys of the records in fixtures/certificates.json. PTSC2025-9002
+// keeps a single-round SHA-256 hash from before keyIterations existed.
+const FIXTURE_KEYS = {
+    'PTSC2025-9001': 'Fixture001',
+    'PTSC2025-9002': 'Fixture002',
+    'PTSC2025-9003': 'Fixture003'
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.json': 'application/json',
+    '.jsonl': 'application/jsonl'
+};
+
+/**
+ * Build a fetch() that serves files from disk by URL path
+ * @param {Object<string, string|Function>} files - Path relative to the site
+ *   root -> file to serve, or a function `(url, init) => Response` (which may
+ *   throw to simulate a network failure); anything else is a 404
+ * @param {Object[]} requests - Receives `{ path, url, init }` for every call
+ * @returns {Function} fetch() replacement
+ */
+function createFetch(files, requests) {
+    return async (input, init = {}) => {
+        const url = new URL(String(input), SITE_URL);
+        const name = decodeURIComponent(url.pathname.slice(1));
+        requests.push({ path: name, url: url.href, init });
+
+        const entry = files[name];
+        if (typeof entry === 'function') {
+            return entry(url, init);
+        }
+        if (!entry || !fs.existsSync(entry)) {
+            return new Response('Not found', { status: 404 });
+        }
+        return new Response(fs.readFileSync(entry), {
+            status: 200,
+            headers: { 'Content-Type': CONTENT_TYPES[path.extname(entry)] || 'application/octet-stream' }
+        });
+    };
+}
+
+/**
+ * Path of a fixture file
+ * @param {string} name - File name in test/fixtures
+ * @returns {string} Absolute path
+ */
+function fixture(name) {
+    return path.join(FIXTURES, name);
+}
+
+/**
+ * Load a page of the site with its scripts running in it
+ * @param {string} page - HTML file in the repository root, e.g. `index.html`
+ * @param {Object} [options] - `{ query, files, storage }`: query string
+ *   (with its `?`), files for fetch() on top of the fixture database (a
+ *   `null` entry removes a default), and localStorage entries set before
+ *   the scripts run
+ * @returns {Promise<Object>} `{ window, document, alerts, navigations,
+ *   requests, errors, close }`
+ */
+async function loadPage(page, options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const files = {
+        'certificates.json': fixture('certificates.json'),
+        ...options.files
+    };
+
+    // Script errors are collected for assertions instead of being printed;
+    // the page's own console output is expected noise
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => {
+        if (error.type !== 'not implemented') errors.push(error);
+    });
+
+    const dom = new JSDOM(html.replace(/<script src="[^"]*"><\/script>/g, ''), {
+        url: `${SITE_URL}${page}${options.query || ''}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    const alerts = [];
+    const navigations = [];
+    const requests = [];
+
+    Object.defineProperty(window, 'crypto', { value: webcrypto });
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    window.fetch = createFetch(files, requests);
+    window.alert = message => alerts.push(message);
+    window.scrollTo = () => {};
+
+    Object.entries(options.storage || {}).forEach(([key, value]) => {
+        window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+
+    // Run as scripts rather than eval() so their top-level constants are
+    // shared the way separate <script> tags share them
+    for (const [, src] of html.matchAll(/<script src="([^"]*)"><\/script>/g)) {
+        if (!src.startsWith('vendor/')) {
+            const file = path.join(ROOT, src);
+            new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(dom.getInternalVMContext());
+        }
+    }
+    window.navigateTo = url => navigations.push(url);
+
+    for (const [, code] of html.matchAll(/<script>([\s\S]*?)<\/script>/g)) {
+        window.eval(code);
+    }
+
+    // DOMContentLoaded fires once the current task is done
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    return {
+        window,
+        document: window.document,
+        alerts,
+        navigations,
+        requests,
+        errors,
+        close: () => window.close()
+    };
+}
+
+/**
+ * Which of the certificate page's states is showing
+ * @param {Document} document - Page document
+ * @returns {string|null} `loading`, `error`, `certificate` or null
+ */
+function visibleState(document) {
+    const states = { loading: 'loadingState', error: 'errorState', certificate: 'certificateState' };
+    const shown = Object.keys(states).filter(state => {
+        const element = document.getElementById(states[state]);
+        return element && element.style.display === 'block';
+    });
+    return shown.length === 1 ? shown[0] : null;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} [timeout] - Give up after this many milliseconds
+ * @returns {Promise<void>} Resolves once `condition()` is truthy
+ */
+async function waitFor(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Condition not met within ${timeout} ms: ${condition}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = {
+    FIXTURE_KEYS,
+    fixture,
+    loadPage,
+    visibleState,
+    waitFor
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    GENESIS_HASH, appendEvents, diffDatabase, eventHash, readLog, replayLog, verifyChain
+} = require('../tools/lib/issuance-log');
+const { fixture } = require('./helpers/dom');
+
+const FIXTURES = JSON.parse(fs.readFileSync(fixture('certificates.json'), 'utf8')).certificates;
+
+/**
+ * Record a database into a log file the way `issuance-log.js record` does
+ * @param {string} file - Log path
+ * @param {Object[]} certificates - Database records
+ * @param {string} [note] - Note for the new events
+ * @returns {Object[]} Every event in the file afterwards
+ */
+function record(file, certificates, note) {
+    const events = readLog(file);
+    appendEvents(file, events, diffDatabase(certificates, replayLog(events)), { note });
+    return readLog(file);
+}
+
+test('issuance log', async t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ptsc-log-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    let runs = 0;
+    const newLog = () => path.join(directory, `log-${++runs}.jsonl`);
+
+    await t.test('chains recorded events and replays them to the database', () => {
+        const file = newLog();
+        const events = record(file, FIXTURES, 'First batch');
+
+        assert.deepEqual(events.map(event => [event.seq, event.action, event.id]),
+            FIXTURES.map((cert, index) => [index + 1, 'issue', cert.id]));
+        assert.equal(events[0].previous, GENESIS_HASH);
+        events.forEach(event => assert.equal(event.hash, eventHash(event)));
+        assert.deepEqual(verifyChain(events), {
+            intact: true, length: FIXTURES.length, head: events[events.length - 1].hash, brokenAt: null, reason: null
+        });
+        assert.deepEqual(Array.from(replayLog(events).values()), FIXTURES);
+    });
+
+    await t.test('logs corrections and revocations once', () => {
+        const file = newLog();
+        record(file, FIXTURES);
+        const changed = FIXTURES.map(cert => {
+            if (cert.id === 'PTSC2025-9001') return { ...cert, name: 'Asha K. Verma' };
+            if (cert.id === 'PTSC2025-9002') return { ...cert, revoked: true, revokedOn: '2025-06-01' };
+            return cert;
+        });
+
+        const events = record(file, changed, 'Fixes');
+        assert.deepEqual(events.slice(FIXTURES.length).map(event => [event.action, event.id, event.note]), [
+            ['correct', 'PTSC2025-9001', 'Fixes'],
+            ['revoke', 'PTSC2025-9002', 'Fixes']
+        ]);
+        assert.equal(verifyChain(events).intact, true);
+        assert.deepEqual(Array.from(replayLog(events).values()), changed);
+        assert.equal(record(file, changed).length, events.length);
+    });
+
+    await t.test('finds the first edited, reordered or removed event', () => {
+        const events = record(newLog(), FIXTURES);
+        const edited = events.map((event, index) =>
+            index === 1 ? { ...event, record: { ...event.record, name: 'Someone Else' } } : event);
+
+        assert.deepEqual(verifyChain(edited), {
+            intact: false, length: events.length, head: events[0].hash, brokenAt: 2,
+            reason: 'hash does not match its content'
+        });
+        assert.equal(verifyChain([events[1], events[0], ...events.slice(2)]).brokenAt, 1);
+        assert.equal(verifyChain([events[0], ...events.slice(2)]).brokenAt, 2);
+    });
+
+    await t.test('refuses to record a deleted certificate', () => {
+        const file = newLog();
+        record(file, FIXTURES);
+
+        assert.throws(() => record(file, FIXTURES.slice(1)), /PTSC2025-9001 is in the log but missing/);
+    });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCSV } = require('../tools/lib/csv');
+const { hashRecordKey } = require('../tools/lib/keys');
+const { verifyRecord } = require('../tools/lib/signing');
+const { fixture } = require('./helpers/dom');
+
+const TOOLS = path.join(__dirname, '..', 'tools');
+const TEMPLATES = path.join(__dirname, '..', 'templates.json');
+const FIXTURES = JSON.parse(fs.readFileSync(fixture('certificates.json'), 'utf8')).certificates;
+const ROSTER_COLUMNS = 'name,email,event,type,date,issuer,recipient_id';
+
+/**
+ * Run one of the tools in a directory
+ * @param {string} cwd - Working directory
+ * @param {string} tool - Script name in tools/
+ * @param {string[]} args - Arguments
+ * @returns {Object} `{ status, output }` with stdout and stderr together
+ */
+function run(cwd, tool, args) {
+    const result = spawnSync(process.execPath, [path.join(TOOLS, tool), ...args], { cwd, encoding: 'utf8' });
+    return { status: result.status, output: result.stdout + result.stderr };
+}
+
+/**
+ * Make a working directory with a database of the two valid PTSC2025-900x
+ * fixtures and a roster
+ * @param {string[]} rows - Roster lines after the header
+ * @returns {string} Directory path
+ */
+function setUp(rows) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ptsc-issue-'));
+    const certificates = FIXTURES.filter(cert => cert.id === 'PTSC2025-9001' || cert.id === 'PTSC2025-9002');
+    fs.writeFileSync(path.join(directory, 'certificates.json'), JSON.stringify({ certificates }, null, 2));
+    fs.writeFileSync(path.join(directory, 'roster.csv'), [ROSTER_COLUMNS, ...rows].join('\n') + '\n');
+    return directory;
+}
+
+test('issue-certificates.js', async t => {
+    const directories = [];
+    t.after(() => directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true })));
+
+    await t.test('numbers each year after its highest ID and signs the records', () => {
+        const directory = setUp([
+            'Meera Nair,meera@example.org,Hack Night,Certificate of Merit,2025-08-23,Dr. X,',
+            'Kabir Rao,kabir@example.org,Hack Night,Certificate of Merit,2024-08-23,Dr. X,RABCDEFGHJK2',
+            'Meera Nair,MEERA@example.org,Code Sprint,Certificate of Merit,2024-09-01,Dr. X,'
+        ]);
+        directories.push(directory);
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        fs.writeFileSync(path.join(directory, 'club.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+        const result = run(directory, 'issue-certificates.js',
+            ['roster.csv', '--base-url', 'https://ptsc.example/site', '--key', 'club.pem']);
+        assert.equal(result.status, 0, result.output);
+        assert.match(result.output, /tools\/issuance-log\.js record/);
+
+        const { certificates } = JSON.parse(fs.readFileSync(path.join(directory, 'certificates.json'), 'utf8'));
+        const mapping = parseCSV(fs.readFileSync(path.join(directory, 'issued.csv'), 'utf8'));
+        const registry = parseCSV(fs.readFileSync(path.join(directory, 'recipients.csv'), 'utf8'));
+        const issued = certificates.slice(2);
+
+        assert.deepEqual(issued.map(cert => cert.id), ['PTSC2025-9003', 'PTSC2024-0001', 'PTSC2024-0002']);
+        issued.forEach((cert, index) => {
+            assert.equal(mapping[index].id, cert.id);
+            assert.equal(hashRecordKey(cert, mapping[index].key), cert.keyHash);
+            assert.equal(verifyRecord(cert, publicKey), true, cert.id);
+            assert.equal(mapping[index].url, `https://ptsc.example/site/certificate.html?id=${cert.id}&key=${mapping[index].key}`);
+        });
+        assert.equal(issued[1].recipientId, 'RABCDEFGHJK2');
+        assert.equal(issued[0].recipientId, issued[2].recipientId);
+        assert.deepEqual(registry.map(entry => [entry.email, entry.recipient_id]), [
+            ['kabir@example.org', 'RABCDEFGHJK2'],
+            ['meera@example.org', issued[0].recipientId]
+        ]);
+        assert.equal(fs.statSync(path.join(directory, 'issued.csv')).mode & 0o777, 0o600);
+
+        const lint = run(directory, 'lint-certificates.js', ['--templates', TEMPLATES, '--keys', 'issued.csv']);
+        assert.equal(lint.status, 0, lint.output);
+        assert.match(lint.output, /5 record\(s\), 0 error\(s\)/);
+    });
+
+    await t.test('issues nothing for a roster with problems', () => {
+        const directory = setUp([
+            'Meera Nair,meera@example.org,Hack Night,Certificate of Merit,2025-08-23,Dr. X,',
+            'Meera Nair,Meera@example.org,Hack Night,Certificate of Merit,2025-08-23,Dr. X,',
+            'Kabir Rao,kabir@example.org,Hack Night,Certificate of Merit,2025-02-30,Dr. X,',
+            'Asha Verma,asha@example.org,Hack Night,Certificate of Merit,2025-08-23,Dr. X,RABCDEFGHJK2',
+            'Asha Verma,asha@example.org,Code Sprint,Certificate of Merit,2025-08-24,Dr. X,RABCDEFGHJK3'
+        ]);
+        directories.push(directory);
+        const before = fs.readFileSync(path.join(directory, 'certificates.json'), 'utf8');
+
+        const result = run(directory, 'issue-certificates.js', ['roster.csv', '--base-url', 'https://ptsc.example/']);
+        assert.equal(result.status, 1);
+        assert.match(result.output, /Line 3: duplicate of line 2/);
+        assert.match(result.output, /Line 4: "2025-02-30" is not a valid YYYY-MM-DD date/);
+        assert.match(result.output, /Line 6: asha@example\.org is registered as RABCDEFGHJK2, not RABCDEFGHJK3/);
+        assert.equal(fs.readFileSync(path.join(directory, 'certificates.json'), 'utf8'), before);
+        assert.equal(fs.existsSync(path.join(directory, 'issued.csv')), false);
+    });
+});
+
+test('lint-certificates.js', async t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ptsc-lint-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    await t.test('reports broken records and keys that do not match', () => {
+        const [first, second] = FIXTURES;
+        const certificates = [first, { ...second, id: first.id }, { ...second, date: '2025-13-01' }];
+        fs.writeFileSync(path.join(directory, 'certificates.json'), JSON.stringify({ certificates }));
+        fs.writeFileSync(path.join(directory, 'keys.csv'), `id,key\n${first.id},wrongKey01\n`);
+
+        const result = run(directory, 'lint-certificates.js', ['--templates', TEMPLATES, '--keys', 'keys.csv']);
+        assert.equal(result.status, 1);
+        assert.match(result.output, /PTSC2025-9001: duplicate ID in records #1, #2/);
+        assert.match(result.output, /"2025-13-01" is not a real date/);
+        assert.match(result.output, /keys\.csv line 2: key does not match PTSC2025-9001/);
+        assert.match(result.output, /key hash is a single SHA-256 round/);
+    });
+});
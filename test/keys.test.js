@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+    KEY_HASH_ITERATIONS, createKeyHash, hashKey, hashRecordKey, hashRecordKeyAsync, legacyHashKey
+} = require('../tools/lib/keys');
+const { canonicalize, signRecord, verifyRecord } = require('../tools/lib/signing');
+const { FIXTURE_KEYS, fixture } = require('./helpers/dom');
+
+const FIXTURES = JSON.parse(fs.readFileSync(fixture('certificates.json'), 'utf8')).certificates;
+const SALT = '00112233445566778899aabbccddeeff';
+
+test('key hashes', async t => {
+    await t.test('stretch the key with PBKDF2 over id:key and the salt', () => {
+        const expected = crypto.pbkdf2Sync('PTSC2025-0001:abcdeABCDE', Buffer.from(SALT, 'hex'), 1000, 32, 'sha256');
+
+        assert.equal(hashKey(' PTSC2025-0001 ', ' abcdeABCDE ', SALT, 1000), expected.toString('hex'));
+        assert.notEqual(hashKey('PTSC2025-0001', 'abcdeABCDE', SALT, 1001), expected.toString('hex'));
+    });
+
+    await t.test('check records by their own scheme', async () => {
+        const pbkdf2 = FIXTURES.find(record => record.keyIterations);
+        const legacy = FIXTURES.find(record => !record.keyIterations);
+
+        assert.equal(legacyHashKey(legacy.id, FIXTURE_KEYS[legacy.id], legacy.salt), legacy.keyHash);
+        for (const record of [pbkdf2, legacy]) {
+            assert.equal(hashRecordKey(record, FIXTURE_KEYS[record.id]), record.keyHash, record.id);
+            assert.equal(await hashRecordKeyAsync(record, FIXTURE_KEYS[record.id]), record.keyHash, record.id);
+            assert.notEqual(hashRecordKey(record, 'wrongKey01'), record.keyHash, record.id);
+        }
+    });
+
+    await t.test('store a fresh salt and the iteration count with each new hash', () => {
+        const first = createKeyHash('PTSC2025-0001', 'abcdeABCDE');
+        const second = createKeyHash('PTSC2025-0001', 'abcdeABCDE');
+
+        assert.equal(first.keyIterations, KEY_HASH_ITERATIONS);
+        assert.notEqual(first.salt, second.salt);
+        assert.equal(hashRecordKey({ id: 'PTSC2025-0001', ...first }, 'abcdeABCDE'), first.keyHash);
+    });
+});
+
+test('record signatures', async t => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const record = FIXTURES[0];
+
+    await t.test('canonical JSON sorts keys at every level and skips undefined values', () => {
+        assert.equal(canonicalize({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: undefined } }),
+            '{"a":{"d":[2,{"e":4,"f":3}]},"b":1}');
+    });
+
+    await t.test('verify a signed record whatever its key order', () => {
+        const signed = signRecord(record, privateKey);
+        const reordered = Object.fromEntries(Object.entries(signed).reverse());
+
+        assert.equal(verifyRecord(signed, publicKey), true);
+        assert.equal(verifyRecord(reordered, publicKey), true);
+        assert.equal(verifyRecord(signRecord(signed, privateKey), publicKey), true);
+    });
+
+    await t.test('reject a changed record or another key', () => {
+        const signed = signRecord(record, privateKey);
+        const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey;
+
+        assert.equal(verifyRecord({ ...signed, name: 'Someone Else' }, publicKey), false);
+        assert.equal(verifyRecord({ ...signed, keyHash: '0'.repeat(64) }, publicKey), false);
+        assert.equal(verifyRecord(signed, other), false);
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { shardPrefix } = require('../tools/lib/shards');
+const { FIXTURE_KEYS, fixture, loadPage } = require('./helpers/dom');
+
+const BUILD_SHARDS = path.join(__dirname, '..', 'tools', 'build-shards.js');
+const FIXTURES = JSON.parse(fs.readFileSync(fixture('certificates.json'), 'utf8')).certificates;
+
+/**
+ * Every file under a directory, by path relative to it
+ * @param {string} directory - Directory to list
+ * @returns {string[]} Relative paths with forward slashes
+ */
+function listFiles(directory) {
+    return fs.readdirSync(directory, { recursive: true })
+        .filter(name => fs.statSync(path.join(directory, name)).isFile())
+        .map(name => name.split(path.sep).join('/'));
+}
+
+test('build-shards.js', async t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ptsc-shards-'));
+    const shards = path.join(directory, 'shards');
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    execFileSync(process.execPath, [BUILD_SHARDS, fixture('certificates.json'), '--out', shards]);
+    const read = name => JSON.parse(fs.readFileSync(path.join(shards, name), 'utf8'));
+
+    await t.test('puts each record in the shard of its ID hash', () => {
+        const manifest = read('index.json');
+
+        assert.equal(shardPrefix('PTSC2025-9001', 2),
+            crypto.createHash('sha256').update('PTSC2025-9001').digest('hex').slice(0, 2));
+        assert.equal(manifest.count, FIXTURES.length);
+        FIXTURES.forEach(record => {
+            const prefix = shardPrefix(record.id, manifest.prefixLength);
+            assert.ok(manifest.shards.includes(prefix), record.id);
+            assert.deepEqual(read(`${prefix}.json`).certificates.find(cert => cert.id === record.id), record);
+        });
+        assert.deepEqual(read(`recipients/${shardPrefix('RTESTFIXTUR1', 2)}.json`).recipients.RTESTFIXTUR1,
+            ['PTSC2025-9001', 'PTSC2025-9002']);
+    });
+
+    await t.test('changes the version only when the content does', () => {
+        const { version } = read('index.json');
+        execFileSync(process.execPath, [BUILD_SHARDS, fixture('certificates.json'), '--out', shards]);
+        assert.equal(read('index.json').version, version);
+
+        const changed = path.join(directory, 'changed.json');
+        const certificates = FIXTURES.map(cert => cert.id === 'PTSC2025-9001' ? { ...cert, revoked: true } : cert);
+        fs.writeFileSync(changed, JSON.stringify({ certificates }));
+        execFileSync(process.execPath, [BUILD_SHARDS, changed, '--out', path.join(directory, 'changed')]);
+        assert.notEqual(JSON.parse(fs.readFileSync(path.join(directory, 'changed', 'index.json'))).version, version);
+    });
+
+    await t.test('answers the page\'s lookups without certificates.json', async () => {
+        const files = { 'certificates.json': null };
+        listFiles(shards).forEach(name => { files[`shards/${name}`] = path.join(shards, name); });
+        const page = await loadPage('index.html', { files });
+        const { validateCertificate, findRecipientCertificates } = page.window.PTSCCertificate;
+
+        const certificate = await validateCertificate('PTSC2025-9001', FIXTURE_KEYS['PTSC2025-9001']);
+        const recipient = await findRecipientCertificates('RTESTFIXTUR1');
+
+        assert.equal(certificate.name, 'Asha Verma');
+        assert.deepEqual(Array.from(recipient, cert => cert.id).sort(), ['PTSC2025-9001', 'PTSC2025-9002']);
+        assert.ok(page.requests.some(request => request.path === 'shards/index.json'));
+        assert.equal(page.requests.some(request => request.path === 'certificates.json'), false);
+        page.close();
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, visibleState, waitFor } = require('./helpers/dom');
+
+// The site's own records are signed with the club key the page trusts; their
+// keys are the sample credentials in the README
+const DATABASE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'certificates.json'), 'utf8'));
+const KEYS = { 'PTSC2025-0123': 'fc92b18e1a', 'PTSC2025-0125': 'Ayyd55HGyz' };
+
+/**
+ * The site database with one record's name changed after signing
+ * @param {string} id - Certificate ID to tamper with
+ * @returns {Object} loadPage() files answering certificates.json
+ */
+function tamperedDatabase(id) {
+    const certificates = DATABASE.certificates.map(record =>
+        record.id === id ? { ...record, name: 'Someone Else' } : record);
+    return { 'certificates.json': () => Response.json({ certificates }) };
+}
+
+/**
+ * Open a certificate and wait for the result
+ * @param {string} id - Certificate ID
+ * @param {Object} files - loadPage() files
+ * @returns {Promise<Object>} Page from loadPage()
+ */
+async function openCertificate(id, files) {
+    const query = `?id=${id}&key=${KEYS[id]}`;
+    const page = await loadPage('certificate.html', { query, files });
+    await waitFor(() => ['certificate', 'error'].includes(visibleState(page.document)), 10000);
+    return page;
+}
+
+/**
+ * Open the portfolio of the recipient of PTSC2025-0123 and PTSC2025-0125
+ * @param {Object} files - loadPage() files
+ * @returns {Promise<Object>} Page from loadPage() plus `warnings`, the
+ *   signature warning of each card by certificate ID (null without one)
+ */
+async function openPortfolio(files) {
+    const page = await loadPage('portfolio.html', { query: '?recipient=R4TATSVCD6JZ', files });
+    const { document } = page;
+    await waitFor(() => document.querySelectorAll('.portfolio-card').length === 2, 10000);
+
+    page.warnings = {};
+    document.querySelectorAll('.portfolio-card').forEach(card => {
+        const id = card.querySelector('.portfolio-card-meta').textContent.split(' · ')[1];
+        const warning = card.querySelector('.portfolio-card-warning');
+        page.warnings[id] = warning ? warning.textContent : null;
+    });
+    return page;
+}
+
+test('signature badge', async t => {
+    await t.test('confirms a record signed by the club', async () => {
+        const page = await openCertificate('PTSC2025-0123', { 'certificates.json': () => Response.json(DATABASE) });
+        const badge = page.document.getElementById('signatureBadge');
+
+        assert.equal(visibleState(page.document), 'certificate');
+        assert.equal(badge.className, 'signature-badge signature-valid');
+        assert.match(badge.textContent, /^✅ Signature valid/);
+        page.close();
+    });
+
+    await t.test('flags a record changed after signing', async () => {
+        const page = await openCertificate('PTSC2025-0123', tamperedDatabase('PTSC2025-0123'));
+        const badge = page.document.getElementById('signatureBadge');
+
+        assert.equal(visibleState(page.document), 'certificate');
+        assert.equal(badge.className, 'signature-badge signature-invalid');
+        assert.match(badge.textContent, /^⚠️ Signature invalid/);
+        page.close();
+    });
+});
+
+test('portfolio signature warnings', async t => {
+    await t.test('show no warning on signed records', async () => {
+        const page = await openPortfolio({ 'certificates.json': () => Response.json(DATABASE) });
+
+        assert.deepEqual(page.warnings, { 'PTSC2025-0125': null, 'PTSC2025-0123': null });
+        page.close();
+    });
+
+    await t.test('warn on the card of a record changed after signing', async () => {
+        const page = await openPortfolio(tamperedDatabase('PTSC2025-0125'));
+
+        assert.match(page.warnings['PTSC2025-0125'], /^⚠️ Signature invalid/);
+        assert.equal(page.warnings['PTSC2025-0123'], null);
+        page.close();
+    });
+});
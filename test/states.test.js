@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { FIXTURE_KEYS, fixture, loadPage, visibleState, waitFor } = require('./helpers/dom');
+
+/**
+ * Open the certificate page and wait for verification to finish
+ * @param {string} query - Query string with its `?`
+ * @param {Object} [options] - loadPage() options
+ * @returns {Promise<Object>} Page from loadPage(), with `initialState` set
+ *   to the state shown while verifying
+ */
+async function openCertificate(query, options = {}) {
+    const page = await loadPage('certificate.html', { ...options, query });
+    page.initialState = visibleState(page.document);
+    await waitFor(() => visibleState(page.document) !== 'loading');
+    return page;
+}
+
+/**
+ * Link on the page for a fixture certificate
+ * @param {string} id - Fixture certificate ID
+ * @param {string} [key] - Key to use instead of the right one
+ * @returns {string} Query string
+ */
+function link(id, key = FIXTURE_KEYS[id]) {
+    return `?id=${encodeURIComponent(id)}&key=${encodeURIComponent(key)}`;
+}
+
+test('certificate page states', async t => {
+    await t.test('shows the certificate after loading a valid link', async () => {
+        const page = await openCertificate(link('PTSC2025-9001'));
+        const { document } = page;
+
+        assert.equal(page.initialState, 'loading');
+        assert.equal(visibleState(document), 'certificate');
+        assert.equal(document.getElementById('recipientName').textContent, 'Asha Verma');
+        assert.equal(document.getElementById('certificateStatus').className, 'certificate-status status-valid');
+        assert.deepEqual(page.errors, []);
+        page.close();
+    });
+
+    await t.test('labels expired and revoked certificates', async () => {
+        const expired = await openCertificate(link('PTSC2025-9002'));
+        assert.equal(visibleState(expired.document), 'certificate');
+        assert.equal(expired.document.getElementById('certificateStatus').className, 'certificate-status status-expired');
+        assert.ok(expired.document.querySelector('.certificate-container').classList.contains('certificate-expired'));
+        expired.close();
+
+        const revoked = await openCertificate(link('PTSC2025-9003'));
+        const banner = revoked.document.getElementById('certificateStatus');
+        assert.equal(banner.className, 'certificate-status status-revoked');
+        assert.match(banner.textContent, /Issued in error/);
+        revoked.close();
+    });
+
+    await t.test('shows why a wrong key failed and keeps the ID for the form', async () => {
+        const page = await openCertificate(link('PTSC2025-9001', 'Fixture002'));
+        const { document } = page;
+
+        assert.equal(visibleState(document), 'error');
+        assert.equal(document.getElementById('errorState').dataset.errorCode, 'key-mismatch');
+        assert.equal(document.getElementById('errorRetryBtn').style.display, 'none');
+
+        document.getElementById('errorActionBtn').click();
+        assert.deepEqual(page.navigations, ['index.html?id=PTSC2025-9001']);
+        page.close();
+    });
+
+    await t.test('reports an unknown certificate', async () => {
+        const page = await openCertificate(link('PTSC2025-0001', 'Fixture001'));
+
+        assert.equal(page.document.getElementById('errorState').dataset.errorCode, 'not-found');
+        assert.match(page.document.getElementById('errorMessage').textContent, /PTSC2025-0001/);
+        page.close();
+    });
+
+    await t.test('rejects incomplete links without looking them up', async () => {
+        for (const query of ['', '?id=PTSC2025-9001', '?id=PTSC2025-9001&key=Fixture00', '?id=PTSC2025&key=Fixture001']) {
+            const page = await openCertificate(query);
+
+            assert.equal(page.document.getElementById('errorState').dataset.errorCode, 'malformed-link', query);
+            assert.equal(page.requests.some(request => request.path === 'certificates.json'), false);
+            page.close();
+        }
+    });
+
+    await t.test('offers a retry when the database is unreachable and recovers on it', async () => {
+        let available = false;
+        const page = await openCertificate(link('PTSC2025-9001'), {
+            files: {
+                'certificates.json': () => available
+                    ? new Response(fs.readFileSync(fixture('certificates.json')), { status: 200 })
+                    : new Response('Service Unavailable', { status: 503 })
+            }
+        });
+        const { document } = page;
+
+        assert.equal(visibleState(document), 'error');
+        assert.equal(document.getElementById('errorState').dataset.errorCode, 'database-unavailable');
+        assert.equal(document.getElementById('errorRetryBtn').style.display, '');
+
+        available = true;
+        document.getElementById('errorRetryBtn').click();
+        assert.equal(visibleState(document), 'loading');
+
+        await waitFor(() => visibleState(document) !== 'loading');
+        assert.equal(visibleState(document), 'certificate');
+        page.close();
+    });
+
+    await t.test('reports a damaged record as a database problem', async () => {
+        const page = await openCertificate(link('PTSC2025-9004', 'Fixture004'));
+
+        assert.equal(page.document.getElementById('errorState').dataset.errorCode, 'database-invalid');
+        page.close();
+    });
+});
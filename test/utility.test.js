@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+test('parseURLParams()', async t => {
+    await t.test('reads and decodes the query string', async () => {
+        const page = await loadPage('certificate.html', { query: '?id=PTSC2025-9001&key=Fixture001&note=a%20b%26c' });
+        const { parseURLParams } = page.window.PTSCCertificate;
+
+        assert.deepEqual({ ...parseURLParams() }, { id: 'PTSC2025-9001', key: 'Fixture001', note: 'a b&c' });
+        page.close();
+    });
+
+    await t.test('keeps the first of repeated parameters', async () => {
+        const page = await loadPage('certificate.html', { query: '?id=PTSC2025-9001&id=PTSC2025-9002' });
+
+        assert.equal(page.window.PTSCCertificate.parseURLParams().id, 'PTSC2025-9001');
+        page.close();
+    });
+
+    await t.test('skips an empty first value for a later one', async () => {
+        const page = await loadPage('certificate.html', { query: '?key=&key=Fixture001' });
+
+        assert.equal(page.window.PTSCCertificate.parseURLParams().key, 'Fixture001');
+        page.close();
+    });
+
+    await t.test('returns an empty object without a query string', async () => {
+        const page = await loadPage('certificate.html');
+
+        assert.deepEqual({ ...page.window.PTSCCertificate.parseURLParams() }, {});
+        page.close();
+    });
+});
+
+test('formatDate()', async t => {
+    const page = await loadPage('index.html');
+    const { formatDate } = page.window.PTSCCertificate;
+    const originalTimeZone = process.env.TZ;
+
+    t.after(() => {
+        if (originalTimeZone === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = originalTimeZone;
+        }
+        page.close();
+    });
+
+    // A YYYY-MM-DD date must show the same day wherever the viewer is
+    for (const timeZone of ['UTC', 'America/Los_Angeles', 'Pacific/Honolulu', 'Asia/Kolkata', 'Pacific/Kiritimati']) {
+        await t.test(`keeps the calendar day in ${timeZone}`, () => {
+            process.env.TZ = timeZone;
+
+            assert.equal(formatDate('2025-03-15', 'en-US'), 'March 15, 2025');
+            assert.equal(formatDate('2025-01-01', 'en-US'), 'January 1, 2025');
+            assert.equal(formatDate('2024-12-31', 'en-US'), 'December 31, 2024');
+        });
+    }
+
+    await t.test('formats in the requested locale', () => {
+        process.env.TZ = 'America/New_York';
+
+        assert.equal(formatDate('2025-03-15', 'en-GB'), '15 March 2025');
+        assert.equal(formatDate('2025-03-15', 'hi-IN'), '15 मार्च 2025');
+    });
+
+    await t.test('defaults to the active language', () => {
+        assert.equal(formatDate('2024-02-29'), 'February 29, 2024');
+    });
+
+    await t.test('returns text that is not a date unchanged', () => {
+        assert.equal(formatDate('not a date', 'en-US'), 'not a date');
+        assert.equal(formatDate('', 'en-US'), '');
+    });
+
+    await t.test('does not roll impossible dates into the next month', () => {
+        assert.equal(formatDate('2025-02-30', 'en-US'), '2025-02-30');
+        assert.equal(formatDate('2025-02-29', 'en-US'), '2025-02-29');
+        assert.equal(formatDate('2025-13-01', 'en-US'), '2025-13-01');
+    });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FIXTURE_KEYS, fixture, loadPage } = require('./helpers/dom');
+
+/**
+ * Failed attempts a page has recorded
+ * @param {Window} window - Page window
+ * @returns {number} Failure count
+ */
+function recordedFailures(window) {
+    const stored = JSON.parse(window.localStorage.getItem('ptsc-verification-attempts') || 'null');
+    return stored ? stored.failures : 0;
+}
+
+/**
+ * Run validateCertificate() in a fresh page and report its outcome
+ * @param {string} id - Certificate ID
+ * @param {string} key - Certificate key
+ * @param {Object} [options] - loadPage() options
+ * @returns {Promise<Object>} `{ certificate }` or `{ code }`, with the
+ *   `failures` recorded afterwards and the paths `fetched`
+ */
+async function validate(id, key, options) {
+    const page = await loadPage('index.html', options);
+    const { validateCertificate, VerificationError } = page.window.PTSCCertificate;
+    let outcome;
+
+    try {
+        outcome = { certificate: await validateCertificate(id, key) };
+    } catch (error) {
+        assert.ok(error instanceof VerificationError, `expected a VerificationError, got ${error}`);
+        outcome = { code: error.code };
+    }
+
+    outcome.failures = recordedFailures(page.window);
+    outcome.fetched = page.requests.map(request => request.path);
+    page.close();
+    return outcome;
+}
+
+test('validateCertificate()', async t => {
+    await t.test('returns the record for a matching ID and key', async () => {
+        const { certificate, failures, fetched } = await validate('PTSC2025-9001', FIXTURE_KEYS['PTSC2025-9001']);
+
+        assert.equal(certificate.id, 'PTSC2025-9001');
+        assert.equal(certificate.name, 'Asha Verma');
+        assert.equal(failures, 0);
+        assert.deepEqual(fetched, ['shards/index.json', 'certificates.json']);
+    });
+
+    await t.test('trims whitespace around the ID and key', async () => {
+        const { certificate } = await validate('  PTSC2025-9001\n', `\t${FIXTURE_KEYS['PTSC2025-9001']}  `);
+
+        assert.equal(certificate.id, 'PTSC2025-9001');
+    });
+
+    await t.test('returns revoked and expired records for the page to label', async () => {
+        assert.equal((await validate('PTSC2025-9002', FIXTURE_KEYS['PTSC2025-9002'])).certificate.expiresOn, '2024-12-31');
+        assert.equal((await validate('PTSC2025-9003', FIXTURE_KEYS['PTSC2025-9003'])).certificate.revoked, true);
+    });
+
+    await t.test('checks PBKDF2 and older single-round key hashes', async () => {
+        assert.equal((await validate('PTSC2025-9001', 'Fixture001')).certificate.keyIterations, 100000);
+        assert.equal((await validate('PTSC2025-9002', 'Fixture002')).certificate.keyIterations, undefined);
+    });
+
+    await t.test('rejects the key of another certificate', async () => {
+        const { code, failures } = await validate('PTSC2025-9001', FIXTURE_KEYS['PTSC2025-9002']);
+
+        assert.equal(code, 'key-mismatch');
+        assert.equal(failures, 1);
+    });
+
+    await t.test('treats keys as case-sensitive', async () => {
+        const { code } = await validate('PTSC2025-9001', FIXTURE_KEYS['PTSC2025-9001'].toLowerCase());
+
+        assert.equal(code, 'key-mismatch');
+    });
+
+    await t.test('does not trim characters inside the key', async () => {
+        const { code } = await validate('PTSC2025-9001', 'Fixture 001');
+
+        assert.equal(code, 'key-mismatch');
+    });
+
+    await t.test('reports an unknown ID as not found', async () => {
+        const { code, failures } = await validate('PTSC2025-0001', 'Fixture001');
+
+        assert.equal(code, 'not-found');
+        assert.equal(failures, 1);
+    });
+
+    await t.test('requires both an ID and a key', async () => {
+        assert.equal((await validate('', 'Fixture001')).code, 'malformed-link');
+        assert.equal((await validate('PTSC2025-9001', '   ')).code, 'malformed-link');
+        assert.equal((await validate(undefined, undefined)).code, 'malformed-link');
+    });
+
+    await t.test('refuses a record that fails validation', async () => {
+        const { code, failures } = await validate('PTSC2025-9004', 'Fixture004');
+
+        assert.equal(code, 'database-invalid');
+        assert.equal(failures, 0);
+    });
+
+    await t.test('refuses a database without a certificates array', async () => {
+        const { code } = await validate('PTSC2025-9001', 'Fixture001', {
+            files: { 'certificates.json': fixture('malformed-database.json') }
+        });
+
+        assert.equal(code, 'database-invalid');
+    });
+
+    await t.test('reports a missing or unreachable database as unavailable', async () => {
+        assert.equal((await validate('PTSC2025-9001', 'Fixture001', {
+            files: { 'certificates.json': null }
+        })).code, 'database-unavailable');
+
+        assert.equal((await validate('PTSC2025-9001', 'Fixture001', {
+            files: { 'certificates.json': () => { throw new TypeError('Failed to fetch'); } }
+        })).code, 'database-unavailable');
+    });
+
+    await t.test('stops checking keys after repeated failures', async () => {
+        const { code } = await validate('PTSC2025-9001', FIXTURE_KEYS['PTSC2025-9001'], {
+            storage: { 'ptsc-verification-attempts': { failures: 4, lastFailureAt: Date.now() } }
+        });
+
+        assert.equal(code, 'rate-limited');
+    });
+
+    await t.test('lets organiser tools skip the attempt limits', async () => {
+        const page = await loadPage('index.html', {
+            storage: { 'ptsc-verification-attempts': { failures: 4, lastFailureAt: Date.now() } }
+        });
+        const { validateCertificate, VerificationError } = page.window.PTSCCertificate;
+        const options = { limitAttempts: false };
+
+        assert.equal((await validateCertificate('PTSC2025-9001', 'Fixture001', options)).id, 'PTSC2025-9001');
+        await assert.rejects(validateCertificate('PTSC2025-9001', 'Fixture002', options),
+            error => error instanceof VerificationError && error.code === 'key-mismatch');
+        assert.equal(recordedFailures(page.window), 4);
+        page.close();
+    });
+});
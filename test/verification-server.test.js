@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createHandler } = require('../tools/verification-server');
+const { FIXTURE_KEYS, fixture } = require('./helpers/dom');
+
+/**
+ * Start the server on a free port over a site directory
+ * @param {string|null} site - Site directory, or null for the API only
+ * @param {Map<string, Object>} [records] - Database records by ID
+ * @returns {Promise<{origin: string, close: function(): Promise<void>}>}
+ */
+function startServer(site, records = new Map()) {
+    const server = http.createServer(createHandler(() => records, { allowOrigin: '*', site }));
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            origin: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+test('verification server site files', async t => {
+    const site = fs.mkdtempSync(path.join(os.tmpdir(), 'ptsc-site-'));
+    const served = [
+        'index.html', 'style.css', 'script.js', 'ptsc-logo.svg', 'locales/hi.json',
+        'credentials/issuer.json', 'credentials/achievements/testing-workshop-certificate-of-merit.json'
+    ];
+    const withheld = [
+        'certificates.json', 'shards/index.json', 'issuance-log.jsonl', 'club-private.pem',
+        'issued-2025.csv', 'keys.csv', 'recipients.csv', 'tools/verification-server.js', '.git/config',
+        'share/PTSC2025-9001.html', 'credentials/PTSC2025-9001.json'
+    ];
+    [...served, ...withheld].forEach(file => {
+        fs.mkdirSync(path.join(site, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(site, file), file);
+    });
+
+    const server = await startServer(site);
+    t.after(async () => {
+        await server.close();
+        fs.rmSync(site, { recursive: true, force: true });
+    });
+    const status = async file => (await fetch(`${server.origin}/${file}`)).status;
+
+    await t.test('serves the pages and their public files', async () => {
+        for (const file of served) {
+            assert.equal(await status(file), 200, file);
+        }
+        const response = await fetch(`${server.origin}/`);
+        assert.equal(await response.text(), 'index.html');
+    });
+
+    await t.test('does not serve anything else kept beside the site', async () => {
+        for (const file of withheld) {
+            assert.equal(await status(file), 404, file);
+        }
+        assert.equal(await status('locales/.hidden.json'), 404);
+        assert.equal(await status('vendor/..%2Fclub-private.pem'), 404);
+    });
+});
+
+test('verification server recipient list', async t => {
+    const { certificates } = JSON.parse(fs.readFileSync(fixture('certificates.json'), 'utf8'));
+    const server = await startServer(null, new Map(certificates.map(record => [record.id, record])));
+    t.after(() => server.close());
+
+    await t.test('lists only the public part of each record', async () => {
+        const recipientId = certificates.find(record => record.recipientId).recipientId;
+        const response = await fetch(`${server.origin}/api/recipients/${recipientId}`);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.ok(body.certificates.length > 0);
+        body.certificates.forEach(record => {
+            assert.equal(record.recipientId, recipientId);
+            ['salt', 'keyHash', 'keyIterations', 'signature'].forEach(field => assert.equal(field in record, false, field));
+        });
+    });
+});
+
+test('verification server key checks', async t => {
+    const { certificates } = JSON.parse(fs.readFileSync(fixture('certificates.json'), 'utf8'));
+    const records = new Map(certificates.map(record => [record.id, record]));
+    const check = async (server, id, key) => {
+        const response = await fetch(`${server.origin}/api/certificates/${id}?key=${key}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    await t.test('returns the record for the right key and refuses a wrong one', async () => {
+        const server = await startServer(null, records);
+        const found = await check(server, 'PTSC2025-9001', FIXTURE_KEYS['PTSC2025-9001']);
+        const legacy = await check(server, 'PTSC2025-9002', FIXTURE_KEYS['PTSC2025-9002']);
+        const wrong = await check(server, 'PTSC2025-9001', FIXTURE_KEYS['PTSC2025-9002']);
+
+        assert.equal(found.status, 200);
+        assert.deepEqual(found.body.certificate, records.get('PTSC2025-9001'));
+        assert.equal(legacy.status, 200);
+        assert.deepEqual(wrong, { status: 403, body: { error: 'key-mismatch' } });
+        await server.close();
+    });
+
+    await t.test('counts every failure of requests sent at the same time', async () => {
+        const server = await startServer(null, records);
+        const wrongKey = FIXTURE_KEYS['PTSC2025-9002'];
+        const results = await Promise.all([1, 2, 3, 4].map(() => check(server, 'PTSC2025-9001', wrongKey)));
+
+        assert.deepEqual(results.map(result => result.status), [403, 403, 403, 429]);
+        await server.close();
+    });
+});
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * PTSC Certificate Verification System
+ * Publish Open Badges 3.0 credentials and the issuer and achievement definitions
+ *
+ * Usage:
+ *   node tools/build-credentials.js [database] --base-url https://example.org/certificates
+ *       [--key club-private.pem] [--out credentials]
+ *
+ * Writes, below the output directory:
+ *   issuer.json               Issuer profile of the club
+ *   issuer-key.json           Club public key as a Multikey (with --key)
+ *   achievements/<slug>.json  One definition per event and certificate type
+ *   <id>.json                 OpenBadgeCredential of each certificate
+ *
+ * With --key every credential gets an ecdsa-jcs-2019 Data Integrity proof
+ * from the club signing key, so validators can check it against
+ * issuer-key.json. The certificate page hands out these files from its
+ * "Open Badge" download. Revoked certificates get no credential, and files
+ * of removed or revoked certificates are deleted. The deploy workflow
+ * (.github/workflows/pages.yml) runs it on every push, after
+ * tools/build-shards.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    CREDENTIAL_CONTEXT,
+    achievementSlug,
+    buildAchievement,
+    buildCredential,
+    buildIssuerProfile,
+    buildKeyDocument,
+    signCredential
+} = require('./lib/credentials');
+const { ID_PATTERN, readDatabase } = require('./lib/database');
+const { loadPrivateKey } = require('./lib/signing');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { input: 'certificates.json', output: 'credentials', baseUrl: null, key: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--base-url') {
+            options.baseUrl = argv[++i];
+        } else if (arg === '--key') {
+            options.key = argv[++i];
+        } else if (arg === '--out') {
+            options.output = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage: node tools/build-credentials.js [database] --base-url <site url> [--key club-private.pem] [--out credentials]');
+    console.log('');
+    console.log('  database      Path to certificates.json (default: certificates.json)');
+    console.log('  --base-url    Public site root; credential, issuer and achievement IDs are absolute URLs');
+    console.log('  --key         Club signing key (PKCS#8 PEM); adds Data Integrity proofs');
+    console.log('  --out         Output directory, served as <site>/credentials/ (default: credentials)');
+}
+
+/**
+ * Write a JSON document using the repository's formatting
+ * @param {string} file - Destination path
+ * @param {Object} document - JSON document
+ */
+function writeJson(file, document) {
+    fs.writeFileSync(file, JSON.stringify(document, null, 2) + '\n');
+}
+
+/**
+ * Delete generated files that are no longer wanted
+ * @param {string} directory - Directory to clean
+ * @param {Set<string>} keep - File names to keep
+ * @returns {number} Number of files removed
+ */
+function removeStaleFiles(directory, keep) {
+    let removed = 0;
+    fs.readdirSync(directory)
+        .filter(name => name.endsWith('.json') && !keep.has(name))
+        .forEach(name => {
+            fs.unlinkSync(path.join(directory, name));
+            removed++;
+        });
+    return removed;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    if (!options.baseUrl) {
+        throw new Error('--base-url is required - credentials refer to the issuer by absolute URL');
+    }
+    if (path.basename(path.resolve(options.output)) !== 'credentials') {
+        throw new Error('--out must be a directory named "credentials" - the URLs in the documents point there');
+    }
+
+    const data = readDatabase(options.input);
+    const privateKey = options.key ? loadPrivateKey(options.key) : null;
+
+    const outDir = path.resolve(options.output);
+    const achievementDir = path.join(outDir, 'achievements');
+    fs.mkdirSync(achievementDir, { recursive: true });
+
+    const written = new Set(['issuer.json']);
+    const achievements = new Map();
+    let credentials = 0;
+    let skipped = 0;
+
+    data.certificates.forEach(certificate => {
+        if (certificate.revoked === true) {
+            skipped++;
+            return;
+        }
+        if (!ID_PATTERN.test(certificate.id || '') || !certificate.name || !certificate.event ||
+            !certificate.type || !certificate.date) {
+            throw new Error(`Record ${certificate.id || '(no id)'} is incomplete - run tools/lint-certificates.js`);
+        }
+
+        // Different events must not share an achievement file
+        const slug = achievementSlug(certificate);
+        const achievement = buildAchievement(certificate, options.baseUrl);
+        const existing = achievements.get(slug);
+        if (existing && (existing.name !== achievement.name || existing.description !== achievement.description)) {
+            throw new Error(`"${certificate.event}" (${certificate.type}) and "${existing.name}" map to the same ` +
+                `achievement file ${slug}.json - rename one of the events`);
+        }
+        achievements.set(slug, achievement);
+
+        const credential = buildCredential(certificate, options.baseUrl);
+        writeJson(path.join(outDir, `${certificate.id}.json`),
+            privateKey ? signCredential(credential, privateKey, options.baseUrl) : credential);
+        written.add(`${certificate.id}.json`);
+        credentials++;
+    });
+
+    writeJson(path.join(outDir, 'issuer.json'), buildIssuerProfile(options.baseUrl, Boolean(privateKey)));
+    if (privateKey) {
+        writeJson(path.join(outDir, 'issuer-key.json'), buildKeyDocument(privateKey, options.baseUrl));
+        written.add('issuer-key.json');
+    }
+
+    achievements.forEach((achievement, slug) => {
+        writeJson(path.join(achievementDir, `${slug}.json`), { '@context': CREDENTIAL_CONTEXT, ...achievement });
+    });
+
+    const removed = removeStaleFiles(outDir, written) +
+        removeStaleFiles(achievementDir, new Set(Array.from(achievements.keys(), slug => `${slug}.json`)));
+
+    console.log(`Wrote ${credentials} ${privateKey ? 'signed' : 'unsigned'} credential(s) ` +
+        `and ${achievements.size} achievement(s) to ${options.output}/` +
+        (skipped ? `, skipped ${skipped} revoked` : '') +
+        (removed ? `, removed ${removed} stale file(s)` : ''));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
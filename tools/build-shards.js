@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * PTSC Certificate Verification System
+ * Split certificates.json into per-prefix shard files
+ *
+ * Usage:
+ *   node tools/build-shards.js [database] [--out shards] [--prefix-length 2]
+ *
+ * Each record is placed in `<out>/<prefix>.json`, where the prefix is the
+ * first N hex characters of SHA-256(id). `<out>/index.json` lists the shards
+ * that exist and a content version used to bust browser caches, so the site
+ * only downloads the one shard a lookup needs. Re-run after every change to
+ * the database.
+ *
+ * Records with a `recipientId` are also indexed in
+ * `<out>/recipients/<prefix>.json` (prefix of SHA-256(recipientId)), mapping
+ * each recipient to their certificate IDs for portfolio.html.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readDatabase } = require('./lib/database');
+const { shardPrefix } = require('./lib/shards');
+
+const MANIFEST_NAME = 'index.json';
+const RECIPIENTS_DIR = 'recipients';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { input: 'certificates.json', output: 'shards', prefixLength: 2 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.output = argv[++i];
+        } else if (arg === '--prefix-length') {
+            options.prefixLength = parseInt(argv[++i], 10);
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node tools/build-shards.js [database] [--out shards] [--prefix-length 2]');
+        return;
+    }
+
+    if (!Number.isInteger(options.prefixLength) || options.prefixLength < 1 || options.prefixLength > 4) {
+        throw new Error('--prefix-length must be between 1 and 4');
+    }
+
+    const data = readDatabase(options.input);
+    const recipientBuckets = new Map();
+
+    // Group records by prefix, keeping database order within each shard
+    const buckets = new Map();
+    data.certificates.forEach(cert => {
+        if (!cert.id) {
+            throw new Error('Found a record without an "id" - every record must have one');
+        }
+        const prefix = shardPrefix(cert.id, options.prefixLength);
+        if (!buckets.has(prefix)) buckets.set(prefix, []);
+        buckets.get(prefix).push(cert);
+
+        if (cert.recipientId) {
+            const recipientPrefix = shardPrefix(cert.recipientId, options.prefixLength);
+            if (!recipientBuckets.has(recipientPrefix)) recipientBuckets.set(recipientPrefix, {});
+            const recipients = recipientBuckets.get(recipientPrefix);
+            (recipients[cert.recipientId] = recipients[cert.recipientId] || []).push(cert.id);
+        }
+    });
+
+    const outDir = path.resolve(options.output);
+    const recipientsDir = path.join(outDir, RECIPIENTS_DIR);
+    fs.mkdirSync(recipientsDir, { recursive: true });
+
+    // Remove shards from a previous build so deleted records disappear
+    [outDir, recipientsDir].forEach(dir => fs.readdirSync(dir)
+        .filter(name => /^[0-9a-f]+\.json$/.test(name))
+        .forEach(name => fs.unlinkSync(path.join(dir, name))));
+
+    const prefixes = Array.from(buckets.keys()).sort();
+    const versionHash = crypto.createHash('sha256');
+
+    prefixes.forEach(prefix => {
+        const json = JSON.stringify({ certificates: buckets.get(prefix) }, null, 2) + '\n';
+        fs.writeFileSync(path.join(outDir, `${prefix}.json`), json);
+        versionHash.update(prefix).update(json);
+    });
+
+    const recipientPrefixes = Array.from(recipientBuckets.keys()).sort();
+    recipientPrefixes.forEach(prefix => {
+        const json = JSON.stringify({ recipients: recipientBuckets.get(prefix) }, null, 2) + '\n';
+        fs.writeFileSync(path.join(recipientsDir, `${prefix}.json`), json);
+        versionHash.update(`${RECIPIENTS_DIR}/${prefix}`).update(json);
+    });
+
+    const manifest = {
+        version: versionHash.digest('hex').slice(0, 12),
+        prefixLength: options.prefixLength,
+        count: data.certificates.length,
+        shards: prefixes,
+        recipientShards: recipientPrefixes
+    };
+    fs.writeFileSync(path.join(outDir, MANIFEST_NAME), JSON.stringify(manifest, null, 2) + '\n');
+
+    console.log(`Wrote ${prefixes.length} shard(s) for ${manifest.count} certificate(s) and ` +
+        `${recipientPrefixes.length} recipient index shard(s) to ${options.output}/ (version ${manifest.version})`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * PTSC Certificate Verification System
+ * Generate static share pages with preview images for every certificate
+ *
+ * Usage:
+ *   node tools/build-share-pages.js [database] --base-url https://example.org/certificates
+ *       [--out share] [--templates templates.json]
+ *
+ * LinkedIn, WhatsApp and other link previews do not run JavaScript, so they
+ * only see static meta tags. For each certificate this writes
+ * `<out>/<id>.html` with Open Graph and Twitter card tags, and
+ * `<out>/<id>.png`, a 1200x630 preview drawn in the certificate's template
+ * colours. A share page opened with `?key=` forwards visitors to the live
+ * verification. Without a key it shows the preview and a link to the
+ * verification form.
+ *
+ * Revoked certificates get no share page. Files of certificates that were
+ * removed or revoked are deleted. The deploy workflow
+ * (.github/workflows/pages.yml) runs it on every push, after
+ * tools/build-shards.js.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ID_PATTERN, readDatabase } = require('./lib/database');
+const { createImage, encodePNG, fillPolygons, fillRect } = require('./lib/raster');
+const { fillTemplateText, formatDate, readTemplates, selectTemplate } = require('./lib/templates');
+const { loadFont, measureText, textPolygons } = require('./lib/truetype');
+
+const FONT_DIR = path.join(__dirname, '..', 'vendor', 'fonts');
+const PREVIEW_WIDTH = 1200;
+const PREVIEW_HEIGHT = 630;
+const ISSUING_ORGANIZATION = 'Programming and Tech Skill Club, KNIT Sultanpur';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { input: 'certificates.json', output: 'share', templates: 'templates.json', baseUrl: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--base-url') {
+            options.baseUrl = argv[++i];
+        } else if (arg === '--out') {
+            options.output = argv[++i];
+        } else if (arg === '--templates') {
+            options.templates = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage: node tools/build-share-pages.js [database] --base-url <site url> [--out share] [--templates templates.json]');
+    console.log('');
+    console.log('  database      Path to certificates.json (default: certificates.json)');
+    console.log('  --base-url    Public site root; link previews need absolute image URLs');
+    console.log('  --out         Output directory, served as <site>/share/ (default: share)');
+    console.log('  --templates   Template catalogue for wording and colours (default: templates.json)');
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Draw a line of text centred on the preview, shrinking it to fit
+ * @param {Object} image - Image from createImage()
+ * @param {Object} font - Font from loadFont()
+ * @param {string} text - Text to draw
+ * @param {number} baseline - Baseline y
+ * @param {number} size - Preferred font size
+ * @param {string} color - Hex colour
+ * @returns {number} Width of the drawn text
+ */
+function drawCentredText(image, font, text, baseline, size, color) {
+    const maxWidth = PREVIEW_WIDTH - 200;
+    let fitted = size;
+    let width = measureText(font, text, fitted);
+    if (width > maxWidth) {
+        fitted = size * maxWidth / width;
+        width = maxWidth;
+    }
+
+    fillPolygons(image, textPolygons(font, text, (PREVIEW_WIDTH - width) / 2, baseline, fitted), color);
+    return width;
+}
+
+/**
+ * Draw the preview image of a certificate
+ * @param {Object} certificate - Certificate record
+ * @param {Object} template - Template from selectTemplate()
+ * @param {Object} fonts - `{ regular, bold }` from loadFont()
+ * @returns {Buffer} PNG file
+ */
+function renderPreview(certificate, template, fonts) {
+    const { primary, secondary, accent } = template.theme;
+    const image = createImage(PREVIEW_WIDTH, PREVIEW_HEIGHT, primary);
+
+    // White card with an accent frame, echoing the certificate border
+    fillRect(image, 24, 24, PREVIEW_WIDTH - 48, PREVIEW_HEIGHT - 48, '#ffffff');
+    [[44, 44, PREVIEW_WIDTH - 88, 4], [44, PREVIEW_HEIGHT - 48, PREVIEW_WIDTH - 88, 4],
+        [44, 44, 4, PREVIEW_HEIGHT - 88], [PREVIEW_WIDTH - 48, 44, 4, PREVIEW_HEIGHT - 88]]
+        .forEach(([x, y, width, height]) => fillRect(image, x, y, width, height, accent));
+
+    drawCentredText(image, fonts.bold, ISSUING_ORGANIZATION.toUpperCase(), 112, 22, secondary);
+    drawCentredText(image, fonts.bold, fillTemplateText(template.heading, certificate).toUpperCase(), 188, 46, primary);
+    drawCentredText(image, fonts.regular, fillTemplateText(template.wording.intro, certificate), 252, 26, '#666666');
+
+    const nameWidth = drawCentredText(image, fonts.bold, certificate.name, 340, 66, primary);
+    const lineWidth = Math.min(nameWidth + 60, PREVIEW_WIDTH - 240);
+    fillRect(image, (PREVIEW_WIDTH - lineWidth) / 2, 362, lineWidth, 4, accent);
+
+    drawCentredText(image, fonts.regular, fillTemplateText(template.wording.body, certificate), 420, 26, '#666666');
+    drawCentredText(image, fonts.bold, certificate.event, 472, 36, secondary);
+    drawCentredText(image, fonts.regular, `${formatDate(certificate.date)}  ·  ${certificate.id}`, 548, 22, '#666666');
+
+    return encodePNG(image);
+}
+
+/**
+ * Build the share page of a certificate
+ * @param {Object} certificate - Certificate record
+ * @param {string} pageUrl - Absolute URL of the page
+ * @param {string} imageUrl - Absolute URL of the preview image
+ * @returns {string} HTML document
+ */
+function renderSharePage(certificate, pageUrl, imageUrl) {
+    const date = formatDate(certificate.date);
+    const title = `${certificate.name} - ${certificate.type} - PTSC KNIT`;
+    const description = `${certificate.type} awarded to ${certificate.name} for ${certificate.event} ` +
+        `by ${ISSUING_ORGANIZATION} on ${date}. Verify it online.`;
+    const alt = `${certificate.type} for ${certificate.name}, ${certificate.event}`;
+    const id = encodeURIComponent(certificate.id);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <meta name="robots" content="noindex">
+    <link rel="canonical" href="${escapeHtml(pageUrl)}">
+    <link rel="stylesheet" href="../style.css">
+
+    <!-- Generated by tools/build-share-pages.js - do not edit -->
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content="PTSC Certificate Verification">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(pageUrl)}">
+    <meta property="og:image" content="${escapeHtml(imageUrl)}">
+    <meta property="og:image:type" content="image/png">
+    <meta property="og:image:width" content="${PREVIEW_WIDTH}">
+    <meta property="og:image:height" content="${PREVIEW_HEIGHT}">
+    <meta property="og:image:alt" content="${escapeHtml(alt)}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeHtml(title)}">
+    <meta name="twitter:description" content="${escapeHtml(description)}">
+    <meta name="twitter:image" content="${escapeHtml(imageUrl)}">
+
+    <script>
+        // Shared links carry the key: continue to the live verification
+        (function() {
+            var key = new URLSearchParams(window.location.search).get('key');
+            if (key && /^[a-zA-Z0-9]{10}$/.test(key)) {
+                window.location.replace('../certificate.html?id=${id}&key=' + encodeURIComponent(key));
+            }
+        })();
+    </script>
+</head>
+<body>
+    <div class="container">
+        <main class="main-content">
+            <div class="verification-section">
+                <div class="verification-card share-card">
+                    <img src="${id}.png" alt="${escapeHtml(alt)}" class="share-preview" width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}">
+                    <h2 class="section-title">${escapeHtml(certificate.name)}</h2>
+                    <p class="section-description">
+                        ${escapeHtml(certificate.type)} · ${escapeHtml(certificate.event)} · ${escapeHtml(date)}
+                    </p>
+                    <a class="verify-btn share-verify-link" href="../index.html?id=${id}">
+                        <span class="btn-text">Verify this certificate</span>
+                        <span class="btn-icon">🔍</span>
+                    </a>
+                </div>
+            </div>
+        </main>
+
+        <footer class="footer">
+            <p>&copy; 2025 Programming and Tech Skill Club, KNIT Sultanpur. All rights reserved.</p>
+        </footer>
+    </div>
+</body>
+</html>
+`;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    if (!options.baseUrl) {
+        throw new Error('--base-url is required - link previews need absolute URLs');
+    }
+    const shareBase = new URL(`${path.basename(path.resolve(options.output))}/`,
+        options.baseUrl.endsWith('/') ? options.baseUrl : `${options.baseUrl}/`);
+
+    const data = readDatabase(options.input);
+    const catalogue = readTemplates(path.resolve(options.templates));
+    const fonts = {
+        regular: loadFont(path.join(FONT_DIR, 'NotoSans_400Regular.ttf')),
+        bold: loadFont(path.join(FONT_DIR, 'NotoSans_700Bold.ttf'))
+    };
+
+    const outDir = path.resolve(options.output);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const written = new Set();
+    let skipped = 0;
+    data.certificates.forEach(certificate => {
+        if (certificate.revoked === true) {
+            skipped++;
+            return;
+        }
+        if (!ID_PATTERN.test(certificate.id || '') || !certificate.name || !certificate.event || !certificate.date) {
+            throw new Error(`Record ${certificate.id || '(no id)'} is incomplete - run tools/lint-certificates.js`);
+        }
+
+        const template = selectTemplate(certificate, catalogue);
+        const pageUrl = new URL(`${certificate.id}.html`, shareBase).toString();
+        const imageUrl = new URL(`${certificate.id}.png`, shareBase).toString();
+
+        fs.writeFileSync(path.join(outDir, `${certificate.id}.png`), renderPreview(certificate, template, fonts));
+        fs.writeFileSync(path.join(outDir, `${certificate.id}.html`), renderSharePage(certificate, pageUrl, imageUrl));
+        written.add(certificate.id);
+    });
+
+    // Remove pages of certificates that were deleted or revoked since the last build
+    let removed = 0;
+    fs.readdirSync(outDir)
+        .filter(name => /^PTSC\d{4}-\d{4}\.(html|png)$/.test(name) && !written.has(name.replace(/\.(html|png)$/, '')))
+        .forEach(name => {
+            fs.unlinkSync(path.join(outDir, name));
+            removed++;
+        });
+
+    console.log(`Wrote share pages for ${written.size} certificate(s) to ${options.output}/` +
+        (skipped ? `, skipped ${skipped} revoked` : '') +
+        (removed ? `, removed ${removed} stale file(s)` : ''));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * PTSC Certificate Verification System
+ * Convert a certificates.json file with plaintext keys into the hashed format
+ *
+ * Usage:
+ *   node tools/hash-keys.js [database] [--out file] [--keys-out file]
+ *
+ * Every record that still carries a plaintext `key` gets a random `salt`,
+ * `keyIterations` and a `keyHash` (PBKDF2-HMAC-SHA256 over id:key, see
+ * lib/keys.js); the plaintext key is removed. Put a record's `key` back to
+ * rehash it, e.g. to move it off the old single-round SHA-256 hash. Records
+ * that are already hashed are left untouched, so the script is safe to run
+ * more than once.
+ *
+ * The signature covers the key hash, so a signed record loses its signature
+ * when it is rehashed: sign the database again afterwards.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readDatabase, writeDatabase } = require('./lib/database');
+const { createKeyHash } = require('./lib/keys');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        input: 'certificates.json',
+        output: null,
+        keysOut: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.output = argv[++i];
+        } else if (arg === '--keys-out') {
+            options.keysOut = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.input = arg;
+        }
+    }
+
+    options.output = options.output || options.input;
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage: node tools/hash-keys.js [database] [--out file] [--keys-out file]');
+    console.log('');
+    console.log('  database     Path to certificates.json (default: certificates.json)');
+    console.log('  --out        Write the hashed database here instead of in place');
+    console.log('  --keys-out   Also write an id,key CSV of the converted plaintext keys');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    const data = readDatabase(path.resolve(options.input));
+
+    const convertedKeys = [];
+    const unsigned = [];
+
+    data.certificates = data.certificates.map(cert => {
+        if (!cert.key) {
+            return cert;
+        }
+
+        const { key, signature, ...rest } = cert;
+        convertedKeys.push({ id: cert.id, key });
+        if (signature) unsigned.push(cert.id);
+
+        return { ...rest, ...createKeyHash(cert.id, key) };
+    });
+
+    writeDatabase(path.resolve(options.output), data);
+
+    if (options.keysOut) {
+        const lines = ['id,key', ...convertedKeys.map(entry => `${entry.id},${entry.key}`)];
+        fs.writeFileSync(path.resolve(options.keysOut), lines.join('\n') + '\n', { mode: 0o600 });
+    }
+
+    console.log(`Hashed ${convertedKeys.length} key(s), ` +
+        `${data.certificates.length - convertedKeys.length} record(s) already hashed.`);
+    console.log(`Wrote ${options.output}`);
+    if (unsigned.length) {
+        console.warn(`Warning: removed the signature of ${unsigned.length} rehashed record(s) ` +
+            `(${unsigned.join(', ')}) - sign the database again with tools/sign-certificates.js.`);
+    }
+    if (convertedKeys.length && !options.keysOut) {
+        console.log('Plaintext keys are no longer stored in the database - keep your own copy ' +
+            'of the keys you have already sent to recipients.');
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
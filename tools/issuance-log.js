@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * PTSC Certificate Verification System
+ * Maintain the hash-chained issuance log (issuance-log.jsonl)
+ *
+ * Usage:
+ *   node tools/issuance-log.js record [database] [--log issuance-log.jsonl] [--note text] [--dry-run]
+ *   node tools/issuance-log.js verify [database] [--log issuance-log.jsonl]
+ *   node tools/issuance-log.js rebuild [--log issuance-log.jsonl] [--out certificates.json]
+ *   node tools/issuance-log.js history <certificate id> [--log issuance-log.jsonl]
+ *
+ * `record` appends an `issue` event for every new record in the database, a
+ * `revoke` event for newly revoked ones and a `correct` event for any other
+ * change. Run it after issuing, signing or editing, and commit the log with
+ * the database. Deleting a record that is in the log is refused.
+ *
+ * `verify` checks the chain and that the database is exactly what the log
+ * replays to; it exits with status 1 otherwise. `rebuild` writes the
+ * database the log replays to, and `history` lists one certificate's events.
+ */
+
+'use strict';
+
+const { readDatabase, writeDatabase } = require('./lib/database');
+const { appendEvents, diffDatabase, readLog, replayLog, verifyChain } = require('./lib/issuance-log');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        command: argv[0],
+        input: null,
+        log: 'issuance-log.jsonl',
+        note: null,
+        output: null,
+        dryRun: false
+    };
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--log') {
+            options.log = argv[++i];
+        } else if (arg === '--note') {
+            options.note = argv[++i];
+        } else if (arg === '--out') {
+            options.output = argv[++i];
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else {
+            options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node tools/issuance-log.js record [database] [--log issuance-log.jsonl] [--note text] [--dry-run]');
+    console.log('  node tools/issuance-log.js verify [database] [--log issuance-log.jsonl]');
+    console.log('  node tools/issuance-log.js rebuild [--log issuance-log.jsonl] [--out certificates.json]');
+    console.log('  node tools/issuance-log.js history <certificate id> [--log issuance-log.jsonl]');
+}
+
+/**
+ * Read the log and refuse to work on a broken chain
+ * @param {string} file - Path to issuance-log.jsonl
+ * @returns {Object[]} Events
+ */
+function readIntactLog(file) {
+    const events = readLog(file);
+    const chain = verifyChain(events);
+    if (!chain.intact) {
+        throw new Error(`${file} is broken at event ${chain.brokenAt}: ${chain.reason}`);
+    }
+    return events;
+}
+
+function record(options) {
+    const input = options.input || 'certificates.json';
+    const events = readIntactLog(options.log);
+    const changes = diffDatabase(readDatabase(input).certificates, replayLog(events));
+
+    if (!changes.length) {
+        console.log(`${options.log} is up to date with ${input} (${events.length} event(s))`);
+        return;
+    }
+
+    changes.forEach(change => console.log(`${change.action.padEnd(7)} ${change.id}`));
+    if (options.dryRun) {
+        console.log(`Dry run: would append ${changes.length} event(s) to ${options.log}`);
+        return;
+    }
+
+    appendEvents(options.log, events, changes, { note: options.note });
+    console.log(`Appended ${changes.length} event(s) to ${options.log}`);
+}
+
+function verify(options) {
+    const input = options.input || 'certificates.json';
+    const events = readLog(options.log);
+    const chain = verifyChain(events);
+    if (!chain.intact) {
+        console.log(`✗ ${options.log} is broken at event ${chain.brokenAt}: ${chain.reason}`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`✓ ${options.log}: ${chain.length} event(s), chain intact, head ${chain.head}`);
+
+    // Anything that `record` would append is an edit the log has not seen
+    const changes = diffDatabase(readDatabase(input).certificates, replayLog(events));
+    if (changes.length) {
+        changes.forEach(change => console.log(`✗ ${change.id}: ${change.action === 'issue' ? 'not in the log' : 'differs from the log'}`));
+        console.log(`${input} has ${changes.length} unlogged change(s) - run "node tools/issuance-log.js record"`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`✓ ${input} matches the log`);
+}
+
+function rebuild(options) {
+    const events = readIntactLog(options.log);
+    const data = { certificates: Array.from(replayLog(events).values()) };
+
+    if (options.output) {
+        writeDatabase(options.output, data);
+        console.error(`Rebuilt ${data.certificates.length} record(s) from ${events.length} event(s) into ${options.output}`);
+    } else {
+        process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+    }
+}
+
+function history(options) {
+    if (!options.input) {
+        throw new Error('history requires a certificate ID');
+    }
+
+    const events = readIntactLog(options.log).filter(event => event.id === options.input);
+    if (!events.length) {
+        throw new Error(`${options.input} is not in ${options.log}`);
+    }
+
+    events.forEach(event => {
+        console.log(`#${event.seq} ${event.time} ${event.action}${event.note ? ` - ${event.note}` : ''}`);
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const commands = { record, verify, rebuild, history };
+
+    if (commands[options.command]) {
+        commands[options.command](options);
+    } else {
+        printUsage();
+        process.exit(options.command ? 1 : 0);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
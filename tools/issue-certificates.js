@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * PTSC Certificate Verification System
+ * Issue certificates in bulk from an event roster CSV
+ *
+ * Usage:
+ *   node tools/issue-certificates.js <roster.csv> --base-url https://example.org/certificates
+ *       [--db certificates.json] [--mapping issued.csv] [--recipients recipients.csv]
+ *       [--key club-private.pem] [--dry-run]
+ *
+ * The roster needs the columns name,email,event,type,date,issuer and may add
+ * recipient_id and localized names such as name_hi (stored as
+ * `nameLocalized`). Every row is validated before anything is written. Each
+ * recipient gets the next free `PTSC<year>-NNNN` ID for the year of their
+ * date and a random 10-character key; the hashed (and, with --key, signed)
+ * records are merged into the database. The plaintext keys and verification
+ * URLs are only written to the mapping CSV, which is what gets mailed to
+ * recipients - keep it private.
+ *
+ * Every record also gets the recipient's stable `recipientId`, taken from the
+ * roster or looked up by email in the recipient registry (new emails and IDs
+ * given in the roster are registered). The registry contains emails and is
+ * private as well. Two rows with the same email, event, type and date are
+ * refused as a duplicate.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseCSV, toCSV } = require('./lib/csv');
+const {
+    ID_PATTERN, KEY_PATTERN, RECIPIENT_ID_PATTERN, localizedNamesFromRow, readDatabase, writeDatabase
+} = require('./lib/database');
+const { createKeyHash, generateKey } = require('./lib/keys');
+const { signRecord, loadPrivateKey } = require('./lib/signing');
+const {
+    normalizeEmail, readRecipientRegistry, registerRecipientId, writeRecipientRegistry, recipientIdFor
+} = require('./lib/recipients');
+
+const REQUIRED_COLUMNS = ['name', 'email', 'event', 'type', 'date', 'issuer'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAPPING_COLUMNS = ['name', 'email', 'id', 'key', 'url', 'recipient_id', 'portfolio_url'];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {
+        roster: null,
+        db: 'certificates.json',
+        mapping: 'issued.csv',
+        recipients: 'recipients.csv',
+        baseUrl: null,
+        key: null,
+        dryRun: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--db') {
+            options.db = argv[++i];
+        } else if (arg === '--mapping') {
+            options.mapping = argv[++i];
+        } else if (arg === '--recipients') {
+            options.recipients = argv[++i];
+        } else if (arg === '--base-url') {
+            options.baseUrl = argv[++i];
+        } else if (arg === '--key') {
+            options.key = argv[++i];
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.roster = arg;
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage: node tools/issue-certificates.js <roster.csv> --base-url <site url>');
+    console.log('           [--db certificates.json] [--mapping issued.csv] [--recipients recipients.csv]');
+    console.log('           [--key club-private.pem] [--dry-run]');
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+function isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year &&
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day;
+}
+
+/**
+ * Validate roster rows
+ * @param {Object[]} rows - Parsed CSV rows
+ * @param {Map<string, Object>} registry - Recipient registry, which takes the
+ *   roster's recipient IDs (checked against emails already registered)
+ * @returns {string[]} Human-readable problems (empty when the roster is valid)
+ */
+function validateRoster(rows, registry) {
+    const problems = [];
+
+    if (!rows.length) {
+        return ['Roster has no data rows'];
+    }
+
+    const missingColumns = REQUIRED_COLUMNS.filter(column => !(column in rows[0]));
+    if (missingColumns.length) {
+        return [`Roster is missing column(s): ${missingColumns.join(', ')}`];
+    }
+
+    // Email, event, type and date -> first line with them
+    const certificates = new Map();
+
+    rows.forEach((row, index) => {
+        // +2: one for the header row, one because spreadsheets count from 1
+        const line = index + 2;
+
+        REQUIRED_COLUMNS.forEach(column => {
+            if (!row[column]) problems.push(`Line ${line}: "${column}" is empty`);
+        });
+
+        if (row.email && !EMAIL_PATTERN.test(row.email)) {
+            problems.push(`Line ${line}: "${row.email}" is not a valid email address`);
+        }
+
+        if (row.date && !isValidDate(row.date)) {
+            problems.push(`Line ${line}: "${row.date}" is not a valid YYYY-MM-DD date`);
+        }
+
+        if (row.recipient_id && !RECIPIENT_ID_PATTERN.test(row.recipient_id)) {
+            problems.push(`Line ${line}: "${row.recipient_id}" is not a valid recipient ID`);
+        } else if (row.recipient_id && row.email) {
+            try {
+                registerRecipientId(registry, row.email, row.recipient_id, row.name);
+            } catch (error) {
+                problems.push(`Line ${line}: ${error.message}`);
+            }
+        }
+
+        const certificate = [normalizeEmail(row.email || ''), row.event, row.type, row.date].join('\n');
+        if (certificates.has(certificate)) {
+            problems.push(`Line ${line}: duplicate of line ${certificates.get(certificate)} ` +
+                '(same email, event, type and date)');
+        } else {
+            certificates.set(certificate, line);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Build an ID allocator that never reuses a number already in the database
+ * @param {Object[]} certificates - Existing records
+ * @returns {Function} `(year) => id` returning the next free ID for that year
+ */
+function createIdAllocator(certificates) {
+    const highest = new Map();
+
+    certificates.forEach(cert => {
+        const match = /^PTSC(\d{4})-(\d{4})$/.exec((cert.id || '').trim());
+        if (!match) return;
+
+        const number = parseInt(match[2], 10);
+        highest.set(match[1], Math.max(highest.get(match[1]) || 0, number));
+    });
+
+    return function nextId(year) {
+        const number = (highest.get(year) || 0) + 1;
+        if (number > 9999) {
+            throw new Error(`No certificate numbers left for ${year} (PTSC${year}-9999 already issued)`);
+        }
+
+        highest.set(year, number);
+        return `PTSC${year}-${String(number).padStart(4, '0')}`;
+    };
+}
+
+/**
+ * Build the verification URL mailed to a recipient
+ * @param {string} baseUrl - Site root, e.g. https://example.org/certificates
+ * @param {string} id - Certificate ID
+ * @param {string} key - Plaintext key
+ * @returns {string} Full certificate.html URL
+ */
+function verificationUrl(baseUrl, id, key) {
+    const url = new URL('certificate.html', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    url.searchParams.set('id', id);
+    url.searchParams.set('key', key);
+    return url.toString();
+}
+
+/**
+ * Build the portfolio URL listing all of a recipient's certificates
+ * @param {string} baseUrl - Site root
+ * @param {string} recipientId - Recipient ID
+ * @returns {string} Full portfolio.html URL
+ */
+function portfolioUrl(baseUrl, recipientId) {
+    const url = new URL('portfolio.html', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    url.searchParams.set('recipient', recipientId);
+    return url.toString();
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.roster) {
+        printUsage();
+        process.exit(options.help ? 0 : 1);
+    }
+
+    if (!options.baseUrl) {
+        throw new Error('--base-url is required to build the verification links');
+    }
+    new URL(options.baseUrl); // throws on an invalid URL
+
+    if (!options.dryRun && fs.existsSync(options.mapping)) {
+        throw new Error(`${options.mapping} already exists - choose another --mapping file`);
+    }
+
+    const rows = parseCSV(fs.readFileSync(options.roster, 'utf8'));
+    const registry = readRecipientRegistry(options.recipients);
+    const problems = validateRoster(rows, registry);
+    if (problems.length) {
+        problems.forEach(problem => console.error(problem));
+        throw new Error(`Roster has ${problems.length} problem(s); nothing was issued`);
+    }
+
+    const data = readDatabase(options.db);
+    const privateKey = options.key ? loadPrivateKey(options.key) : null;
+    const nextId = createIdAllocator(data.certificates);
+    const existingIds = new Set(data.certificates.map(cert => (cert.id || '').trim()));
+
+    const mapping = [];
+    const issued = rows.map(row => {
+        const id = nextId(row.date.slice(0, 4));
+        const key = generateKey();
+
+        // Both are guaranteed by construction; checked anyway so a future
+        // change to the generators cannot slip a bad record into the database
+        if (!ID_PATTERN.test(id) || !KEY_PATTERN.test(key) || existingIds.has(id)) {
+            throw new Error(`Generated an invalid or duplicate credential for ${row.name}`);
+        }
+        existingIds.add(id);
+
+        // Roster IDs were registered by validateRoster()
+        const recipientId = recipientIdFor(registry, row.email, row.name);
+        const record = {
+            id,
+            recipientId,
+            name: row.name,
+            nameLocalized: localizedNamesFromRow(row),
+            event: row.event,
+            type: row.type,
+            date: row.date,
+            issuer: row.issuer,
+            ...createKeyHash(id, key)
+        };
+        if (!record.nameLocalized) delete record.nameLocalized;
+
+        mapping.push({
+            name: row.name,
+            email: row.email,
+            id,
+            key,
+            url: verificationUrl(options.baseUrl, id, key),
+            recipient_id: recipientId,
+            portfolio_url: portfolioUrl(options.baseUrl, recipientId)
+        });
+
+        return privateKey ? signRecord(record, privateKey) : record;
+    });
+
+    if (options.dryRun) {
+        mapping.forEach(entry => console.log(`${entry.id}  ${entry.recipient_id}  ${entry.name} <${entry.email}>`));
+        console.log(`Dry run: ${issued.length} certificate(s) would be issued; nothing was written.`);
+        return;
+    }
+
+    // Write the private mapping first so keys are never lost if the database write fails
+    fs.writeFileSync(options.mapping, toCSV(MAPPING_COLUMNS, mapping), { mode: 0o600 });
+    writeRecipientRegistry(options.recipients, registry);
+    data.certificates = data.certificates.concat(issued);
+    writeDatabase(options.db, data);
+
+    console.log(`Issued ${issued.length} certificate(s): ${issued[0].id} … ${issued[issued.length - 1].id}`);
+    console.log(`Wrote ${options.db} and ${options.mapping} (plaintext keys - do not commit it)`);
+    console.log(`Updated the recipient registry ${options.recipients} (emails - do not commit it)`);
+    if (!privateKey) {
+        console.log('Records are unsigned - sign them with ' +
+            `\`node tools/sign-certificates.js sign ${options.db} --key club-private.pem --out ${options.db}\`.`);
+    }
+    console.log(`Append them to the issuance log with \`node tools/issuance-log.js record ${options.db}\`, then ` +
+        `commit ${options.db} with issuance-log.jsonl; the deploy workflow builds the shards.`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,85 @@
+/**
+ * PTSC Certificate Verification System
+ * Failed-attempt limits for verification endpoints (Node tooling)
+ *
+ * Same policy as the ATTEMPT constants and backoffDelay() /
+ * challengeDifficulty() in script.js, which apply it in the browser when no
+ * endpoint is configured. After FREE_FAILED_ATTEMPTS failures each further
+ * failure doubles the wait before the next attempt; from
+ * CHALLENGE_AFTER_FAILURES on every attempt also needs a proof of work.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const FREE_FAILED_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+const ATTEMPT_RESET_MS = 60 * 60 * 1000;
+const CHALLENGE_AFTER_FAILURES = 5;
+const CHALLENGE_DIFFICULTY_BITS = 16;
+const CHALLENGE_MAX_DIFFICULTY_BITS = 20;
+
+/**
+ * Wait required before the next attempt after a number of failures
+ * @param {number} failures - Failed attempts so far
+ * @returns {number} Milliseconds (0 while attempts are still free)
+ */
+function backoffDelay(failures) {
+    if (failures < FREE_FAILED_ATTEMPTS) return 0;
+    return Math.min(BACKOFF_BASE_MS * 2 ** (failures - FREE_FAILED_ATTEMPTS), BACKOFF_MAX_MS);
+}
+
+/**
+ * Proof-of-work difficulty required after a number of failures
+ * @param {number} failures - Failed attempts so far
+ * @returns {number} Leading zero bits (0 when no challenge is needed)
+ */
+function challengeDifficulty(failures) {
+    if (failures < CHALLENGE_AFTER_FAILURES) return 0;
+    return Math.min(CHALLENGE_DIFFICULTY_BITS + failures - CHALLENGE_AFTER_FAILURES, CHALLENGE_MAX_DIFFICULTY_BITS);
+}
+
+/**
+ * Check a proof of work: SHA-256(`challenge:nonce`) must start with
+ * `difficulty` zero bits. Must match solveProofOfWork() in script.js.
+ * @param {string} challenge - Challenge handed to the client
+ * @param {string} nonce - Client's answer
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {boolean} True if the proof is valid
+ */
+function checkProofOfWork(challenge, nonce, difficulty) {
+    if (typeof nonce !== 'string' || !/^\d{1,12}$/.test(nonce)) return false;
+    return leadingZeroBits(crypto.createHash('sha256').update(`${challenge}:${nonce}`, 'utf8').digest()) >= difficulty;
+}
+
+/**
+ * Generate a random proof-of-work challenge
+ * @returns {string} 32-character hex challenge
+ */
+function generateChallenge() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Count the leading zero bits of a digest
+ * @param {Buffer} bytes - Digest
+ * @returns {number} Number of leading zero bits
+ */
+function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte !== 0) return bits + Math.clz32(byte) - 24;
+        bits += 8;
+    }
+    return bits;
+}
+
+module.exports = {
+    ATTEMPT_RESET_MS,
+    backoffDelay,
+    challengeDifficulty,
+    checkProofOfWork,
+    generateChallenge
+};
@@ -0,0 +1,255 @@
+/**
+ * PTSC Certificate Verification System
+ * Open Badges 3.0 / W3C Verifiable Credential documents for the Node tooling
+ *
+ * The document builders must match buildOpenBadgeCredential() in script.js:
+ * the certificate page compares the file it downloads from credentials/ with
+ * its own copy before handing it out. Proofs use the `ecdsa-jcs-2019`
+ * Data Integrity cryptosuite with the club's ECDSA P-256 signing key. The
+ * documents hold no numbers, so canonicalize() in signing.js produces the
+ * JCS (RFC 8785) form the suite requires.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { canonicalize } = require('./signing');
+
+const CREDENTIAL_CONTEXT = [
+    'https://www.w3.org/ns/credentials/v2',
+    'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'
+];
+const MULTIKEY_CONTEXT = 'https://w3id.org/security/multikey/v1';
+const CONTROLLER_CONTEXT = 'https://www.w3.org/ns/cid/v1';
+
+const ISSUER_NAME = 'Programming and Tech Skill Club, KNIT Sultanpur';
+const ISSUER_EMAIL = 'ptsc@knit.ac.in';
+
+// Multicodec prefix of a compressed P-256 public key (0x1200 as a varint)
+const P256_MULTICODEC = Buffer.from([0x80, 0x24]);
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Resolve the URLs of the published documents
+ * @param {string} baseUrl - Public site root
+ * @returns {Object} `{ site, directory, issuer, key }` absolute URLs
+ */
+function credentialUrls(baseUrl) {
+    const site = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    const directory = new URL('credentials/', site);
+    return {
+        site: site.toString(),
+        directory: directory.toString(),
+        issuer: new URL('issuer.json', directory).toString(),
+        key: new URL('issuer-key.json', directory).toString()
+    };
+}
+
+/**
+ * File name of the achievement definition shared by every certificate of
+ * the same event and type
+ * @param {Object} certificate - Certificate record
+ * @returns {string} e.g. `web-development-workshop-certificate-of-merit`
+ */
+function achievementSlug(certificate) {
+    return `${certificate.event} ${certificate.type}`
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Short issuer profile embedded in credentials and achievements
+ * @param {string} baseUrl - Public site root
+ * @returns {Object} Profile reference
+ */
+function issuerReference(baseUrl) {
+    const urls = credentialUrls(baseUrl);
+    return { id: urls.issuer, type: ['Profile'], name: ISSUER_NAME, url: urls.site };
+}
+
+/**
+ * Full issuer profile served as credentials/issuer.json. When credentials are
+ * signed it also lists the club key as an assertion method, which is how
+ * verifiers check that the key may sign for the issuer.
+ * @param {string} baseUrl - Public site root
+ * @param {boolean} [signed] - Whether credentials carry proofs
+ * @returns {Object} Open Badges Profile document
+ */
+function buildIssuerProfile(baseUrl, signed = false) {
+    const urls = credentialUrls(baseUrl);
+    const profile = {
+        '@context': signed ? [...CREDENTIAL_CONTEXT, CONTROLLER_CONTEXT] : CREDENTIAL_CONTEXT,
+        ...issuerReference(baseUrl),
+        description: 'Student technical club of Kamla Nehru Institute of Technology, Sultanpur. ' +
+            'Issues certificates for its workshops, bootcamps and competitions.',
+        email: ISSUER_EMAIL,
+        image: { id: new URL('ptsc-logo.svg', urls.site).toString(), type: 'Image' }
+    };
+
+    if (signed) {
+        profile.assertionMethod = [urls.key];
+    }
+    return profile;
+}
+
+/**
+ * Achievement (event and certificate type) of a certificate
+ * @param {Object} certificate - Certificate record
+ * @param {string} baseUrl - Public site root
+ * @returns {Object} Open Badges Achievement
+ */
+function buildAchievement(certificate, baseUrl) {
+    const urls = credentialUrls(baseUrl);
+    return {
+        id: new URL(`achievements/${achievementSlug(certificate)}.json`, urls.directory).toString(),
+        type: ['Achievement'],
+        achievementType: 'Certificate',
+        name: certificate.event,
+        description: `${certificate.type} awarded by ${ISSUER_NAME} for ${certificate.event}.`,
+        criteria: {
+            narrative: `Awarded to the members recognised by the club at ${certificate.event}. ` +
+                'Every award is recorded in the club\'s certificate database and can be verified online.'
+        },
+        creator: issuerReference(baseUrl)
+    };
+}
+
+/**
+ * Salted, hashed identity of the recipient, so the published file does not
+ * name them; anyone who knows the name can still check it. Must match
+ * buildOpenBadgeIdentity() in script.js.
+ * @param {string} identityType - `name` or `identifier`
+ * @param {string} value - Plain identity
+ * @param {string} [salt] - Hex salt (random by default)
+ * @returns {Object} Open Badges IdentityObject
+ */
+function buildIdentity(identityType, value, salt = crypto.randomBytes(16).toString('hex')) {
+    const digest = crypto.createHash('sha256').update(value + salt, 'utf8').digest('hex');
+    return { type: 'IdentityObject', identityType, hashed: true, identityHash: `sha256$${digest}`, salt };
+}
+
+/**
+ * Unsigned Open Badges credential for a certificate
+ * @param {Object} certificate - Certificate record
+ * @param {string} baseUrl - Public site root
+ * @param {Object} [salts] - Identity salts by identity type (random by default)
+ * @returns {Object} OpenBadgeCredential without a proof
+ */
+function buildCredential(certificate, baseUrl, salts = {}) {
+    const urls = credentialUrls(baseUrl);
+    const identifier = [buildIdentity('name', certificate.name, salts.name)];
+    if (certificate.recipientId) {
+        identifier.push(buildIdentity('identifier', certificate.recipientId, salts.identifier));
+    }
+
+    const credential = {
+        '@context': CREDENTIAL_CONTEXT,
+        id: new URL(`${certificate.id}.json`, urls.directory).toString(),
+        type: ['VerifiableCredential', 'OpenBadgeCredential'],
+        name: `${certificate.type} - ${certificate.event}`,
+        issuer: issuerReference(baseUrl),
+        validFrom: `${certificate.date}T00:00:00Z`,
+        credentialSubject: {
+            type: ['AchievementSubject'],
+            identifier,
+            achievement: buildAchievement(certificate, baseUrl)
+        }
+    };
+
+    // Valid up to and including the expiry date, as on the certificate page
+    if (certificate.expiresOn) {
+        credential.validUntil = `${certificate.expiresOn}T23:59:59Z`;
+    }
+
+    return credential;
+}
+
+/**
+ * Encode bytes in base58btc
+ * @param {Buffer} bytes - Data
+ * @returns {string} Base58 text
+ */
+function encodeBase58(bytes) {
+    let value = BigInt(`0x${bytes.toString('hex') || '0'}`);
+    let text = '';
+    while (value > 0n) {
+        text = BASE58_ALPHABET[Number(value % 58n)] + text;
+        value /= 58n;
+    }
+
+    // Leading zero bytes are kept as leading "1"s
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) text = BASE58_ALPHABET[0] + text;
+    return text;
+}
+
+/**
+ * Multikey document for the club's public key, served as credentials/issuer-key.json
+ * @param {crypto.KeyObject} key - ECDSA P-256 private or public key
+ * @param {string} baseUrl - Public site root
+ * @returns {Object} Multikey verification method
+ */
+function buildKeyDocument(key, baseUrl) {
+    const urls = credentialUrls(baseUrl);
+    const jwk = crypto.createPublicKey(key).export({ format: 'jwk' });
+    const x = Buffer.from(jwk.x, 'base64url');
+    const y = Buffer.from(jwk.y, 'base64url');
+    const compressed = Buffer.concat([Buffer.from([y[y.length - 1] & 1 ? 0x03 : 0x02]), x]);
+
+    return {
+        '@context': MULTIKEY_CONTEXT,
+        id: urls.key,
+        type: 'Multikey',
+        controller: urls.issuer,
+        publicKeyMultibase: `z${encodeBase58(Buffer.concat([P256_MULTICODEC, compressed]))}`
+    };
+}
+
+/**
+ * Bytes signed by an ecdsa-jcs-2019 proof
+ * @param {Object} document - Credential without its proof
+ * @param {Object} proofConfig - Proof options without proofValue
+ * @returns {Buffer} SHA-256(JCS(proof options)) followed by SHA-256(JCS(document))
+ */
+function proofHashData(document, proofConfig) {
+    const hash = value => crypto.createHash('sha256').update(canonicalize(value), 'utf8').digest();
+    return Buffer.concat([hash(proofConfig), hash(document)]);
+}
+
+/**
+ * Add an ecdsa-jcs-2019 Data Integrity proof to a credential
+ * @param {Object} credential - Unsigned credential
+ * @param {crypto.KeyObject} privateKey - Club ECDSA P-256 private key
+ * @param {string} baseUrl - Public site root
+ * @returns {Object} Copy of the credential with a `proof`
+ */
+function signCredential(credential, privateKey, baseUrl) {
+    const { proof: previous, ...document } = credential;
+    // The suite copies the document context into the proof
+    const proofConfig = {
+        '@context': document['@context'],
+        type: 'DataIntegrityProof',
+        cryptosuite: 'ecdsa-jcs-2019',
+        verificationMethod: credentialUrls(baseUrl).key,
+        proofPurpose: 'assertionMethod'
+    };
+
+    const signature = crypto.sign('sha256', proofHashData(document, proofConfig), {
+        key: privateKey,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return { ...document, proof: { ...proofConfig, proofValue: `z${encodeBase58(signature)}` } };
+}
+
+module.exports = {
+    CREDENTIAL_CONTEXT,
+    achievementSlug,
+    buildAchievement,
+    buildCredential,
+    buildIdentity,
+    buildIssuerProfile,
+    buildKeyDocument,
+    signCredential
+};
@@ -0,0 +1,8 @@
+/**
+ * PTSC Certificate Verification System
+ * CSV reader/writer for the Node tooling (shared with the organiser pages, see csv.js)
+ */
+
+'use strict';
+
+module.exports = require('../../csv');
@@ -0,0 +1,81 @@
+/**
+ * PTSC Certificate Verification System
+ * certificates.json read/write helpers for the Node tooling
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+// Same formats as CERTIFICATE_ID_PATTERN / CERTIFICATE_KEY_PATTERN /
+// RECIPIENT_ID_PATTERN in script.js
+const ID_PATTERN = /^PTSC\d{4}-\d{4}$/;
+const KEY_PATTERN = /^[a-zA-Z0-9]{10}$/;
+const RECIPIENT_ID_PATTERN = /^R[0-9A-Z]{11}$/;
+
+// Fields left out of records listed by recipient ID (same list as
+// PUBLIC_RECORD_OMITTED_FIELDS in script.js). The key hash would let anyone
+// with the recipient ID guess keys offline, and the signature covers it, so
+// it cannot be checked without it.
+const PUBLIC_OMITTED_FIELDS = ['salt', 'keyHash', 'keyIterations', 'signature'];
+
+/**
+ * Read and sanity-check a certificate database
+ * @param {string} file - Path to certificates.json
+ * @returns {Object} Parsed database with a `certificates` array
+ */
+function readDatabase(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!data || !Array.isArray(data.certificates)) {
+        throw new Error(`${file} does not contain a "certificates" array`);
+    }
+
+    return data;
+}
+
+/**
+ * Collect localized recipient names from `name_<language>` CSV columns
+ * (e.g. name_hi) into the record's `nameLocalized` object
+ * @param {Object} row - Parsed CSV row
+ * @returns {Object|undefined} Names by language code, or undefined if there are none
+ */
+function localizedNamesFromRow(row) {
+    const names = {};
+    Object.keys(row).forEach(column => {
+        const match = /^name_([a-z]{2})$/.exec(column);
+        if (match && row[column].trim()) names[match[1]] = row[column].trim();
+    });
+
+    return Object.keys(names).length ? names : undefined;
+}
+
+/**
+ * Copy of a record without the fields that are not public
+ * @param {Object} record - Certificate record
+ * @returns {Object} Record without PUBLIC_OMITTED_FIELDS
+ */
+function publicRecord(record) {
+    const copy = { ...record };
+    PUBLIC_OMITTED_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+/**
+ * Write a certificate database using the repository's formatting
+ * @param {string} file - Destination path
+ * @param {Object} data - Database with a `certificates` array
+ */
+function writeDatabase(file, data) {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+module.exports = {
+    ID_PATTERN,
+    KEY_PATTERN,
+    RECIPIENT_ID_PATTERN,
+    localizedNamesFromRow,
+    publicRecord,
+    readDatabase,
+    writeDatabase
+};
@@ -0,0 +1,169 @@
+/**
+ * PTSC Certificate Verification System
+ * Hash-chained issuance log helpers for the Node tooling
+ *
+ * issuance-log.jsonl holds one event per line. Each event records the full
+ * certificate record after an issue, correction or revocation, and carries
+ * the SHA-256 of the previous event, so editing or removing an old event
+ * breaks every hash after it. `eventHash()` must match hashLogEvent() in
+ * script.js.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { canonicalize } = require('./signing');
+
+const LOG_ACTIONS = ['issue', 'correct', 'revoke'];
+
+// `previous` of the first event
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Hash of an event: SHA-256 of its canonical JSON without the `hash` field
+ * @param {Object} event - Log event
+ * @returns {string} Lowercase hex digest
+ */
+function eventHash(event) {
+    const { hash, ...body } = event;
+    return crypto.createHash('sha256').update(canonicalize(body), 'utf8').digest('hex');
+}
+
+/**
+ * Read a log file
+ * @param {string} file - Path to issuance-log.jsonl
+ * @returns {Object[]} Events in file order (empty if the file does not exist)
+ */
+function readLog(file) {
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${file} line ${number} is not valid JSON: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * Check that every event is well formed and chained to the one before it
+ * @param {Object[]} events - Events from readLog()
+ * @returns {Object} `{ intact, length, head, brokenAt, reason }`; `brokenAt`
+ *   is the 1-based position of the first bad event
+ */
+function verifyChain(events) {
+    let previous = GENESIS_HASH;
+
+    for (let i = 0; i < events.length; i++) {
+        const event = events[i];
+        let reason = null;
+
+        if (event.seq !== i + 1) {
+            reason = `expected seq ${i + 1}, found ${event.seq}`;
+        } else if (event.previous !== previous) {
+            reason = 'does not point to the event before it';
+        } else if (event.hash !== eventHash(event)) {
+            reason = 'hash does not match its content';
+        } else if (!LOG_ACTIONS.includes(event.action)) {
+            reason = `unknown action "${event.action}"`;
+        } else if (!event.record || event.record.id !== event.id) {
+            reason = 'record does not belong to the event ID';
+        }
+
+        if (reason) {
+            return { intact: false, length: events.length, head: previous, brokenAt: i + 1, reason };
+        }
+        previous = event.hash;
+    }
+
+    return { intact: true, length: events.length, head: previous, brokenAt: null, reason: null };
+}
+
+/**
+ * Replay the log into the current records
+ * @param {Object[]} events - Events from readLog()
+ * @returns {Map<string, Object>} Certificate ID -> latest record, in order of first issue
+ */
+function replayLog(events) {
+    const records = new Map();
+    events.forEach(event => records.set(event.id, event.record));
+    return records;
+}
+
+/**
+ * Work out the events that bring the log up to date with a database
+ * @param {Object[]} certificates - Records from certificates.json
+ * @param {Map<string, Object>} logged - Output of replayLog()
+ * @returns {Object[]} `{ action, id, record }` for new, changed and revoked records
+ */
+function diffDatabase(certificates, logged) {
+    const seen = new Set();
+    const changes = [];
+
+    certificates.forEach(record => {
+        if (seen.has(record.id)) {
+            throw new Error(`Duplicate certificate ID ${record.id} - run tools/lint-certificates.js`);
+        }
+        seen.add(record.id);
+
+        const previous = logged.get(record.id);
+        if (!previous) {
+            changes.push({ action: 'issue', id: record.id, record });
+        } else if (canonicalize(previous) !== canonicalize(record)) {
+            const revoked = record.revoked === true && previous.revoked !== true;
+            changes.push({ action: revoked ? 'revoke' : 'correct', id: record.id, record });
+        }
+    });
+
+    const removed = Array.from(logged.keys()).filter(id => !seen.has(id));
+    if (removed.length) {
+        throw new Error(`${removed.join(', ')} ${removed.length === 1 ? 'is' : 'are'} in the log but missing ` +
+            'from the database - revoke certificates instead of deleting them');
+    }
+
+    return changes;
+}
+
+/**
+ * Append events to the log, chaining each to the one before
+ * @param {string} file - Path to issuance-log.jsonl
+ * @param {Object[]} events - Existing events (must be intact)
+ * @param {Object[]} changes - `{ action, id, record }` from diffDatabase()
+ * @param {Object} [details] - `{ note, time }` recorded on every new event
+ * @returns {Object[]} The appended events
+ */
+function appendEvents(file, events, changes, details = {}) {
+    const time = details.time || new Date().toISOString();
+    let previous = events.length ? events[events.length - 1].hash : GENESIS_HASH;
+    let seq = events.length;
+
+    const appended = changes.map(change => {
+        const event = { seq: ++seq, time, action: change.action, id: change.id };
+        if (details.note) event.note = details.note;
+        event.record = change.record;
+        event.previous = previous;
+        event.hash = eventHash(event);
+        previous = event.hash;
+        return event;
+    });
+
+    fs.appendFileSync(file, appended.map(event => `${JSON.stringify(event)}\n`).join(''));
+    return appended;
+}
+
+module.exports = {
+    GENESIS_HASH,
+    LOG_ACTIONS,
+    appendEvents,
+    diffDatabase,
+    eventHash,
+    readLog,
+    replayLog,
+    verifyChain
+};
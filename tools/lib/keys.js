@@ -0,0 +1,140 @@
+/**
+ * PTSC Certificate Verification System
+ * Shared helpers for certificate key hashing and credential generation (Node tooling)
+ *
+ * The browser performs the same computation in `hashCertificateKey()`
+ * (script.js) - both sides must stay in sync.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const KEY_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const KEY_LENGTH = 10;
+
+// PBKDF2-HMAC-SHA256 rounds for new key hashes. Each record stores its own
+// count in `keyIterations`, so raising this only affects keys hashed later.
+const KEY_HASH_ITERATIONS = 600000;
+
+// Recipient IDs avoid look-alike characters (0/O, 1/I/L) so they can be read out
+const RECIPIENT_ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const RECIPIENT_ID_LENGTH = 11;
+
+/**
+ * Generate a random verification key matching ^[a-zA-Z0-9]{10}$
+ * @returns {string} New plaintext key
+ */
+function generateKey() {
+    let key = '';
+    for (let i = 0; i < KEY_LENGTH; i++) {
+        key += KEY_ALPHABET[crypto.randomInt(KEY_ALPHABET.length)];
+    }
+    return key;
+}
+
+/**
+ * Generate a random recipient ID matching ^R[0-9A-Z]{11}$
+ * @returns {string} New recipient ID
+ */
+function generateRecipientId() {
+    let id = 'R';
+    for (let i = 0; i < RECIPIENT_ID_LENGTH; i++) {
+        id += RECIPIENT_ID_ALPHABET[crypto.randomInt(RECIPIENT_ID_ALPHABET.length)];
+    }
+    return id;
+}
+
+/**
+ * Generate a random per-record salt
+ * @returns {string} 32-character hex salt
+ */
+function generateSalt() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Hash a certificate key with its ID and salt. A single hash round would let
+ * anyone holding the public database try every 10-character key offline, so
+ * keys are stretched with PBKDF2.
+ * @param {string} id - Certificate ID
+ * @param {string} key - Plaintext verification key
+ * @param {string} salt - Per-record salt (hex)
+ * @param {number} [iterations] - PBKDF2 rounds (default KEY_HASH_ITERATIONS)
+ * @returns {string} Hex-encoded PBKDF2-HMAC-SHA256 of `id:key`, 32 bytes
+ */
+function hashKey(id, key, salt, iterations = KEY_HASH_ITERATIONS) {
+    return crypto
+        .pbkdf2Sync(`${id.trim()}:${key.trim()}`, Buffer.from(salt, 'hex'), iterations, 32, 'sha256')
+        .toString('hex');
+}
+
+/**
+ * Hash a certificate key the way records without `keyIterations` were
+ * hashed: one SHA-256 round. Only used to check those older records.
+ * @param {string} id - Certificate ID
+ * @param {string} key - Plaintext verification key
+ * @param {string} salt - Per-record salt
+ * @returns {string} Hex-encoded SHA-256 digest of `id:key:salt`
+ */
+function legacyHashKey(id, key, salt) {
+    return crypto
+        .createHash('sha256')
+        .update(`${id.trim()}:${key.trim()}:${salt}`, 'utf8')
+        .digest('hex');
+}
+
+/**
+ * Hash a key for comparison with a stored record's `keyHash`
+ * @param {Object} record - Record with `id`, `salt` and optional `keyIterations`
+ * @param {string} key - Plaintext verification key
+ * @returns {string} Hex digest in the record's scheme
+ */
+function hashRecordKey(record, key) {
+    return record.keyIterations
+        ? hashKey(record.id, key, record.salt, record.keyIterations)
+        : legacyHashKey(record.id, key, record.salt);
+}
+
+/**
+ * hashRecordKey() without blocking: PBKDF2 runs on libuv's thread pool, so a
+ * server keeps answering other requests while a key is checked
+ * @param {Object} record - Record with `id`, `salt` and optional `keyIterations`
+ * @param {string} key - Plaintext verification key
+ * @returns {Promise<string>} Hex digest in the record's scheme
+ */
+async function hashRecordKeyAsync(record, key) {
+    if (!record.keyIterations) {
+        return legacyHashKey(record.id, key, record.salt);
+    }
+
+    const hash = await pbkdf2(`${record.id.trim()}:${key.trim()}`, Buffer.from(record.salt, 'hex'),
+        record.keyIterations, 32, 'sha256');
+    return hash.toString('hex');
+}
+
+/**
+ * Build the stored key fields of a record for a new key
+ * @param {string} id - Certificate ID
+ * @param {string} key - Plaintext verification key
+ * @returns {Object} `{ salt, keyIterations, keyHash }`
+ */
+function createKeyHash(id, key) {
+    const salt = generateSalt();
+    return { salt, keyIterations: KEY_HASH_ITERATIONS, keyHash: hashKey(id, key, salt) };
+}
+
+module.exports = {
+    KEY_HASH_ITERATIONS,
+    createKeyHash,
+    generateKey,
+    generateRecipientId,
+    generateSalt,
+    hashKey,
+    hashRecordKey,
+    hashRecordKeyAsync,
+    legacyHashKey
+};
@@ -0,0 +1,221 @@
+/**
+ * PTSC Certificate Verification System
+ * Small RGB raster and PNG encoder for generated images (Node tooling)
+ *
+ * Supports solid rectangles and anti-aliased polygons (non-zero winding),
+ * which is what text outlines from truetype.js need. PNGs are written with
+ * the built-in zlib module, so there are no dependencies.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+// Sub-scanlines per pixel row for vertical anti-aliasing
+const SAMPLES_PER_ROW = 4;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Parse a #rrggbb colour
+ * @param {string} color - Hex colour
+ * @returns {number[]} `[r, g, b]`
+ */
+function parseColor(color) {
+    const match = /^#([0-9a-f]{6})$/i.exec(color || '');
+    if (!match) throw new Error(`Expected a #rrggbb colour, found "${color}"`);
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Create a blank image
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {string} [background] - Fill colour
+ * @returns {Object} `{ width, height, pixels }` with RGB bytes
+ */
+function createImage(width, height, background = '#ffffff') {
+    const image = { width, height, pixels: Buffer.alloc(width * height * 3) };
+    fillRect(image, 0, 0, width, height, background);
+    return image;
+}
+
+/**
+ * Blend a colour into one pixel
+ * @param {Object} image - Image from createImage()
+ * @param {number} index - Pixel index (y * width + x)
+ * @param {number[]} rgb - Colour
+ * @param {number} alpha - Coverage from 0 to 1
+ */
+function blendPixel(image, index, rgb, alpha) {
+    const offset = index * 3;
+    for (let channel = 0; channel < 3; channel++) {
+        const current = image.pixels[offset + channel];
+        image.pixels[offset + channel] = Math.round(current + (rgb[channel] - current) * alpha);
+    }
+}
+
+/**
+ * Fill an axis-aligned rectangle (whole pixels)
+ * @param {Object} image - Image from createImage()
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {string} color - Hex colour
+ */
+function fillRect(image, x, y, width, height, color) {
+    const rgb = parseColor(color);
+    const left = Math.max(0, Math.round(x));
+    const right = Math.min(image.width, Math.round(x + width));
+    const top = Math.max(0, Math.round(y));
+    const bottom = Math.min(image.height, Math.round(y + height));
+
+    for (let row = top; row < bottom; row++) {
+        for (let column = left; column < right; column++) {
+            blendPixel(image, row * image.width + column, rgb, 1);
+        }
+    }
+}
+
+/**
+ * Fill polygons with anti-aliased edges using the non-zero winding rule
+ * @param {Object} image - Image from createImage()
+ * @param {number[][][]} polygons - Closed polygons of `[x, y]` points
+ * @param {string} color - Hex colour
+ */
+function fillPolygons(image, polygons, color) {
+    const rgb = parseColor(color);
+    const edges = [];
+    let top = Infinity;
+    let bottom = -Infinity;
+
+    polygons.forEach(polygon => {
+        polygon.forEach((from, i) => {
+            const to = polygon[(i + 1) % polygon.length];
+            if (from[1] === to[1]) return;
+            const [upper, lower, direction] = from[1] < to[1] ? [from, to, 1] : [to, from, -1];
+            edges.push({ x0: upper[0], y0: upper[1], y1: lower[1], slope: (lower[0] - upper[0]) / (lower[1] - upper[1]), direction });
+            top = Math.min(top, upper[1]);
+            bottom = Math.max(bottom, lower[1]);
+        });
+    });
+    if (!edges.length) return;
+
+    edges.sort((a, b) => a.y0 - b.y0);
+    const firstRow = Math.max(0, Math.floor(top));
+    const lastRow = Math.min(image.height - 1, Math.ceil(bottom));
+    const coverage = new Float32Array(image.width);
+    let active = [];
+    let next = 0;
+
+    for (let row = firstRow; row <= lastRow; row++) {
+        coverage.fill(0);
+        let touched = false;
+
+        for (let sample = 0; sample < SAMPLES_PER_ROW; sample++) {
+            const y = row + (sample + 0.5) / SAMPLES_PER_ROW;
+            while (next < edges.length && edges[next].y0 <= y) active.push(edges[next++]);
+            active = active.filter(edge => edge.y1 > y);
+
+            const crossings = active
+                .filter(edge => edge.y0 <= y)
+                .map(edge => ({ x: edge.x0 + (y - edge.y0) * edge.slope, direction: edge.direction }))
+                .sort((a, b) => a.x - b.x);
+
+            let winding = 0;
+            crossings.forEach((crossing, i) => {
+                winding += crossing.direction;
+                if (winding === 0 || i + 1 >= crossings.length) return;
+
+                // Add the covered part of each pixel in [start, end)
+                const start = Math.max(0, crossing.x);
+                const end = Math.min(image.width, crossings[i + 1].x);
+                for (let column = Math.floor(start); column < end; column++) {
+                    const covered = Math.min(end, column + 1) - Math.max(start, column);
+                    if (covered > 0) coverage[column] += covered / SAMPLES_PER_ROW;
+                }
+                touched = true;
+            });
+        }
+
+        if (!touched) continue;
+        for (let column = 0; column < image.width; column++) {
+            if (coverage[column] > 0) {
+                blendPixel(image, row * image.width + column, rgb, Math.min(1, coverage[column]));
+            }
+        }
+    }
+}
+
+/**
+ * Compute the CRC-32 of PNG chunk data
+ * @param {Buffer} buffer - Chunk type and data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build one PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function pngChunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode an image as an 8-bit RGB PNG
+ * @param {Object} image - Image from createImage()
+ * @returns {Buffer} PNG file
+ */
+function encodePNG(image) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // colour type: RGB
+
+    // Each row starts with filter type 0 (none)
+    const stride = image.width * 3;
+    const raw = Buffer.alloc((stride + 1) * image.height);
+    for (let row = 0; row < image.height; row++) {
+        image.pixels.copy(raw, row * (stride + 1) + 1, row * stride, (row + 1) * stride);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    createImage,
+    encodePNG,
+    fillPolygons,
+    fillRect,
+    parseColor
+};
@@ -0,0 +1,108 @@
+/**
+ * PTSC Certificate Verification System
+ * Recipient registry for the Node tooling
+ *
+ * Maps recipient emails to the stable `recipientId` stored on their
+ * certificates, so one member's certificates from different events can be
+ * listed together on portfolio.html. The registry holds email addresses and
+ * is kept out of the repository like the issuance mappings.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseCSV, toCSV } = require('./csv');
+const { RECIPIENT_ID_PATTERN } = require('./database');
+const { generateRecipientId } = require('./keys');
+
+const REGISTRY_COLUMNS = ['email', 'recipient_id', 'name'];
+
+/**
+ * Normalize an email address for registry lookups
+ * @param {string} email - Email from a roster
+ * @returns {string} Trimmed, lower-cased email
+ */
+function normalizeEmail(email) {
+    return email.trim().toLowerCase();
+}
+
+/**
+ * Read the recipient registry (a missing file is an empty registry)
+ * @param {string} file - Path to recipients.csv
+ * @returns {Map<string, Object>} Entries by normalized email
+ */
+function readRecipientRegistry(file) {
+    const registry = new Map();
+    if (!fs.existsSync(file)) return registry;
+
+    parseCSV(fs.readFileSync(file, 'utf8')).forEach((row, index) => {
+        if (!RECIPIENT_ID_PATTERN.test(row.recipient_id || '')) {
+            throw new Error(`${file} line ${index + 2}: "${row.recipient_id}" is not a valid recipient ID`);
+        }
+        registry.set(normalizeEmail(row.email || ''), {
+            email: row.email,
+            recipient_id: row.recipient_id,
+            name: row.name || ''
+        });
+    });
+
+    return registry;
+}
+
+/**
+ * Write the recipient registry (readable by the owner only)
+ * @param {string} file - Destination path
+ * @param {Map<string, Object>} registry - Entries by normalized email
+ */
+function writeRecipientRegistry(file, registry) {
+    fs.writeFileSync(file, toCSV(REGISTRY_COLUMNS, Array.from(registry.values())), { mode: 0o600 });
+}
+
+/**
+ * Register the recipient ID a roster gives for an email
+ * @param {Map<string, Object>} registry - Entries by normalized email
+ * @param {string} email - Recipient email
+ * @param {string} recipientId - Recipient ID from the roster
+ * @param {string} name - Recipient name (kept for reference)
+ * @throws {Error} If the email is registered with another ID
+ */
+function registerRecipientId(registry, email, recipientId, name) {
+    const normalized = normalizeEmail(email);
+    const known = registry.get(normalized);
+    if (known && known.recipient_id !== recipientId) {
+        throw new Error(`${email.trim()} is registered as ${known.recipient_id}, not ${recipientId}`);
+    }
+
+    if (!known) registry.set(normalized, { email: email.trim(), recipient_id: recipientId, name });
+}
+
+/**
+ * Look up a recipient's ID, registering a new one for unknown emails
+ * @param {Map<string, Object>} registry - Entries by normalized email
+ * @param {string} email - Recipient email
+ * @param {string} name - Recipient name (kept for reference)
+ * @returns {string} Recipient ID
+ */
+function recipientIdFor(registry, email, name) {
+    const normalized = normalizeEmail(email);
+    if (registry.has(normalized)) {
+        return registry.get(normalized).recipient_id;
+    }
+
+    const taken = new Set(Array.from(registry.values(), entry => entry.recipient_id));
+    let id;
+    do {
+        id = generateRecipientId();
+    } while (taken.has(id));
+
+    registry.set(normalized, { email: email.trim(), recipient_id: id, name });
+    return id;
+}
+
+module.exports = {
+    normalizeEmail,
+    readRecipientRegistry,
+    registerRecipientId,
+    writeRecipientRegistry,
+    recipientIdFor
+};
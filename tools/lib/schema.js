@@ -0,0 +1,162 @@
+/**
+ * PTSC Certificate Verification System
+ * Minimal JSON Schema validator for certificate.schema.json (Node tooling)
+ *
+ * The tools have no dependencies, so this implements only the keywords the
+ * repository's schema uses: $ref (local), type, properties, required,
+ * additionalProperties, propertyNames, items, pattern, format "date",
+ * minimum, dependentRequired and oneOf. Unsupported keywords are ignored.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'certificate.schema.json');
+
+/**
+ * Read the certificate schema shipped with the repository
+ * @param {string} [file] - Path to an alternative schema
+ * @returns {Object} Parsed schema
+ */
+function readSchema(file = SCHEMA_PATH) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Check that a YYYY-MM-DD string is a real calendar date
+ * @param {string} value - Date string
+ * @returns {boolean} True if the date exists
+ */
+function isCalendarDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year &&
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day;
+}
+
+/**
+ * Resolve a local "#/$defs/name" reference
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference string
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported $ref ${ref} - only local references are allowed`);
+    }
+
+    return ref.slice(2).split('/').reduce((node, part) => {
+        if (!node || !(part in node)) throw new Error(`Unresolvable $ref ${ref}`);
+        return node[part];
+    }, root);
+}
+
+/**
+ * Name the JSON type of a value the way JSON Schema does
+ * @param {*} value - Any JSON value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or sub-schema)
+ * @param {Object} [root] - Root schema for $ref resolution
+ * @param {string} [where] - JSON path of the value, for messages
+ * @returns {Object[]} `{ path, message }` for every violation (empty if valid)
+ */
+function validate(value, schema, root = schema, where = '$') {
+    if (schema.$ref) {
+        return validate(value, resolveRef(root, schema.$ref), root, where);
+    }
+
+    const errors = [];
+    const fail = message => errors.push({ path: where, message });
+    const type = jsonType(value);
+
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            fail(`must be ${allowed.join(' or ')}, found ${type}`);
+            return errors;
+        }
+    }
+
+    if (type === 'string') {
+        const describe = schema.description ? ` - expected ${schema.description}` : '';
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`"${value}" is not valid${describe}`);
+        } else if (schema.format === 'date' && !isCalendarDate(value)) {
+            fail(`"${value}" is not a real date${describe}`);
+        }
+    }
+
+    if ((type === 'integer' || type === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+        const describe = schema.description ? ` - expected ${schema.description}` : '';
+        fail(`${value} is too small${describe}`);
+    }
+
+    if (type === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validate(item, schema.items, root, `${where}[${index}]`));
+        });
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(name => {
+            if (!(name in value)) fail(`is missing "${name}"`);
+        });
+
+        Object.entries(schema.dependentRequired || {}).forEach(([name, needed]) => {
+            if (!(name in value)) return;
+            needed.filter(other => !(other in value))
+                .forEach(other => fail(`has "${name}" but is missing "${other}"`));
+        });
+
+        Object.keys(value).forEach(name => {
+            if (schema.propertyNames) {
+                validate(name, schema.propertyNames, root, where)
+                    .forEach(error => fail(`has field name ${error.message}`));
+            }
+
+            if (properties[name]) {
+                errors.push(...validate(value[name], properties[name], root, `${where}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                fail(`has unknown field "${name}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(value[name], schema.additionalProperties, root, `${where}.${name}`));
+            }
+        });
+    }
+
+    if (schema.oneOf) {
+        const passing = schema.oneOf.filter(option => validate(value, option, root, where).length === 0);
+        if (passing.length !== 1) {
+            fail(`must have ${schema.description || 'exactly one of the allowed shapes'}`);
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    SCHEMA_PATH,
+    isCalendarDate,
+    readSchema,
+    validate
+};
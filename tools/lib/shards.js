@@ -0,0 +1,28 @@
+/**
+ * PTSC Certificate Verification System
+ * Shard bucketing shared by the Node tooling
+ *
+ * Must match `shardPrefixForId()` in script.js.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Compute the shard prefix for a certificate ID
+ * @param {string} id - Certificate ID
+ * @param {number} prefixLength - Number of hex characters in the prefix
+ * @returns {string} Lower-case hex prefix of SHA-256(id)
+ */
+function shardPrefix(id, prefixLength) {
+    return crypto
+        .createHash('sha256')
+        .update(id.trim(), 'utf8')
+        .digest('hex')
+        .slice(0, prefixLength);
+}
+
+module.exports = {
+    shardPrefix
+};
@@ -0,0 +1,96 @@
+/**
+ * PTSC Certificate Verification System
+ * Record signing helpers (ECDSA P-256 / SHA-256) for the Node tooling
+ *
+ * Signatures are made over the canonical JSON of a record without its
+ * `signature` field and encoded as base64url IEEE P1363 (r || s), which is
+ * the format the Web Crypto API verifies in `verifyRecordSignature()`
+ * (script.js). `canonicalize()` must produce exactly the same output as
+ * `canonicalizeRecord()` in the browser.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value as JSON with object keys sorted recursively
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Build the exact bytes that get signed for a record
+ * @param {Object} record - Certificate record
+ * @returns {Buffer} UTF-8 canonical JSON without the signature field
+ */
+function signingPayload(record) {
+    const { signature, ...unsigned } = record;
+    return Buffer.from(canonicalize(unsigned), 'utf8');
+}
+
+/**
+ * Sign a certificate record
+ * @param {Object} record - Certificate record (any existing signature is replaced)
+ * @param {crypto.KeyObject} privateKey - ECDSA P-256 private key
+ * @returns {Object} Copy of the record with a `signature` field
+ */
+function signRecord(record, privateKey) {
+    const signature = crypto.sign('sha256', signingPayload(record), {
+        key: privateKey,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    const { signature: previous, ...unsigned } = record;
+    return { ...unsigned, signature: signature.toString('base64url') };
+}
+
+/**
+ * Verify a record signature
+ * @param {Object} record - Signed certificate record
+ * @param {crypto.KeyObject} publicKey - ECDSA P-256 public key
+ * @returns {boolean} True if the signature matches the record
+ */
+function verifyRecord(record, publicKey) {
+    if (!record.signature) return false;
+
+    return crypto.verify('sha256', signingPayload(record), {
+        key: publicKey,
+        dsaEncoding: 'ieee-p1363'
+    }, Buffer.from(record.signature, 'base64url'));
+}
+
+/**
+ * Load a PEM private key from disk
+ * @param {string} file - Path to a PKCS#8 PEM file
+ * @returns {crypto.KeyObject} Private key
+ */
+function loadPrivateKey(file) {
+    const key = crypto.createPrivateKey(require('fs').readFileSync(file, 'utf8'));
+    if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+        throw new Error(`${file} is not an ECDSA P-256 private key`);
+    }
+    return key;
+}
+
+module.exports = {
+    canonicalize,
+    signRecord,
+    verifyRecord,
+    loadPrivateKey
+};
@@ -0,0 +1,113 @@
+/**
+ * PTSC Certificate Verification System
+ * Certificate template lookup for the Node tooling
+ *
+ * `selectTemplate()` and DEFAULT_TEMPLATE must match the functions of the
+ * same name in script.js, so generated images use the wording and colours
+ * the certificate page shows.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const DEFAULT_TEMPLATE = {
+    id: 'default',
+    name: 'Certificate',
+    heading: '{type}',
+    wording: {
+        intro: 'This is to certify that',
+        body: 'has successfully completed the',
+        closing: 'organized by Programming and Tech Skill Club',
+        date: 'on {date}'
+    },
+    signatories: [
+        { name: '{issuer}', title: 'Club Coordinator' },
+        { name: 'Head of Department', title: 'Computer Science & Engineering' }
+    ],
+    theme: { primary: '#1a365d', secondary: '#2d4a6b', accent: '#d4af37' }
+};
+
+/**
+ * Read templates.json
+ * @param {string} file - Template catalogue path
+ * @returns {Object|null} Catalogue, or null if the file does not exist
+ */
+function readTemplates(file) {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Pick the template for a certificate: its own `template` ID first, then the
+ * template whose `types` include the certificate type, then the catalogue default
+ * @param {Object} certificate - Certificate record
+ * @param {Object|null} catalogue - templates.json contents
+ * @returns {Object} Template (always has an `id`)
+ */
+function selectTemplate(certificate, catalogue) {
+    const templates = (catalogue && catalogue.templates) || {};
+    const type = (certificate.type || '').trim().toLowerCase();
+
+    let id = certificate.template && templates[certificate.template] ? certificate.template : null;
+
+    if (!id) {
+        id = Object.keys(templates).find(templateId =>
+            (templates[templateId].types || []).some(candidate => candidate.toLowerCase() === type));
+    }
+
+    if (!id && catalogue && templates[catalogue.defaultTemplate]) {
+        id = catalogue.defaultTemplate;
+    }
+
+    if (!id) {
+        return DEFAULT_TEMPLATE;
+    }
+
+    const template = templates[id];
+    return {
+        ...DEFAULT_TEMPLATE,
+        ...template,
+        id,
+        wording: { ...DEFAULT_TEMPLATE.wording, ...template.wording },
+        theme: { ...DEFAULT_TEMPLATE.theme, ...template.theme },
+        signatories: template.signatories || DEFAULT_TEMPLATE.signatories
+    };
+}
+
+/**
+ * Format a YYYY-MM-DD date the way the certificate page does in English
+ * @param {string} date - Date string
+ * @returns {string} e.g. "March 15, 2025"
+ */
+function formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Replace {field} placeholders in template wording with certificate data
+ * @param {string} text - Template text
+ * @param {Object} certificate - Certificate record
+ * @returns {string} Text with placeholders filled
+ */
+function fillTemplateText(text, certificate) {
+    return (text || '').replace(/\{(\w+)\}/g, (match, field) => {
+        if (field === 'date') {
+            return certificate.date ? formatDate(certificate.date) : '';
+        }
+        return certificate[field] !== undefined ? String(certificate[field]) : '';
+    });
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    fillTemplateText,
+    formatDate,
+    readTemplates,
+    selectTemplate
+};
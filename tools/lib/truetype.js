@@ -0,0 +1,361 @@
+/**
+ * PTSC Certificate Verification System
+ * Minimal TrueType reader for drawing text in generated images (Node tooling)
+ *
+ * Reads glyph outlines (simple and composite), advance widths and the
+ * Unicode cmap of a .ttf file, which is enough to lay out Latin text left to
+ * right. There is no kerning, hinting or shaping, so scripts such as
+ * Devanagari cannot be drawn.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+// Line segments per quadratic curve when outlines are flattened
+const CURVE_STEPS = 8;
+
+/**
+ * Locate the tables of a font file
+ * @param {Buffer} data - Font file
+ * @returns {Map<string, number>} Table tag -> byte offset
+ */
+function readTableDirectory(data) {
+    const tables = new Map();
+    const count = data.readUInt16BE(4);
+    for (let i = 0; i < count; i++) {
+        const record = 12 + i * 16;
+        tables.set(data.toString('latin1', record, record + 4), data.readUInt32BE(record + 8));
+    }
+
+    ['head', 'hhea', 'hmtx', 'maxp', 'cmap', 'loca', 'glyf'].forEach(tag => {
+        if (!tables.has(tag)) throw new Error(`Font has no ${tag} table (only TrueType outlines are supported)`);
+    });
+    return tables;
+}
+
+/**
+ * Build a code point -> glyph index lookup from the best Unicode cmap subtable
+ * @param {Buffer} data - Font file
+ * @param {number} cmap - Offset of the cmap table
+ * @returns {Function} Lookup returning 0 (.notdef) for unmapped characters
+ */
+function readCharacterMap(data, cmap) {
+    const subtables = [];
+    for (let i = 0; i < data.readUInt16BE(cmap + 2); i++) {
+        const record = cmap + 4 + i * 8;
+        subtables.push({
+            platform: data.readUInt16BE(record),
+            encoding: data.readUInt16BE(record + 2),
+            offset: cmap + data.readUInt32BE(record + 4)
+        });
+    }
+
+    const full = subtables.find(table => data.readUInt16BE(table.offset) === 12 &&
+        (table.platform === 0 || (table.platform === 3 && table.encoding === 10)));
+    if (full) {
+        const groups = [];
+        const count = data.readUInt32BE(full.offset + 12);
+        for (let i = 0; i < count; i++) {
+            const group = full.offset + 16 + i * 12;
+            groups.push([data.readUInt32BE(group), data.readUInt32BE(group + 4), data.readUInt32BE(group + 8)]);
+        }
+        return codePoint => {
+            const group = groups.find(([start, end]) => codePoint >= start && codePoint <= end);
+            return group ? group[2] + codePoint - group[0] : 0;
+        };
+    }
+
+    const basic = subtables.find(table => data.readUInt16BE(table.offset) === 4 &&
+        (table.platform === 0 || (table.platform === 3 && table.encoding === 1)));
+    if (!basic) throw new Error('Font has no Unicode character map');
+
+    const segments = data.readUInt16BE(basic.offset + 6) / 2;
+    const ends = basic.offset + 14;
+    const starts = ends + segments * 2 + 2;
+    const deltas = starts + segments * 2;
+    const rangeOffsets = deltas + segments * 2;
+
+    return codePoint => {
+        if (codePoint > 0xFFFF) return 0;
+        for (let i = 0; i < segments; i++) {
+            if (codePoint > data.readUInt16BE(ends + i * 2)) continue;
+
+            const start = data.readUInt16BE(starts + i * 2);
+            if (codePoint < start) return 0;
+
+            const delta = data.readInt16BE(deltas + i * 2);
+            const rangeOffset = data.readUInt16BE(rangeOffsets + i * 2);
+            if (rangeOffset === 0) return (codePoint + delta) & 0xFFFF;
+
+            const glyph = data.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2);
+            return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+        }
+        return 0;
+    };
+}
+
+/**
+ * Turn TrueType contour points (on- and off-curve) into closed polygons
+ * @param {Object[]} points - `{ x, y, onCurve }` in font units
+ * @param {number[]} endPoints - Index of the last point of each contour
+ * @returns {number[][][]} Polygons of `[x, y]` points
+ */
+function flattenContours(points, endPoints) {
+    const polygons = [];
+    let first = 0;
+
+    endPoints.forEach(last => {
+        const contour = points.slice(first, last + 1);
+        first = last + 1;
+        if (contour.length < 2) return;
+
+        // Start on an on-curve point, or midway between two off-curve points
+        let startIndex = contour.findIndex(point => point.onCurve);
+        let start;
+        if (startIndex === -1) {
+            start = { x: (contour[0].x + contour[1].x) / 2, y: (contour[0].y + contour[1].y) / 2 };
+            startIndex = 0;
+        } else {
+            start = contour[startIndex];
+            startIndex += 1;
+        }
+
+        const polygon = [[start.x, start.y]];
+        let current = start;
+        let control = null;
+
+        const curveTo = (ctrl, end) => {
+            for (let step = 1; step <= CURVE_STEPS; step++) {
+                const t = step / CURVE_STEPS;
+                const u = 1 - t;
+                polygon.push([
+                    u * u * current.x + 2 * u * t * ctrl.x + t * t * end.x,
+                    u * u * current.y + 2 * u * t * ctrl.y + t * t * end.y
+                ]);
+            }
+            current = end;
+        };
+
+        for (let i = 0; i < contour.length; i++) {
+            const point = contour[(startIndex + i) % contour.length];
+            if (point.onCurve) {
+                if (control) {
+                    curveTo(control, point);
+                    control = null;
+                } else {
+                    polygon.push([point.x, point.y]);
+                    current = point;
+                }
+            } else if (control) {
+                // Two off-curve points imply an on-curve point between them
+                const middle = { x: (control.x + point.x) / 2, y: (control.y + point.y) / 2 };
+                curveTo(control, middle);
+                control = point;
+            } else {
+                control = point;
+            }
+        }
+
+        if (control) curveTo(control, start);
+        polygons.push(polygon);
+    });
+
+    return polygons;
+}
+
+/**
+ * Load a TrueType font
+ * @param {string} file - Path to a .ttf file
+ * @returns {Object} `{ unitsPerEm, glyphIndex(codePoint), advance(glyph), outline(glyph) }`;
+ *   outlines are polygons in font units with y pointing up
+ */
+function loadFont(file) {
+    const data = fs.readFileSync(file);
+    const tables = readTableDirectory(data);
+
+    const head = tables.get('head');
+    const unitsPerEm = data.readUInt16BE(head + 18);
+    const longOffsets = data.readInt16BE(head + 50) === 1;
+    const glyphCount = data.readUInt16BE(tables.get('maxp') + 4);
+    const metricCount = data.readUInt16BE(tables.get('hhea') + 34);
+    const hmtx = tables.get('hmtx');
+    const loca = tables.get('loca');
+    const glyf = tables.get('glyf');
+    const glyphIndex = readCharacterMap(data, tables.get('cmap'));
+    const outlines = new Map();
+
+    const glyphOffset = glyph => (longOffsets
+        ? data.readUInt32BE(loca + glyph * 4)
+        : data.readUInt16BE(loca + glyph * 2) * 2);
+
+    const advance = glyph => data.readUInt16BE(hmtx + Math.min(glyph, metricCount - 1) * 4);
+
+    /**
+     * Read a glyph's points, resolving composite glyphs into their parts
+     * @param {number} glyph - Glyph index
+     * @param {number} depth - Composite nesting depth (guards against loops)
+     * @returns {Object} `{ points, endPoints }`
+     */
+    function readPoints(glyph, depth = 0) {
+        const empty = { points: [], endPoints: [] };
+        if (glyph >= glyphCount || depth > 8) return empty;
+
+        const start = glyphOffset(glyph);
+        if (glyphOffset(glyph + 1) === start) return empty;
+
+        let offset = glyf + start;
+        const contourCount = data.readInt16BE(offset);
+        offset += 10;
+
+        if (contourCount >= 0) {
+            const endPoints = [];
+            for (let i = 0; i < contourCount; i++) endPoints.push(data.readUInt16BE(offset + i * 2));
+            offset += contourCount * 2;
+            offset += 2 + data.readUInt16BE(offset);
+
+            const pointCount = contourCount ? endPoints[contourCount - 1] + 1 : 0;
+            const flags = [];
+            while (flags.length < pointCount) {
+                const flag = data.readUInt8(offset++);
+                flags.push(flag);
+                if (flag & 8) {
+                    const repeat = data.readUInt8(offset++);
+                    for (let i = 0; i < repeat; i++) flags.push(flag);
+                }
+            }
+
+            const readCoordinates = (shortBit, sameBit) => {
+                const values = [];
+                let value = 0;
+                flags.forEach(flag => {
+                    if (flag & shortBit) {
+                        const delta = data.readUInt8(offset++);
+                        value += flag & sameBit ? delta : -delta;
+                    } else if (!(flag & sameBit)) {
+                        value += data.readInt16BE(offset);
+                        offset += 2;
+                    }
+                    values.push(value);
+                });
+                return values;
+            };
+
+            const xs = readCoordinates(2, 16);
+            const ys = readCoordinates(4, 32);
+            const points = flags.map((flag, i) => ({ x: xs[i], y: ys[i], onCurve: Boolean(flag & 1) }));
+            return { points, endPoints };
+        }
+
+        // Composite glyph: transformed copies of other glyphs
+        const result = { points: [], endPoints: [] };
+        let more = true;
+        while (more) {
+            const flags = data.readUInt16BE(offset);
+            const component = data.readUInt16BE(offset + 2);
+            offset += 4;
+
+            let dx;
+            let dy;
+            if (flags & 1) {
+                dx = data.readInt16BE(offset);
+                dy = data.readInt16BE(offset + 2);
+                offset += 4;
+            } else {
+                dx = data.readInt8(offset);
+                dy = data.readInt8(offset + 1);
+                offset += 2;
+            }
+            // Point-matching placement (ARGS_ARE_XY_VALUES unset) is rare; place at the origin
+            if (!(flags & 2)) {
+                dx = 0;
+                dy = 0;
+            }
+
+            let [a, b, c, d] = [1, 0, 0, 1];
+            const f2dot14 = at => data.readInt16BE(at) / 16384;
+            if (flags & 8) {
+                a = d = f2dot14(offset);
+                offset += 2;
+            } else if (flags & 0x40) {
+                a = f2dot14(offset);
+                d = f2dot14(offset + 2);
+                offset += 4;
+            } else if (flags & 0x80) {
+                [a, b, c, d] = [f2dot14(offset), f2dot14(offset + 2), f2dot14(offset + 4), f2dot14(offset + 6)];
+                offset += 8;
+            }
+
+            const part = readPoints(component, depth + 1);
+            const base = result.points.length;
+            part.points.forEach(point => result.points.push({
+                x: a * point.x + c * point.y + dx,
+                y: b * point.x + d * point.y + dy,
+                onCurve: point.onCurve
+            }));
+            part.endPoints.forEach(end => result.endPoints.push(base + end));
+
+            more = Boolean(flags & 0x20);
+        }
+        return result;
+    }
+
+    return {
+        unitsPerEm,
+        glyphIndex,
+        advance,
+        outline(glyph) {
+            if (!outlines.has(glyph)) {
+                const { points, endPoints } = readPoints(glyph);
+                outlines.set(glyph, flattenContours(points, endPoints));
+            }
+            return outlines.get(glyph);
+        }
+    };
+}
+
+/**
+ * Width of a line of text
+ * @param {Object} font - Font from loadFont()
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in pixels
+ * @returns {number} Width in pixels
+ */
+function measureText(font, text, size) {
+    let units = 0;
+    for (const character of text) {
+        units += font.advance(font.glyphIndex(character.codePointAt(0)));
+    }
+    return units * size / font.unitsPerEm;
+}
+
+/**
+ * Outline a line of text as polygons in image coordinates (y pointing down)
+ * @param {Object} font - Font from loadFont()
+ * @param {string} text - Text to draw
+ * @param {number} x - Left edge in pixels
+ * @param {number} baseline - Baseline in pixels
+ * @param {number} size - Font size in pixels
+ * @returns {number[][][]} Polygons for fillPolygons()
+ */
+function textPolygons(font, text, x, baseline, size) {
+    const scale = size / font.unitsPerEm;
+    const polygons = [];
+    let penX = x;
+
+    for (const character of text) {
+        const glyph = font.glyphIndex(character.codePointAt(0));
+        font.outline(glyph).forEach(polygon => {
+            polygons.push(polygon.map(([px, py]) => [penX + px * scale, baseline - py * scale]));
+        });
+        penX += font.advance(glyph) * scale;
+    }
+
+    return polygons;
+}
+
+module.exports = {
+    loadFont,
+    measureText,
+    textPolygons
+};
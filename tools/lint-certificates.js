@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * PTSC Certificate Verification System
+ * Check certificates.json against certificate.schema.json and the site's rules
+ *
+ * Usage:
+ *   node tools/lint-certificates.js [database] [--templates templates.json] [--keys issued.csv]
+ *
+ * Reports schema violations (missing fields, malformed IDs, keys that break
+ * the 10-character rule, dates that do not exist, unknown fields), duplicate
+ * IDs, and types or template IDs that templates.json does not know. With
+ * `--keys`, also checks an id,key CSV (e.g. an issuance mapping) against the
+ * stored key hashes. Exits with status 1 if there are errors, so it can run
+ * before every commit or in CI; warnings alone do not fail.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./lib/csv');
+const { KEY_PATTERN } = require('./lib/database');
+const { hashRecordKey } = require('./lib/keys');
+const { readSchema, validate } = require('./lib/schema');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { input: 'certificates.json', templates: 'templates.json', keys: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--templates') {
+            options.templates = argv[++i];
+        } else if (arg === '--keys') {
+            options.keys = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage: node tools/lint-certificates.js [database] [--templates templates.json] [--keys issued.csv]');
+    console.log('');
+    console.log('  database      Path to certificates.json (default: certificates.json)');
+    console.log('  --templates   Template catalogue used to check types (default: templates.json)');
+    console.log('  --keys        CSV with id and key columns to check against the stored hashes');
+}
+
+/**
+ * Describe where in the database a schema error is, using the certificate ID
+ * @param {string} where - JSON path from validate(), e.g. $.certificates[2].date
+ * @param {Object[]} certificates - Records, for ID lookup
+ * @returns {string} Location such as "PTSC2025-0123 date" or "record #3"
+ */
+function describeLocation(where, certificates) {
+    const match = /^\$\.certificates\[(\d+)\]\.?(.*)$/.exec(where);
+    if (!match) return where === '$' ? 'database' : where.replace(/^\$\./, '');
+
+    const index = Number(match[1]);
+    const record = certificates[index];
+    const label = record && typeof record.id === 'string' && record.id.trim()
+        ? record.id.trim()
+        : `record #${index + 1}`;
+    return match[2] ? `${label} ${match[2]}` : label;
+}
+
+/**
+ * Load the type -> template lookup from templates.json
+ * @param {string} file - Template catalogue path
+ * @returns {Object|null} `{ templates: Set, types: Set }`, or null if the file is missing
+ */
+function loadTemplateNames(file) {
+    if (!fs.existsSync(file)) return null;
+
+    const catalogue = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const templates = catalogue.templates || {};
+    const types = new Set();
+    Object.values(templates).forEach(template => {
+        (template.types || []).forEach(type => types.add(type.toLowerCase()));
+    });
+
+    return { templates: new Set(Object.keys(templates)), types };
+}
+
+/**
+ * Run every check on a database
+ * @param {Object} data - Parsed database
+ * @param {Object|null} templateNames - Result of loadTemplateNames()
+ * @returns {Object} `{ errors, warnings }`, each a list of `{ where, message }`
+ */
+function lintDatabase(data, templateNames) {
+    const errors = [];
+    const warnings = [];
+    const certificates = data && Array.isArray(data.certificates) ? data.certificates : [];
+
+    validate(data, readSchema()).forEach(error => {
+        errors.push({ where: describeLocation(error.path, certificates), message: error.message });
+    });
+
+    // The site refuses every copy of a duplicated ID, so both certificates stop verifying
+    const positions = new Map();
+    certificates.forEach((cert, index) => {
+        if (!cert || typeof cert.id !== 'string') return;
+        const id = cert.id.trim();
+        if (!positions.has(id)) positions.set(id, []);
+        positions.get(id).push(index + 1);
+    });
+    positions.forEach((indexes, id) => {
+        if (indexes.length > 1) {
+            errors.push({ where: id, message: `duplicate ID in records #${indexes.join(', #')}` });
+        }
+    });
+
+    certificates.forEach((cert, index) => {
+        if (!cert || typeof cert !== 'object') return;
+        const where = describeLocation(`$.certificates[${index}]`, certificates);
+
+        if (templateNames && cert.template && !templateNames.templates.has(cert.template)) {
+            errors.push({ where, message: `unknown template "${cert.template}"` });
+        } else if (templateNames && !cert.template && typeof cert.type === 'string' &&
+            !templateNames.types.has(cert.type.trim().toLowerCase())) {
+            errors.push({ where, message: `unknown type "${cert.type}" - add it to a template's "types" or set "template"` });
+        }
+
+        if (cert.key) {
+            warnings.push({ where, message: 'plaintext key is still stored - run tools/hash-keys.js' });
+        } else if (cert.keyHash && !cert.keyIterations) {
+            warnings.push({ where, message: 'key hash is a single SHA-256 round - put its key back and run tools/hash-keys.js to rehash it with PBKDF2' });
+        }
+        if (!cert.signature) {
+            warnings.push({ where, message: 'unsigned - run tools/sign-certificates.js sign' });
+        }
+        if (cert.expiresOn && cert.date && cert.expiresOn < cert.date) {
+            warnings.push({ where, message: `expires (${cert.expiresOn}) before it was issued (${cert.date})` });
+        }
+        if ((cert.revokedOn || cert.revocationReason) && cert.revoked !== true) {
+            warnings.push({ where, message: 'has revocation details but "revoked" is not true' });
+        }
+    });
+
+    return { errors, warnings };
+}
+
+/**
+ * Check an id,key CSV against the database
+ * @param {string} file - CSV path
+ * @param {Object[]} certificates - Database records
+ * @returns {Object[]} Errors as `{ where, message }`
+ */
+function lintKeys(file, certificates) {
+    const rows = parseCSV(fs.readFileSync(file, 'utf8'));
+    const errors = [];
+
+    // Duplicates are reported by lintDatabase(); check keys against the first copy
+    const byId = new Map();
+    certificates.forEach(cert => {
+        if (cert && typeof cert.id === 'string' && !byId.has(cert.id.trim())) {
+            byId.set(cert.id.trim(), cert);
+        }
+    });
+
+    rows.forEach((row, index) => {
+        const id = (row.id || '').trim();
+        const key = (row.key || '').trim();
+        const where = `${path.basename(file)} line ${index + 2}`;
+
+        if (!id || !key) {
+            errors.push({ where, message: 'needs both an id and a key' });
+        } else if (!KEY_PATTERN.test(key)) {
+            errors.push({ where, message: `key for ${id} must be exactly 10 letters or digits` });
+        } else if (!byId.has(id)) {
+            errors.push({ where, message: `${id} is not in the database` });
+        } else {
+            const cert = byId.get(id);
+            const matches = cert.key
+                ? cert.key === key
+                : cert.salt && cert.keyHash && hashRecordKey(cert, key) === cert.keyHash.toLowerCase();
+            if (!matches) errors.push({ where, message: `key does not match ${id}` });
+        }
+    });
+
+    return errors;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    // Read directly rather than with readDatabase() so a missing array is reported, not thrown
+    const data = JSON.parse(fs.readFileSync(path.resolve(options.input), 'utf8'));
+    const templateNames = loadTemplateNames(path.resolve(options.templates));
+    const { errors, warnings } = lintDatabase(data, templateNames);
+
+    if (options.keys) {
+        errors.push(...lintKeys(path.resolve(options.keys), (data && data.certificates) || []));
+    }
+
+    warnings.forEach(warning => console.log(`warning  ${warning.where}: ${warning.message}`));
+    errors.forEach(error => console.log(`error    ${error.where}: ${error.message}`));
+
+    const count = data && Array.isArray(data.certificates) ? data.certificates.length : 0;
+    console.log(`${options.input}: ${count} record(s), ${errors.length} error(s), ${warnings.length} warning(s)`);
+    if (!templateNames) {
+        console.log(`${options.templates} not found - types were not checked`);
+    }
+
+    if (errors.length) {
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * PTSC Certificate Verification System
+ * Sign certificate records with the club's ECDSA P-256 private key
+ *
+ * Usage:
+ *   node tools/sign-certificates.js keygen --out club-private.pem
+ *   node tools/sign-certificates.js sign <recipients.csv|database.json> --key club-private.pem [--out file]
+ *
+ * `keygen` creates a new key pair and prints the public JWK to paste into
+ * SIGNING_PUBLIC_KEY in script.js. `sign` reads a CSV of recipients
+ * (id,key,name,event,type,date,issuer, optionally recipient_id and localized
+ * names such as name_hi) or a JSON database and writes signed records.
+ * Plaintext keys are hashed before signing so the signature covers the
+ * stored key hash. Any change to a record afterwards invalidates its
+ * signature - re-run `sign` on the database after editing it.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./lib/csv');
+const { localizedNamesFromRow } = require('./lib/database');
+const { createKeyHash } = require('./lib/keys');
+const { signRecord, loadPrivateKey } = require('./lib/signing');
+
+// Columns copied from a recipients CSV into the public record
+const CSV_FIELDS = ['id', 'name', 'event', 'type', 'date', 'issuer'];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { command: argv[0], input: null, key: null, output: null };
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--key') {
+            options.key = argv[++i];
+        } else if (arg === '--out') {
+            options.output = argv[++i];
+        } else {
+            options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node tools/sign-certificates.js keygen --out club-private.pem');
+    console.log('  node tools/sign-certificates.js sign <recipients.csv|database.json> --key club-private.pem [--out file]');
+}
+
+/**
+ * Replace a plaintext key with its salted hash
+ * @param {Object} record - Certificate record
+ * @returns {Object} Record without a plaintext key
+ */
+function hashPlaintextKey(record) {
+    if (!record.key) return record;
+
+    const { key, ...rest } = record;
+    return { ...rest, ...createKeyHash(record.id, key) };
+}
+
+/**
+ * Load records from a recipients CSV or a JSON database
+ * @param {string} file - Input path
+ * @returns {Object} `{ data, records }` where `data` is the JSON wrapper (if any)
+ */
+function loadRecords(file) {
+    const text = fs.readFileSync(file, 'utf8');
+
+    if (path.extname(file).toLowerCase() === '.csv') {
+        const records = parseCSV(text).map(row => {
+            const record = {};
+            CSV_FIELDS.forEach(field => {
+                if (row[field]) record[field] = row[field];
+            });
+            if (row.recipient_id) record.recipientId = row.recipient_id;
+            const nameLocalized = localizedNamesFromRow(row);
+            if (nameLocalized) record.nameLocalized = nameLocalized;
+            if (row.key) record.key = row.key;
+            return record;
+        });
+        return { data: null, records };
+    }
+
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data.certificates;
+    if (!Array.isArray(records)) {
+        throw new Error(`${file} does not contain a "certificates" array`);
+    }
+    return { data: Array.isArray(data) ? null : data, records };
+}
+
+function keygen(options) {
+    if (!options.output) {
+        throw new Error('keygen requires --out <file> for the private key');
+    }
+    if (fs.existsSync(options.output)) {
+        throw new Error(`${options.output} already exists - refusing to overwrite a private key`);
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    fs.writeFileSync(options.output, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+    const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+    console.log(`Wrote private key to ${options.output} - keep it secret and out of the repository.`);
+    console.log('Paste this public key into SIGNING_PUBLIC_KEY in script.js:');
+    console.log(JSON.stringify({ kty, crv, x, y }, null, 4));
+}
+
+function sign(options) {
+    if (!options.input || !options.key) {
+        throw new Error('sign requires an input file and --key <private key>');
+    }
+
+    const privateKey = loadPrivateKey(options.key);
+    const { data, records } = loadRecords(options.input);
+
+    const signed = records.map(record => {
+        if (!record.id) {
+            throw new Error('Every record needs an "id" before it can be signed');
+        }
+        return signRecord(hashPlaintextKey(record), privateKey);
+    });
+
+    const output = data ? { ...data, certificates: signed } : { certificates: signed };
+    const json = JSON.stringify(output, null, 2) + '\n';
+
+    if (options.output) {
+        fs.writeFileSync(options.output, json);
+        console.error(`Signed ${signed.length} record(s) into ${options.output}`);
+    } else {
+        process.stdout.write(json);
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.command === 'keygen') {
+        keygen(options);
+    } else if (options.command === 'sign') {
+        sign(options);
+    } else {
+        printUsage();
+        process.exit(options.command ? 1 : 0);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
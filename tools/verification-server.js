@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * PTSC Certificate Verification System
+ * Reference REST verification server with failed-attempt limits
+ *
+ * Usage:
+ *   node tools/verification-server.js [database] [--port 8787] [--host 127.0.0.1]
+ *       [--allow-origin *] [--site .]
+ *
+ * Implements the contract of the `rest` backend in script.js over
+ * certificates.json (re-read whenever the file changes):
+ *
+ *   GET /api/certificates/<id>?key=<key>
+ *     200 { certificate }                       ID and key match
+ *     404 { error: 'not-found' }                No certificate with that ID
+ *     403 { error: 'key-mismatch' }             Wrong key
+ *     428 { error: 'challenge-required', challenge, difficulty }
+ *                                               Repeat the request with
+ *                                               `&challenge=<challenge>&proof=<nonce>`
+ *     429 { error: 'rate-limited', retryAfter } Wait `retryAfter` seconds (also
+ *                                               sent as Retry-After)
+ *
+ *   GET /api/recipients/<recipient id>
+ *     200 { certificates }                      Records of the recipient (may be empty)
+ *                                               without salt, keyHash,
+ *                                               keyIterations or signature
+ *
+ * Failed key attempts are counted per client address with the policy in
+ * lib/attempt-limits.js and kept in memory only.
+ *
+ * With --site the server also serves the pages from that directory. Only the
+ * files in PUBLIC_SITE_FILES are served, so key hashes are only reachable
+ * through the rate-limited API and nothing else kept beside the site (keys,
+ * CSV exports) is exposed. Share pages and per-certificate Open Badges
+ * credentials are not served either: they sit at sequential IDs and name the
+ * recipient, so serving them would let anyone list the database. Set VERIFICATION_ENDPOINT
+ * in script.js to 'api' for that setup, or to `http://<host>:<port>/api` when
+ * the pages are hosted elsewhere.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+    ATTEMPT_RESET_MS,
+    backoffDelay,
+    challengeDifficulty,
+    checkProofOfWork,
+    generateChallenge
+} = require('./lib/attempt-limits');
+const { ID_PATTERN, KEY_PATTERN, RECIPIENT_ID_PATTERN, publicRecord, readDatabase } = require('./lib/database');
+const { hashRecordKeyAsync } = require('./lib/keys');
+
+const CERTIFICATE_ROUTE = /^\/api\/certificates\/([^/]+)$/;
+const RECIPIENT_ROUTE = /^\/api\/recipients\/([^/]+)$/;
+
+// Files of the site that are served. Anything else in the directory - the
+// database, shards/ and issuance-log.jsonl (which would let visitors check
+// keys without the API), share/ and credentials/<id>.json (names by
+// certificate ID), private keys, CSV exports, tools/, dotfiles - is not
+const PUBLIC_SITE_FILES = [
+    /^[\w-]+\.html$/,
+    /^(style\.css|script\.js|csv\.js|batch\.js|admin\.js|sw\.js|templates\.json|manifest\.webmanifest)$/,
+    /^[\w-]+-logo\.svg$/,
+    /^(locales|vendor|icons)\/([\w-]+\/)*[\w-][\w.-]*$/,
+    /^credentials\/(issuer|issuer-key|achievements\/[\w-]+)\.json$/
+];
+
+const CONTENT_TYPES = {
+    '.css': 'text/css; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.jpg': 'image/jpeg',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ttf': 'font/ttf',
+    '.webmanifest': 'application/manifest+json',
+    '.woff2': 'font/woff2'
+};
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { input: 'certificates.json', port: 8787, host: '127.0.0.1', allowOrigin: '*', site: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        } else if (arg === '--host') {
+            options.host = argv[++i];
+        } else if (arg === '--allow-origin') {
+            options.allowOrigin = argv[++i];
+        } else if (arg === '--site') {
+            options.site = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage: node tools/verification-server.js [database] [--port 8787] [--host 127.0.0.1] [--allow-origin *] [--site .]');
+    console.log('');
+    console.log('  database        Path to certificates.json (default: certificates.json)');
+    console.log('  --port          Port to listen on (default: 8787)');
+    console.log('  --host          Address to listen on (default: 127.0.0.1)');
+    console.log('  --allow-origin  Value of Access-Control-Allow-Origin, i.e. the site origin (default: *)');
+    console.log('  --site          Also serve the pages from this directory, without the database files');
+}
+
+/**
+ * Keep certificates.json in memory, reloading it when the file changes
+ * @param {string} file - Path to certificates.json
+ * @returns {function(): Map<string, Object>} Returns the records by ID
+ */
+function watchDatabase(file) {
+    let loadedAt = null;
+    let records = new Map();
+
+    return () => {
+        const modified = fs.statSync(file).mtimeMs;
+        if (modified !== loadedAt) {
+            records = new Map(readDatabase(file).certificates
+                .filter(record => record && typeof record.id === 'string')
+                .map(record => [record.id.trim(), record]));
+            loadedAt = modified;
+            console.log(`Loaded ${records.size} record(s) from ${file}`);
+        }
+        return records;
+    };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Decode a path segment
+ * @param {string} segment - URL-encoded segment
+ * @returns {string} Decoded and trimmed text ('' if the escape is malformed)
+ */
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment).trim();
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Check whether a key matches a record without leaking timing
+ * @param {Object} record - Certificate record
+ * @param {string} key - Key from the request
+ * @returns {Promise<boolean>} True if the key matches
+ */
+async function keyMatches(record, key) {
+    if (typeof record.keyHash !== 'string' || typeof record.salt !== 'string' || !/^[0-9a-fA-F]{64}$/.test(record.keyHash)) {
+        return false;
+    }
+    const expected = Buffer.from(record.keyHash.toLowerCase(), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(await hashRecordKeyAsync(record, key), 'hex'));
+}
+
+/**
+ * Serve a file of the site directory
+ * @param {http.ServerResponse} res - Response
+ * @param {string} root - Site directory
+ * @param {string} pathname - Decoded request path
+ */
+function serveSiteFile(res, root, pathname) {
+    const relative = path.posix.normalize(pathname === '/' ? 'index.html' : pathname.replace(/^\/+/, ''));
+    const file = path.resolve(root, relative);
+
+    if (relative.startsWith('..') || !file.startsWith(path.resolve(root) + path.sep) ||
+        !PUBLIC_SITE_FILES.some(pattern => pattern.test(relative)) ||
+        !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).on('error', () => res.destroy()).pipe(res);
+}
+
+/**
+ * Build the request handler
+ * @param {function(): Map<string, Object>} getRecords - From watchDatabase()
+ * @param {Object} options - Parsed options
+ * @returns {function(http.IncomingMessage, http.ServerResponse)} Handler
+ */
+function createHandler(getRecords, options) {
+    // Client address -> { failures, lastFailureAt, challenge }
+    const clients = new Map();
+    // Client address -> last queued key check. A client's checks run one at
+    // a time, so requests sent together still each see the failures of the
+    // ones before them.
+    const checks = new Map();
+
+    const clientState = (address, now) => {
+        const state = clients.get(address);
+        if (state && now - state.lastFailureAt < ATTEMPT_RESET_MS) return state;
+
+        const fresh = { failures: 0, lastFailureAt: 0, challenge: null };
+        clients.set(address, fresh);
+        return fresh;
+    };
+
+    // Forget quiet clients so the map does not grow without bound
+    setInterval(() => {
+        const now = Date.now();
+        clients.forEach((state, address) => {
+            if (now - state.lastFailureAt >= ATTEMPT_RESET_MS) clients.delete(address);
+        });
+    }, ATTEMPT_RESET_MS).unref();
+
+    const cors = {
+        'Access-Control-Allow-Origin': options.allowOrigin,
+        'Access-Control-Expose-Headers': 'Retry-After'
+    };
+
+    // Answer one key check, once the client's previous check has finished
+    const checkKey = async (res, url, address, id, key) => {
+        const now = Date.now();
+        const state = clientState(address, now);
+
+        const wait = state.lastFailureAt + backoffDelay(state.failures) - now;
+        if (wait > 0) {
+            const retryAfter = Math.ceil(wait / 1000);
+            sendJson(res, 429, { error: 'rate-limited', retryAfter }, { ...cors, 'Retry-After': String(retryAfter) });
+            return;
+        }
+
+        // Each challenge can be answered once
+        const difficulty = challengeDifficulty(state.failures);
+        if (difficulty) {
+            const answered = state.challenge && url.searchParams.get('challenge') === state.challenge &&
+                checkProofOfWork(state.challenge, url.searchParams.get('proof'), difficulty);
+            state.challenge = answered ? null : generateChallenge();
+            if (!answered) {
+                sendJson(res, 428, { error: 'challenge-required', challenge: state.challenge, difficulty }, cors);
+                return;
+            }
+        }
+
+        const record = getRecords().get(id);
+        const status = !record ? 404 : await keyMatches(record, key) ? 200 : 403;
+        if (status !== 200) {
+            state.failures++;
+            state.lastFailureAt = now;
+        }
+        console.log(`${new Date(now).toISOString()} ${address} ${id} ${status}` +
+            (state.failures ? ` (${state.failures} failed)` : ''));
+
+        if (status === 200) {
+            sendJson(res, 200, { certificate: record }, cors);
+        } else {
+            sendJson(res, status, { error: status === 404 ? 'not-found' : 'key-mismatch' }, cors);
+        }
+    };
+
+    const handleCertificate = (req, res, url, id) => {
+        const key = (url.searchParams.get('key') || '').trim();
+        if (!ID_PATTERN.test(id) || !KEY_PATTERN.test(key)) {
+            sendJson(res, 400, { error: 'malformed' }, cors);
+            return;
+        }
+
+        const address = req.socket.remoteAddress;
+        const check = (checks.get(address) || Promise.resolve())
+            .then(() => checkKey(res, url, address, id, key))
+            .catch(error => {
+                console.error(`Error checking ${id}: ${error.message}`);
+                sendJson(res, 500, { error: 'server-error' }, cors);
+            })
+            .finally(() => {
+                if (checks.get(address) === check) checks.delete(address);
+            });
+        checks.set(address, check);
+    };
+
+    // Recipient IDs are random and the list holds no key hashes, so listing
+    // by one is not rate limited
+    const handleRecipient = (res, recipientId) => {
+        if (!RECIPIENT_ID_PATTERN.test(recipientId)) {
+            sendJson(res, 400, { error: 'malformed' }, cors);
+            return;
+        }
+
+        const certificates = Array.from(getRecords().values())
+            .filter(record => record.recipientId === recipientId)
+            .map(publicRecord);
+        sendJson(res, 200, { certificates }, cors);
+    };
+
+    return (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const certificateRoute = CERTIFICATE_ROUTE.exec(url.pathname);
+        const recipientRoute = RECIPIENT_ROUTE.exec(url.pathname);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { ...cors, 'Access-Control-Allow-Methods': 'GET' });
+            res.end();
+        } else if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'method-not-allowed' }, { ...cors, Allow: 'GET' });
+        } else if (certificateRoute) {
+            handleCertificate(req, res, url, decodeSegment(certificateRoute[1]));
+        } else if (recipientRoute) {
+            handleRecipient(res, decodeSegment(recipientRoute[1]));
+        } else if (options.site && !url.pathname.startsWith('/api/')) {
+            serveSiteFile(res, options.site, decodeSegment(url.pathname));
+        } else {
+            sendJson(res, 404, { error: 'no-such-route' }, cors);
+        }
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+        throw new Error('--port must be between 1 and 65535');
+    }
+    if (options.site && !fs.existsSync(path.join(options.site, 'index.html'))) {
+        throw new Error(`--site ${options.site} has no index.html`);
+    }
+
+    const getRecords = watchDatabase(options.input);
+    getRecords();
+
+    const handler = createHandler(getRecords, options);
+    const server = http.createServer((req, res) => {
+        try {
+            handler(req, res);
+        } catch (error) {
+            console.error(`Error handling ${req.url}: ${error.message}`);
+            sendJson(res, 500, { error: 'server-error' });
+        }
+    });
+
+    server.listen(options.port, options.host, () => {
+        const origin = `http://${options.host}:${options.port}`;
+        console.log(`Verification API listening on ${origin}/api` + (options.site ? `, site on ${origin}/` : ''));
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { createHandler };